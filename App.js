@@ -1,615 +1,1072 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
   View,
   Text,
   TextInput,
-  Image,
   ScrollView,
   StyleSheet,
   TouchableOpacity,
   Modal,
   SafeAreaView,
   Alert,
-  Dimensions,
+  AppState,
+  useColorScheme,
 } from 'react-native';
-import Canvas from 'react-native-canvas';
-import * as ImagePicker from 'expo-image-picker';
-import * as DocumentPicker from 'expo-document-picker';
-import { Formik } from 'formik';
-import * as Yup from 'yup';
-import { parseString } from 'react-native-xml2js';
-import DrawingModal from './DrawingModal';
+import NetInfo from '@react-native-community/netinfo';
+import * as Localization from 'expo-localization';
+import XMLForm from './XMLForm';
+import SelectField from './SelectField';
+import {
+  parseFormXML,
+  formatFormError,
+  localizeDefinition,
+  getFormMessages,
+} from './formDefinition';
+import { parseFormSource } from './formImport';
+import { exportFormXML } from './formExport';
+import {
+  MESSAGES,
+  createTranslator,
+  resolveLanguage,
+  resolveLocale,
+  getLanguageName,
+  isRTLLanguage,
+} from './i18n';
+import { resolveTheme } from './theme';
+import { pickXMLFile } from './xmlFileLoader';
+import { submitFormValues, isRetryableError } from './formSubmission';
+import { shareReport } from './reportExport';
+import { deleteStoredImages, listImages } from './imageCapture';
+import {
+  getFormKey,
+  saveDraft,
+  loadDraft,
+  listDrafts,
+  deleteDraft,
+  readOutbox,
+  enqueueSubmission,
+  flushOutbox,
+  readFailedSubmissions,
+  deleteFailedSubmission,
+  loadLanguagePreference,
+  saveLanguagePreference,
+} from './formStorage';
 
 /**
- * @constant {string} DEFAULT_XML_DATA
- * @description Default XML template for the form.
- * Provides a structured example of supported field types:
- * - `text`: A single-line text input field for general text.
- * - `datetime`: A text input field intended for date and/or time input.
- * - `radio`: A group of radio buttons allowing single selection from multiple options.
- * - `drawing`: A dedicated area for capturing a freehand drawing or signature.
+ * @constant {number} DRAFT_SAVE_DELAY
+ * @description Milliseconds without changes after which the open form is saved as a draft.
  */
-const DEFAULT_XML_DATA = `
-<form>
-  <field id="name" type="text" label="Full Name" required="true" />
-  <field id="dob" type="datetime" label="Date of Birth" required="true" />
-  <field id="gender" type="radio" label="Gender" required="true">
-    <option value="male">Male</option>
-    <option value="female">Female</option>
-    <option value="other">Other</option>
-  </field>
-  <field id="signature" type="drawing" label="Signature" required="true" />
-</form>
-`;
+const DRAFT_SAVE_DELAY = 1000;
+
+/**
+ * @component AutoSaveDraft
+ * @description Saves the values of the open form as a draft while the user edits it.
+ * Saves are debounced by `DRAFT_SAVE_DELAY`; pending changes are saved straight away when the app
+ * goes to the background or the form is closed. Nothing is saved while the values equal the
+ * initial values (`dirty` is false), nor while the form is being submitted, since a successful
+ * submission deletes the draft.
+ *
+ * @param {Object} props
+ * @param {Object} props.values - The current Formik values.
+ * @param {number} props.page - Index of the wizard page shown.
+ * @param {boolean} props.dirty - Formik's `dirty` flag.
+ * @param {boolean} props.paused - Formik's `isSubmitting` flag.
+ * @param {function} props.onSave - Called with `(values, page)` to save the draft; returns a Promise. Failed saves
+ * are logged, and retried with the next change.
+ */
+const AutoSaveDraft = ({ values, page, dirty, paused, onSave }) => {
+  const latest = useRef(null);
+  const pending = useRef(false);
+  latest.current = { values, page, onSave };
+
+  const savePending = () => {
+    if (pending.current) {
+      pending.current = false;
+      latest.current.onSave(latest.current.values, latest.current.page)
+        .catch((error) => console.error('Error saving the draft:', error));
+    }
+  };
+
+  useEffect(() => {
+    pending.current = dirty && !paused;
+    if (!pending.current) {
+      return undefined;
+    }
+    const timer = setTimeout(savePending, DRAFT_SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [values, page, dirty, paused]);
+
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state !== 'active') {
+        savePending();
+      }
+    });
+    return () => {
+      subscription.remove();
+      savePending();
+    };
+  }, []);
+
+  return null;
+};
 
 /**
  * @component XMLFormRenderer
  * @description Main component for rendering dynamic forms based on XML definitions.
  *
  * @primaryResponsibility Manage the overall form rendering process, including:
- * 1. Handling different form input modes (loading from a default XML or providing custom XML).
+ * 1. Handling different form input modes (loading an XML file from the device or providing custom XML).
  * 2. Parsing the provided XML string into a structured JavaScript object.
- * 3. Dynamically generating form fields based on the parsed XML structure.
- * 4. Implementing form submission logic and basic field validation using Formik and Yup.
- * 5. Providing a modal interface for displaying the dynamically generated form.
+ * 3. Showing the parsed form with `XMLForm` (see ./XMLForm) in a modal, with its drafts saved as it is edited.
+ * 4. Sending submissions, and keeping those that could not be sent in the outbox.
  *
  * @state {boolean} modalVisible - Controls the visibility of the modal that contains the dynamic form.
- * @state {string|null} formMode - Indicates the current mode of form rendering ('file' for default XML, 'custom' for user-provided XML, or null initially).
- * @state {Array<Object>} parsedFields - Stores the array of field objects extracted from the parsed XML. Each object represents a form field with its attributes (id, type, label, etc.).
- * @state {string|null} formError - Stores any error message that occurs during XML parsing or form rendering.
+ * @state {string|null} formMode - Indicates the current mode of form rendering ('file' for an XML file picked from the device, 'custom' for user-provided XML, 'draft' for a resumed draft, or null initially).
+ * @state {string|null} fileName - Name of the XML file picked from the device (or title of the resumed draft), shown as the modal title.
+ * @state {Object|null} formDefinition - The normalized form definition produced by `parseFormXML` (see ./formDefinition). Its `fields` array drives the rendered form, localized into the language shown (see `localizeDefinition`).
+ * @state {string|null} formXML - The XML source of the open form, stored with its drafts and outbox entries.
+ * @state {string|null} formKey - Key of the open form in the draft storage (see `getFormKey` in ./formStorage).
+ * @state {Object|null} resumedDraft - The draft the open form was resumed from; its values replace the initial values.
+ * @state {boolean} reviewing - Whether the open form is shown for review. Forms pre-filled with `<data>` open for review, unless resumed from a draft.
+ * @state {Array<Object>} drafts - The saved drafts, listed on the home screen.
+ * @state {number} outboxCount - Number of submissions waiting in the outbox.
+ * @state {Array<Object>} failedSubmissions - Submissions that were rejected and will not be retried, listed on the home screen until discarded.
+ * @state {Array<Object>} formErrors - Structured errors (see `FormError` in ./formDefinition) from loading or parsing the XML. Errors with a line number can be tapped to jump to that line of the custom XML.
  * @state {string} customXML - Holds the XML string entered by the user in the custom XML input.
- * @state {boolean} drawingModalVisible - Controls the visibility of the `DrawingModal` component for capturing signatures.
- * @state {string|null} currentDrawingField - Stores the `id` of the drawing field that triggered the `DrawingModal`.
- * @state {function|null} formikSetFieldValue - Stores the `setFieldValue` function provided by Formik, allowing programmatic updates to form values from child components like `DrawingModal`.
- * @state {boolean} signatureSaved - A flag to indicate whether a signature has been successfully saved for the current drawing field.
+ * @state {Object|null} formProgress - The values of the open form, its page and its state, as last reported by `XMLForm`'s `onChange`; saved as a draft by `AutoSaveDraft`.
+ * @state {string|null} languagePreference - The language picked by the user, or `null` to follow the device language.
+ *
+ * @param {Object} props
+ * @param {function} [props.onSubmit] - Optional submit handler, `async (values, definition) => void`, for apps
+ * embedding the renderer. It replaces the submit target declared in the XML. Throwing an error queues the submission
+ * in the outbox to be retried; throwing a `SubmissionError` (see ./formSubmission) with `retryable: false` rejects it.
+ * @param {Object<string, number>} [props.assets] - Images bundled with the app that drawing fields can use as
+ * `background="asset:<name>"`, e.g. `{ vehicle: require('./assets/vehicle.png') }`.
+ * @param {string} [props.language] - Language to show the app and forms in, replacing the device language and
+ * hiding the language picker.
+ * @param {Object<string, Object<string, string>>} [props.messages] - Extra or replacement built-in messages by language
+ * and message key (see `MESSAGES` in ./i18n). A form's own `ui.*` translations take precedence.
+ * @param {Object} [props.theme] - The app's brand: a partial theme (see `Theme` in ./theme) applied over the built-in
+ * light and dark themes, with `dark` overrides for dark mode. A form's own `<theme>` is applied over it.
+ * @param {string} [props.colorScheme] - `light` or `dark` to fix the colour scheme; by default it follows the system.
  *
  * @uses react
  * @uses react-native
- * @uses react-native-canvas
- * @uses expo-image-picker
- * @uses expo-document-picker
- * @uses formik
- * @uses yup
- * @uses react-native-xml2js
- * @uses ./DrawingModal
+ * @uses ./xmlFileLoader
+ * @uses ./formSubmission
+ * @uses ./reportExport
+ * @uses ./formStorage
+ * @uses @react-native-community/netinfo
+ * @uses expo-localization
+ * @uses ./i18n
+ * @uses ./theme
+ * @uses ./formDefinition
+ * @uses ./XMLForm
+ * @uses ./SelectField
  */
-export default function XMLFormRenderer() {
+export default function XMLFormRenderer({ onSubmit, assets, language, messages, theme, colorScheme } = {}) {
   // State management for various form and modal interactions
   const [modalVisible, setModalVisible] = useState(false);
   const [formMode, setFormMode] = useState(null);
-  const [parsedFields, setParsedFields] = useState([]);
-  const [formError, setFormError] = useState(null);
+  const [fileName, setFileName] = useState(null);
+  const [formDefinition, setFormDefinition] = useState(null);
+  const [formXML, setFormXML] = useState(null);
+  const [formKey, setFormKey] = useState(null);
+  const [resumedDraft, setResumedDraft] = useState(null);
+  const [reviewing, setReviewing] = useState(false);
+  const [drafts, setDrafts] = useState([]);
+  const [outboxCount, setOutboxCount] = useState(0);
+  const [failedSubmissions, setFailedSubmissions] = useState([]);
+  const [formErrors, setFormErrors] = useState([]);
   const [customXML, setCustomXML] = useState('');
-  const [drawingModalVisible, setDrawingModalVisible] = useState(false);
-  const [currentDrawingField, setCurrentDrawingField] = useState(null);
-  const [formikSetFieldValue, setFormikSetFieldValue] = useState(null);
-  const [signatureSaved, setSignatureSaved] = useState(false);
+  const xmlInputRef = useRef(null);
+  const [formProgress, setFormProgress] = useState(null);
+  // Every photo the open form has held, by URI, so that those removed from it can be deleted when it closes
+  const formImages = useRef(new Map());
+  const [languagePreference, setLanguagePreference] = useState(null);
+
+  // The `language` prop, then the user's choice, then the device languages in order of preference
+  const deviceLanguages = useMemo(() => Localization.getLocales().map((locale) => locale.languageTag), []);
+  const preferredLanguages = [language, languagePreference, ...deviceLanguages];
+  const appLanguages = Object.keys({ ...MESSAGES, ...messages });
+  const appLanguage = resolveLanguage(preferredLanguages, appLanguages);
+  // An open form is shown in the best of its own languages, and the app's messages follow it
+  const activeLanguage = formDefinition
+    ? resolveLanguage(preferredLanguages, formDefinition.languages, formDefinition.language)
+    : appLanguage;
+  const locale = resolveLocale(activeLanguage, deviceLanguages);
+
+  const translate = useMemo(
+    () => createTranslator(activeLanguage, [formDefinition ? getFormMessages(formDefinition) : {}, messages || {}]),
+    [activeLanguage, formDefinition, messages]
+  );
+  const definition = useMemo(
+    () => formDefinition && localizeDefinition(formDefinition, activeLanguage),
+    [formDefinition, activeLanguage]
+  );
+
+  // The system's light or dark mode unless the host app fixes it; an open form applies its own theme over the app's
+  const systemColorScheme = useColorScheme();
+  const activeTheme = useMemo(
+    () => resolveTheme(colorScheme || systemColorScheme, theme, formDefinition?.theme),
+    [colorScheme, systemColorScheme, theme, formDefinition]
+  );
+  const styles = useMemo(() => createStyles(activeTheme), [activeTheme]);
 
   /**
-   * @function parseXML
-   * @description Parses the provided XML input string and validates its structure.
-   * It uses the `react-native-xml2js` library to convert the XML into a JavaScript object.
+   * @function sendOutbox
+   * @description Sends the submissions waiting in the outbox and updates `outboxCount`. Submissions that were
+   * rejected are moved out of the outbox and listed under `failedSubmissions`.
+   * Storage errors (e.g. an unreadable outbox) are alerted, or only logged for automatic retries.
+   * @param {Object} [options]
+   * @param {boolean} [options.silent=false] - Whether to skip the alert reporting the result, for automatic retries.
+   */
+  const sendOutbox = async ({ silent = false } = {}) => {
+    let result;
+    try {
+      result = await flushOutbox({ handler: onSubmit });
+      if (result.failed > 0) {
+        setFailedSubmissions(await readFailedSubmissions());
+      }
+    } catch (error) {
+      if (silent) {
+        console.error('Error sending the outbox:', error);
+      } else {
+        Alert.alert(translate('outboxNotSentTitle'), error.message);
+      }
+      return;
+    }
+
+    const { sent, pending, failed } = result;
+    setOutboxCount(pending);
+
+    if (!silent) {
+      const summary = pending > 0 ? translate('outboxPartlySent', { sent, pending }) : translate('outboxSent', { sent });
+      Alert.alert(
+        translate('outboxTitle'),
+        failed > 0 ? `${summary} ${translate('outboxRejected', { count: failed })}` : summary
+      );
+    }
+  };
+
+  /**
+   * @function discardFailedSubmission
+   * @description Deletes a failed submission and removes it from the home screen list. Storage errors are alerted.
+   * @param {string} id - Id of the submission.
+   */
+  const discardFailedSubmission = async (id) => {
+    try {
+      await deleteFailedSubmission(id);
+    } catch (error) {
+      Alert.alert(translate('failedNotDiscardedTitle'), error.message);
+      return;
+    }
+    setFailedSubmissions((current) => current.filter((entry) => entry.id !== id));
+  };
+
+  // Loading the saved drafts, and sending the outbox whenever the device is back online or the app is reopened
+  useEffect(() => {
+    listDrafts()
+      .then(setDrafts)
+      .catch((error) => console.error('Error reading drafts:', error));
+    loadLanguagePreference()
+      .then(setLanguagePreference)
+      .catch((error) => console.error('Error reading the language preference:', error));
+    readOutbox()
+      .then((entries) => setOutboxCount(entries.length))
+      .catch((error) => console.error('Error reading the outbox:', error));
+    readFailedSubmissions()
+      .then(setFailedSubmissions)
+      .catch((error) => console.error('Error reading failed submissions:', error));
+
+    const unsubscribeNetInfo = NetInfo.addEventListener((state) => {
+      if (state.isConnected && state.isInternetReachable !== false) {
+        sendOutbox({ silent: true });
+      }
+    });
+    const appStateSubscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        sendOutbox({ silent: true });
+      }
+    });
+    return () => {
+      unsubscribeNetInfo();
+      appStateSubscription.remove();
+    };
+  }, []);
+
+  /**
+   * @function chooseLanguage
+   * @description Stores the language picked by the user, or follows the device language again. The choice applies
+   * right away even if it cannot be stored, which is only logged.
+   * @param {string} choice - A language tag, or '' for the device language.
+   */
+  const chooseLanguage = (choice) => {
+    setLanguagePreference(choice || null);
+    saveLanguagePreference(choice || null)
+      .catch((error) => console.error('Error saving the language preference:', error));
+  };
+
+  /**
+   * @function showForm
+   * @description Opens a parsed form, optionally filled in with the values of a draft. A form pre-filled with
+   * `<data>` (e.g. a submission to check) opens for review, and a draft of it for editing.
    *
-   * @param {string} xmlInput - The XML string to be parsed.
+   * @param {Object} definition - The parsed form definition.
+   * @param {string} xml - The XML source of the form.
+   * @param {Object|null} draft - The draft to resume, or `null` to start with empty values.
+   */
+  const showForm = (definition, xml, draft) => {
+    setFormDefinition(definition);
+    setFormXML(xml);
+    setFormKey(getFormKey(definition, xml));
+    setResumedDraft(draft);
+    setReviewing(Boolean(definition.data) && !draft);
+    setModalVisible(true);
+  };
+
+  /**
+   * @function parseXML
+   * @description Parses the provided form source with `parseFormSource` (see ./formImport) and shows the resulting form.
+   * The source may be an XML form, or a form in JSON, JSON Schema or XForms, which is kept as the XML
+   * `exportFormXML` writes so that its drafts and outbox entries reopen like those of XML forms.
+   * When the form has a saved draft, the user chooses between resuming it and starting over.
    *
-   * @validationChecks
-   * - Ensures the XML input is not empty.
-   * - Validates that the XML string is well-formed and can be parsed.
-   * - Checks if all `<field>` elements have a supported `type` attribute (text, datetime, radio, drawing).
+   * @param {string} source - The form source to be parsed.
    *
    * @stateUpdate
-   * - If validation fails, it updates the `formError` state with an appropriate error message.
-   * - If parsing and validation are successful, it updates the `parsedFields` state with an array of field objects extracted from the XML and sets `modalVisible` to true to display the form.
+   * - If parsing fails, it updates the `formErrors` state with every returned error.
+   * - If parsing succeeds, it stores the definition in `formDefinition` and sets `modalVisible` to true to display the form.
    */
-  const parseXML = (xmlInput) => {
-    setFormError(null);
+  const parseXML = async (source) => {
+    setFormErrors([]);
 
-    // Checking for empty input
-    if (!xmlInput || xmlInput.trim() === '') {
-      setFormError("XML input cannot be empty");
+    const { definition, errors, format } = await parseFormSource(source);
+    if (errors.length > 0) {
+      setFormErrors(errors);
       return;
     }
+    const xmlInput = format === 'xml' ? source : exportFormXML(definition);
 
-    // Parsing XML using react-native-xml2js
-    parseString(xmlInput, (err, result) => {
-      // Handling parsing errors
-      if (err) {
-        setFormError("Invalid XML format");
-        return;
-      }
+    const key = getFormKey(definition, xmlInput);
+    let draft = null;
+    try {
+      draft = await loadDraft(key);
+    } catch (error) {
+      // The form opens empty, and its next autosave replaces the draft that could not be read
+      console.error('Error reading the draft:', error);
+    }
+    if (!draft) {
+      showForm(definition, xmlInput, null);
+      return;
+    }
 
-      // Extracting fields from parsed XML. Accessing the 'field' property within the 'form' element.
-      const fields = result?.form?.field || [];
+    Alert.alert(
+      translate('resumeDraftTitle'),
+      translate('resumeDraftMessage', { date: new Date(draft.updatedAt).toLocaleString(locale) }),
+      [
+        {
+          text: translate('startOver'),
+          style: "destructive",
+          onPress: () => {
+            removeDraft(key);
+            showForm(definition, xmlInput, null);
+          },
+        },
+        { text: translate('resume'), onPress: () => showForm(definition, xmlInput, draft) },
+      ]
+    );
+  };
 
-      // Validating field types
-      const validFieldTypes = ['text', 'datetime', 'radio', 'drawing'];
-      const invalidFields = fields.filter(field =>
-        !validFieldTypes.includes(field.$.type)
-      );
+  /**
+   * @function resumeDraft
+   * @description Reopens a draft listed on the home screen, using the XML stored with it.
+   * @param {Object} draft - The draft to resume (see `Draft` in ./formStorage).
+   */
+  const resumeDraft = async (draft) => {
+    setFormErrors([]);
+
+    const { definition, errors } = await parseFormXML(draft.xml);
+    if (errors.length > 0) {
+      setFormErrors(errors);
+      return;
+    }
+
+    setFormMode('draft');
+    setFileName(draft.title || translate('draft'));
+    showForm(definition, draft.xml, draft);
+  };
+
+  /**
+   * @function saveCurrentDraft
+   * @description Saves the values of the open form as its draft. Called by `AutoSaveDraft`.
+   * @param {Object} values - The current Formik values.
+   * @param {number} page - Index of the wizard page shown.
+   */
+  const saveCurrentDraft = async (values, page) => {
+    const draft = {
+      formKey,
+      title: definition.title || fileName,
+      xml: formXML,
+      values,
+      page,
+    };
+    await saveDraft(draft);
+    setDrafts((current) => [
+      { ...draft, updatedAt: new Date().toISOString() },
+      ...current.filter((saved) => saved.formKey !== formKey),
+    ]);
+  };
+
+  /**
+   * @function removeDraft
+   * @description Deletes a saved draft and removes it from the home screen list. Storage errors are alerted.
+   * @param {string} key - Key of the form the draft belongs to.
+   * @param {Object} [options] - `keepImages`, to keep the photos of the draft (see `deleteDraft` in ./formStorage).
+   */
+  const removeDraft = async (key, options) => {
+    try {
+      await deleteDraft(key, options);
+    } catch (error) {
+      Alert.alert(translate('draftNotDeletedTitle'), error.message);
+      return;
+    }
+    setDrafts((current) => current.filter((draft) => draft.formKey !== key));
+  };
+
+  /**
+   * @function closeForm
+   * @description Closes the form modal and resets the form-related state. Unsaved changes are kept by
+   * `AutoSaveDraft`, which saves them when it unmounts. Photos removed from the form are deleted, unless its
+   * values or the draft it was resumed from still use them.
+   */
+  const closeForm = () => {
+    deleteStoredImages([...formImages.current.values()], [formProgress?.values, resumedDraft?.values]);
+    formImages.current = new Map();
+    setModalVisible(false);
+    setFormDefinition(null);
+    setFormXML(null);
+    setFormKey(null);
+    setResumedDraft(null);
+    setReviewing(false);
+    setFormProgress(null);
+    setFormMode(null);
+    setFileName(null);
+    setCustomXML('');
+    setFormErrors([]);
+  };
 
-      // Rejecting if any invalid field types are found
-      if (invalidFields.length > 0) {
-        setFormError(`Invalid field types: <span class="math-inline">\{invalidFields\.map\(f \=\> f\.</span>.type).join(', ')}`);
+  /**
+   * @function loadXMLFile
+   * @description Lets the user pick a form file (XML, JSON, JSON Schema or XForms) from the device and renders the form it defines.
+   * Any problem reading the file (cancelled pick, oversized file, non-UTF-8 encoding) is reported through `formErrors`.
+   */
+  const loadXMLFile = async () => {
+    setFormErrors([]);
+
+    try {
+      const { name, xml } = await pickXMLFile();
+      setFileName(name);
+      setFormMode('file');
+      await parseXML(xml);
+    } catch (error) {
+      setFormErrors([{ code: error.code || 'read-failed', message: error.message }]);
+    }
+  };
+
+  /**
+   * @function goToXMLLocation
+   * @description Moves the cursor of the custom XML input to the line and column of an error.
+   * @param {Object} error - A `FormError` with `line` and `column`.
+   */
+  const goToXMLLocation = (error) => {
+    const lines = customXML.split('\n');
+    const line = Math.min(error.line, lines.length);
+    const offset = lines
+      .slice(0, line - 1)
+      .reduce((total, text) => total + text.length + 1, 0);
+    const position = offset + Math.min(Math.max((error.column || 1) - 1, 0), lines[line - 1].length);
+
+    if (xmlInputRef.current) {
+      xmlInputRef.current.focus();
+      xmlInputRef.current.setSelection(position, position);
+    }
+  };
+
+  /**
+   * @function renderFormErrors
+   * @description Renders the current `formErrors` as a list. In custom mode, errors that carry a
+   * location can be tapped to jump to the offending line of the XML input.
+   *
+   * @returns {JSX.Element|null}
+   */
+  const renderFormErrors = () => {
+    if (formErrors.length === 0) {
+      return null;
+    }
+
+    return (
+      <View style={styles.errorList} accessibilityLiveRegion="polite">
+        {formErrors.length > 1 && (
+          <Text style={styles.errorText}>{translate('problemsFound', { count: formErrors.length })}</Text>
+        )}
+        {formErrors.map((error, index) => {
+          const navigable = formMode === 'custom' && modalVisible && Boolean(error.line);
+          return (
+            <TouchableOpacity
+              key={index}
+              style={styles.errorItem}
+              accessibilityRole={navigable ? 'link' : 'text'}
+              disabled={!navigable}
+              onPress={() => goToXMLLocation(error)}
+            >
+              <Text style={[styles.errorItemText, navigable && styles.errorItemLink]}>
+                {formatFormError(error)}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    );
+  };
+
+  /**
+   * @function renderLanguagePicker
+   * @description Renders a picker for the language to show, with "Device language" to follow the device again.
+   * Nothing is rendered when the host app fixes the language through the `language` prop.
+   *
+   * @param {Array<string>} languages - The languages to choose from.
+   * @param {string} current - The language currently shown.
+   * @returns {JSX.Element|null}
+   */
+  const renderLanguagePicker = (languages, current) => {
+    if (language) {
+      return null;
+    }
+    return (
+      <View style={styles.languagePicker}>
+        <SelectField
+          field={{
+            label: translate('language'),
+            required: true,
+            options: [
+              { value: '', label: translate('deviceLanguage') },
+              ...languages.map((tag) => ({ value: tag, label: getLanguageName(tag) })),
+            ],
+          }}
+          value={languagePreference ? current : ''}
+          onChange={chooseLanguage}
+          translate={translate}
+          theme={activeTheme}
+        />
+      </View>
+    );
+  };
+
+  /**
+   * @function sendSubmission
+   * @description Sends the submitted values with `submitFormValues`. On success the form is reset and closed
+   * and its draft deleted. When the device is offline, or the failure is worth retrying later (see
+   * `isRetryableError` in ./formSubmission), the submission is moved to the outbox and the form closed as well.
+   * On any other failure the user can retry the same values or go back to the form.
+   * Forms without a submit target or handler only display the values. Once the values are sent or displayed,
+   * the user can share them as a PDF report, after which their photos are deleted from the device.
+   *
+   * @param {Object} payload - The values to submit (hidden fields already left out).
+   * @param {function} resetForm - Restores the form's initial values (`reset` of `XMLForm`'s `onSubmit`).
+   */
+  const sendSubmission = async (payload, resetForm) => {
+    // The photos are kept for the outbox, or until the report has been shared or dismissed
+    const formValues = formProgress?.values;
+    const finish = () => {
+      resetForm();
+      removeDraft(formKey, { keepImages: true });
+      closeForm();
+    };
+    // The draft the form was resumed from is deleted with the submission, so its photos are no longer needed either
+    const deleteImages = () => deleteStoredImages([payload, formValues, resumedDraft?.values]);
+
+    const moveToOutbox = async (reason) => {
+      await enqueueSubmission({
+        formKey,
+        title: definition.title || fileName,
+        xml: formXML,
+        values: payload,
+        lastError: reason,
+      });
+      setOutboxCount((count) => count + 1);
+      finish();
+      // Photos of fields hidden at submission are not queued
+      deleteStoredImages([formValues, resumedDraft?.values], payload);
+    };
+
+    // The user can share a PDF of the answers, e.g. with the customer who signed the form
+    const submittedButtons = [
+      { text: translate('ok'), style: "cancel", onPress: deleteImages },
+      { text: translate('shareReport'), onPress: () => shareSubmissionReport(payload).finally(deleteImages) },
+    ];
+
+    if (!onSubmit && !definition.submit) {
+      Alert.alert(translate('formSubmittedTitle'), JSON.stringify(payload), submittedButtons);
+      finish();
+      return;
+    }
+
+    const { isConnected } = await NetInfo.fetch();
+    if (isConnected === false) {
+      await moveToOutbox('The device was offline');
+      Alert.alert(translate('savedToOutboxTitle'), translate('offlineMessage'));
+      return;
+    }
+
+    try {
+      await submitFormValues(definition, payload, { handler: onSubmit });
+      Alert.alert(
+        translate('formSubmittedTitle'),
+        definition.submit?.successMessage || translate('submittedMessage'),
+        submittedButtons
+      );
+      finish();
+    } catch (error) {
+      if (isRetryableError(error)) {
+        await moveToOutbox(error.message);
+        Alert.alert(
+          translate('savedToOutboxTitle'),
+          translate('queuedMessage', { error: error.message }),
+          [
+            { text: translate('ok'), style: "cancel" },
+            { text: translate('retryNow'), onPress: () => sendOutbox() },
+          ]
+        );
         return;
       }
-
-      setParsedFields(fields);
-      setModalVisible(true);
-    });
+      Alert.alert(translate('submissionFailedTitle'), error.message, [
+        { text: translate('backToForm'), style: "cancel" },
+        { text: translate('retry'), onPress: () => sendSubmission(payload, resetForm) },
+      ]);
+    }
   };
 
+
+  /**
+   * @function shareSubmissionReport
+   * @description Prints the report of a submission to PDF and opens the share sheet with it (see ./reportExport).
+   *
+   * @param {Object} payload - The submitted values.
+   * @returns {Promise<void>} Settles once the report is shared, or the failure is reported.
+   */
+  const shareSubmissionReport = (payload) =>
+    shareReport(definition, payload, {
+      translate,
+      locale,
+      language: activeLanguage,
+      dialogTitle: translate('shareReport'),
+    }).catch((error) => Alert.alert(translate('reportNotSharedTitle'), error.message));
+
   /**
    * @function renderFormModal
-   * @description Renders the modal component that displays the dynamic form.
-   * It handles different scenarios based on whether the form is loaded from a file or custom input.
-   * It uses the `Formik` component to manage form state, validation, and submission.
+   * @description Renders the modal that displays the open form with `XMLForm`, below the title, the language
+   * picker and, in custom mode, the XML input. Drafts are saved from the changes `XMLForm` reports.
    *
    * @returns {JSX.Element} The Modal component containing the dynamic form.
    */
-  const renderFormModal = () => (
-    <Modal
-      animationType="slide"
-      transparent={false}
-      visible={modalVisible}
-      onRequestClose={() => {
-        setModalVisible(false);
-        setParsedFields([]);
-        setFormMode(null);
-        setCustomXML('');
-        setFormError(null);
-      }}
-    >
-      <SafeAreaView style={styles.modalContainer}>
-        <ScrollView>
-          <Text style={styles.modalTitle}>
-            {formMode === 'file' ? 'XML File Form' : 'Custom XML Form'}
-          </Text>
-
-          {formMode === 'custom' && (
-            <View style={styles.xmlInputContainer}>
-              <TextInput
-                style={styles.xmlInput}
-                placeholder="Enter XML here..."
-                multiline
-                value={customXML}
-                onChangeText={setCustomXML}
-              />
-              <TouchableOpacity
-                style={styles.parseButton}
-                onPress={() => parseXML(customXML)}
-              >
-                <Text style={styles.parseButtonText}>Parse Custom XML</Text>
-              </TouchableOpacity>
-            </View>
-          )}
-
-          {formError && (
-            <Text style={styles.errorText}>{formError}</Text>
-          )}
+  const renderFormModal = () => {
+    const header = (
+      <View>
+        <Text style={styles.modalTitle} accessibilityRole="header">
+          {formMode === 'custom' ? translate('customFormTitle') : fileName || translate('fileFormTitle')}
+        </Text>
 
-          {parsedFields.length > 0 && (
-            <Formik
-              /**
-               * @prop {Object} initialValues
-               * @description Dynamically creates the initial values for the Formik form based on the parsed XML fields.
-               * Each field's `id` from the XML becomes a key in the `initialValues` object with an empty string as its initial value.
-               */
-              initialValues={parsedFields.reduce((acc, field) => {
-                acc[field.$.id] = '';
-                return acc;
-              }, {})}
-              /**
-               * @prop {Yup.ObjectSchema} validationSchema
-               * @description Dynamically creates the Yup validation schema based on the parsed XML fields and their `required` and `type` attributes.
-               * For each required field, it adds a corresponding validation rule to the schema based on the field type (e.g., `Yup.string().required()` for text, `Yup.date().required()` for datetime).
-               */
-              validationSchema={Yup.object().shape(
-                parsedFields.reduce((schema, field) => {
-                  if (field.$.required === "true") {
-                    switch (field.$.type) {
-                      case 'text':
-                        schema[field.$.id] = Yup.string().required(`<span class="math-inline">\{field\.</span>.label} is required`);
-                        break;
-                      case 'datetime':
-                        schema[field.$.id] = Yup.date().required(`<span class="math-inline">\{field\.</span>.label} is required`);
-                        break;
-                      case 'radio':
-                        schema[field.$.id] = Yup.string().required(`<span class="math-inline">\{field\.</span>.label} is required`);
-                        break;
-                      case 'drawing':
-                        schema[field.$.id] = Yup.string().required(`<span class="math-inline">\{field\.</span>.label} is required`);
-                        break;
-                      default:
-                        break;
-                    }
-                  }
-                  return schema;
-                }, {})
-              )}
-              /**
-               * @prop {function} onSubmit
-               * @description Handles the form submission. It displays an alert with the form values and then resets the form and closes the modal.
-               * @param {Object} values - The current values of the form fields.
-               * @param {Object} actions - Formik action helpers (e.g., `resetForm`).
-               */
-              onSubmit={(values, { resetForm }) => {
-                Alert.alert("Form Submitted", JSON.stringify(values));
-                resetForm();
-                setModalVisible(false);
-                setSignatureSaved(false); // Reset signature saved state on submission
-              }}
-            >
-              {({
-                handleChange,
-                handleSubmit,
-                setFieldValue,
-                values,
-                errors,
-                touched
-              }) => {
-                // Storing setFieldValue in state when component renders.
-                // This allows the DrawingModal to update the Formik form values.
-                useEffect(() => {
-                  setFormikSetFieldValue(() => setFieldValue);
-                }, [setFieldValue]);
-
-                return (
-                  <View>
-                  {parsedFields.map((field) => {
-                    switch (field.$.type) {
-                      case "text":
-                        return (
-                          <View key={field.$.id} style={styles.fieldContainer}>
-                            <Text style={styles.label}>{field.$.label}</Text>
-                            <TextInput
-                              style={styles.input}
-                              onChangeText={handleChange(field.$.id)}
-                              value={values[field.$.id]}
-                            />
-                            {touched[field.$.id] && errors[field.$.id] && (
-                              <Text style={styles.errorText}>{errors[field.$.id]}</Text>
-                            )}
-                          </View>
-                        );
-                        case "datetime":
-                          return (
-                            <View key={field.$.id} style={styles.fieldContainer}>
-                              <Text style={styles.label}>{field.$.label}</Text>
-                              <TextInput
-                                style={styles.input}
-                                placeholder="Enter Date (YYYY-MM-DD)"
-                                onChangeText={handleChange(field.$.id)}
-                                value={values[field.$.id]}
-                                keyboardType="default"
-                              />
-                              {touched[field.$.id] && errors[field.$.id] && (
-                                <Text style={styles.errorText}>{errors[field.$.id]}</Text>
-                              )}
-                            </View>
-                          );
-                      case "radio":
-                        return (
-                          <View key={field.$.id} style={styles.fieldContainer}>
-                            <Text style={styles.label}>{field.$.label}</Text>
-                            <View style={styles.radioContainer}>
-                              {field.option.map((option, index) => (
-                                <TouchableOpacity 
-                                  key={index} 
-                                  style={[
-                                    styles.radioOption, 
-                                    values[field.$.id] === option.$.value && styles.selectedRadioOption
-                                  ]}
-                                  onPress={() => setFieldValue(field.$.id, option.$.value)}
-                                >
-                                  <View style={styles.radioCircle}>
-                                    {values[field.$.id] === option.$.value && (
-                                      <View style={styles.selectedRadioCircle} />
-                                    )}
-                                  </View>
-                                  <Text style={styles.radioText}>{option._}</Text>
-                                </TouchableOpacity>
-                              ))}
-                            </View>
-                            {touched[field.$.id] && errors[field.$.id] && (
-                              <Text style={styles.errorText}>{errors[field.$.id]}</Text>
-                            )}
-                          </View>
-                        );
-                        case "drawing":
-                          return (
-                            <View key={field.$.id} style={styles.fieldContainer}>
-                              <Text style={styles.label}>{field.$.label}</Text>
-                              <TouchableOpacity
-                                style={styles.drawingButton}
-                                onPress={() => {
-                                  setDrawingModalVisible(true);
-                                  setCurrentDrawingField(field.$.id);
-                                }}
-                              >
-                                <Text style={styles.drawingButtonText}>
-                                  {signatureSaved ? "Signature Saved!" : "Open Drawing Canvas"}
-                                </Text>
-                              </TouchableOpacity>
-                              {signatureSaved && (
-                                <Text style={styles.successText}>Signature saved successfully!</Text>
-                              )}
-                            </View>
-                          );
-
-                      default:
-                        return null;
-                    }
-                  })}
-                  
-                  <TouchableOpacity
-                    style={styles.submitButton}
-                    onPress={handleSubmit}
-                  >
-                    <Text style={styles.submitButtonText}>Submit</Text>
-                  </TouchableOpacity>
-                </View>
-              )}}
-            </Formik>
-          )}
+        {definition && definition.languages.length > 1 && renderLanguagePicker(definition.languages, activeLanguage)}
 
+        {formDefinition?.data && (
           <TouchableOpacity
-            style={styles.closeButton}
-            onPress={() => {
-              setModalVisible(false);
-              // Reset form-related states
-              setParsedFields([]);
-              setFormMode(null);
-              setCustomXML('');
-              setFormError(null);
-            }}
+            style={styles.modeButton}
+            accessibilityRole="button"
+            onPress={() => setReviewing(!reviewing)}
           >
-            <Text style={styles.closeButtonText}>Close</Text>
+            <Text style={styles.modeButtonText}>{translate(reviewing ? 'edit' : 'review')}</Text>
           </TouchableOpacity>
-        </ScrollView>
-
-        <DrawingModal
-  visible={drawingModalVisible}
-  onClose={() => {
-    setDrawingModalVisible(false);
-    setCurrentDrawingField(null);
-  }}
-  onSave={(dataURL) => {
-    if (formikSetFieldValue && currentDrawingField) {
-      formikSetFieldValue(currentDrawingField, dataURL);
-      setSignatureSaved(true);
-    }
-    setDrawingModalVisible(false);
-    setCurrentDrawingField(null);
-  }}
-/>
+        )}
 
-      </SafeAreaView>
-    </Modal>
-  );
+        {formMode === 'custom' && (
+          <View style={styles.xmlInputContainer}>
+            <TextInput
+              ref={xmlInputRef}
+              style={styles.xmlInput}
+              accessibilityLabel={translate('xmlPlaceholder')}
+              placeholder={translate('xmlPlaceholder')}
+              placeholderTextColor={activeTheme.colors.placeholder}
+              multiline
+              value={customXML}
+              onChangeText={setCustomXML}
+            />
+            <TouchableOpacity
+              style={styles.parseButton}
+              accessibilityRole="button"
+              onPress={() => parseXML(customXML)}
+            >
+              <Text style={styles.parseButtonText}>{translate('parseXML')}</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {renderFormErrors()}
+      </View>
+    );
+
+    const footer = (
+      <TouchableOpacity
+        style={styles.closeButton}
+        accessibilityRole="button"
+        onPress={closeForm}
+      >
+        <Text style={styles.closeButtonText}>{translate('close')}</Text>
+      </TouchableOpacity>
+    );
+
+    return (
+      <Modal
+        animationType="slide"
+        transparent={false}
+        visible={modalVisible}
+        onRequestClose={closeForm}
+      >
+        <SafeAreaView style={styles.modalContainer}>
+          <XMLForm
+            // Remounting for every form, so that its initial (or draft) values are applied
+            key={formKey}
+            definition={formDefinition}
+            initialValues={resumedDraft?.values}
+            initialPage={resumedDraft ? resumedDraft.page : 0}
+            mode={reviewing ? 'review' : 'edit'}
+            language={activeLanguage}
+            messages={messages}
+            theme={theme}
+            colorScheme={colorScheme}
+            assets={assets}
+            header={header}
+            footer={footer}
+            onChange={(values, state) => {
+              listImages(values).forEach((image) => formImages.current.set(image.uri, image));
+              setFormProgress({ values, ...state });
+            }}
+            onSubmit={(values, { reset }) => sendSubmission(values, reset)}
+          />
+
+          {formProgress && (
+            <AutoSaveDraft
+              values={formProgress.values}
+              page={formProgress.page}
+              dirty={formProgress.dirty}
+              paused={formProgress.isSubmitting}
+              onSave={saveCurrentDraft}
+            />
+          )}
+        </SafeAreaView>
+      </Modal>
+    );
+  };
 
   return (
-    <View style={styles.container}>
-      <Text style={styles.title}>XML Form Renderer</Text>
+    <View style={[styles.container, isRTLLanguage(appLanguage) && styles.rtlContainer]}>
+      <Text style={styles.title} accessibilityRole="header">{translate('appTitle')}</Text>
 
       <TouchableOpacity
         style={styles.button}
-        onPress={() => {
-          parseXML(DEFAULT_XML_DATA);
-          setFormMode('file');
-        }}
+        accessibilityRole="button"
+        onPress={loadXMLFile}
       >
-        <Text style={styles.buttonText}>Render Form from XML File</Text>
+        <Text style={styles.buttonText}>{translate('loadFromFile')}</Text>
       </TouchableOpacity>
 
       <TouchableOpacity
         style={styles.button}
+        accessibilityRole="button"
         onPress={() => {
           setFormMode('custom');
+          setFormErrors([]);
           setModalVisible(true);
-          setParsedFields([]);
+          setFormDefinition(null);
         }}
       >
-        <Text style={styles.buttonText}>Render Form from XML Input</Text>
+        <Text style={styles.buttonText}>{translate('loadFromInput')}</Text>
       </TouchableOpacity>
 
+      {/* Errors raised before the modal opens (e.g. while loading a file) are shown on the home screen */}
+      {!modalVisible && renderFormErrors()}
+
+      {outboxCount > 0 && (
+        <View style={styles.outboxBar}>
+          <Text style={styles.outboxText}>{translate('outboxWaiting', { count: outboxCount })}</Text>
+          <TouchableOpacity accessibilityRole="button" onPress={() => sendOutbox()}>
+            <Text style={styles.outboxButtonText}>{translate('sendNow')}</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {failedSubmissions.length > 0 && (
+        <View style={styles.draftsContainer}>
+          <Text style={styles.draftsTitle}>{translate('failedSubmissions')}</Text>
+          <ScrollView style={styles.draftsList}>
+            {failedSubmissions.map((entry) => (
+              <View key={entry.id} style={styles.draftItem}>
+                <View style={styles.draftInfo}>
+                  <Text style={styles.draftName}>{entry.title || translate('untitledForm')}</Text>
+                  <Text style={styles.failedError}>
+                    {translate('failedAt', {
+                      date: new Date(entry.failedAt).toLocaleString(locale),
+                      error: entry.lastError,
+                    })}
+                  </Text>
+                </View>
+                <TouchableOpacity
+                  accessibilityRole="button"
+                  accessibilityLabel={translate('discardFailedOf', { title: entry.title || translate('untitledForm') })}
+                  onPress={() => Alert.alert(translate('discardFailedTitle'), translate('discardFailedMessage'), [
+                    { text: translate('cancel'), style: "cancel" },
+                    { text: translate('discard'), style: "destructive", onPress: () => discardFailedSubmission(entry.id) },
+                  ])}
+                >
+                  <Text style={styles.draftDiscardText}>{translate('discard')}</Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+          </ScrollView>
+        </View>
+      )}
+
+      {drafts.length > 0 && (
+        <View style={styles.draftsContainer}>
+          <Text style={styles.draftsTitle}>{translate('drafts')}</Text>
+          <ScrollView style={styles.draftsList}>
+            {drafts.map((draft) => (
+              <View key={draft.formKey} style={styles.draftItem}>
+                <TouchableOpacity
+                  style={styles.draftInfo}
+                  accessibilityRole="button"
+                  onPress={() => resumeDraft(draft)}
+                >
+                  <Text style={styles.draftName}>{draft.title || translate('untitledForm')}</Text>
+                  <Text style={styles.draftDate}>
+                    {translate('savedAt', { date: new Date(draft.updatedAt).toLocaleString(locale) })}
+                  </Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  accessibilityRole="button"
+                  accessibilityLabel={translate('discardDraftOf', { title: draft.title || translate('untitledForm') })}
+                  onPress={() => Alert.alert(translate('discardDraftTitle'), translate('discardDraftMessage'), [
+                    { text: translate('cancel'), style: "cancel" },
+                    { text: translate('discard'), style: "destructive", onPress: () => removeDraft(draft.formKey) },
+                  ])}
+                >
+                  <Text style={styles.draftDiscardText}>{translate('discard')}</Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+          </ScrollView>
+        </View>
+      )}
+
+      {renderLanguagePicker(appLanguages, appLanguage)}
+
       {renderFormModal()}
     </View>
   );
 }
 
+
 //styles
-const styles = StyleSheet.create({
+const createStyles = (theme) => StyleSheet.create({
   container: {
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: '#f5f5f5',
-    padding: 20
+    backgroundColor: theme.colors.background,
+    padding: theme.spacing * 2
   },
   title: {
-    fontSize: 24,
+    fontSize: theme.fontSize + 8,
+    fontFamily: theme.fontFamily,
     fontWeight: 'bold',
-    marginBottom: 30,
-    color: '#333'
+    marginBottom: theme.spacing * 3,
+    color: theme.colors.text
   },
   button: {
-    backgroundColor: '#007bff',
-    padding: 15,
-    borderRadius: 10,
+    backgroundColor: theme.colors.primary,
+    padding: theme.spacing * 1.5,
+    borderRadius: theme.radius + 2,
     width: '100%',
     alignItems: 'center',
-    marginVertical: 10
+    marginVertical: theme.spacing
   },
   buttonText: {
-    color: 'white',
-    fontSize: 18,
+    color: theme.colors.onPrimary,
+    fontSize: theme.fontSize + 2,
+    fontFamily: theme.fontFamily,
     fontWeight: '600'
   },
+  outboxBar: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    width: '100%',
+    backgroundColor: theme.colors.warningSurface,
+    borderRadius: theme.radius,
+    padding: theme.spacing * 1.2,
+    marginTop: theme.spacing
+  },
+  outboxText: {
+    color: theme.colors.warning,
+    fontFamily: theme.fontFamily,
+    flexShrink: 1
+  },
+  outboxButtonText: {
+    color: theme.colors.primary,
+    fontFamily: theme.fontFamily,
+    fontWeight: 'bold',
+    marginStart: theme.spacing
+  },
+  draftsContainer: {
+    width: '100%',
+    marginTop: theme.spacing * 2
+  },
+  draftsTitle: {
+    fontSize: theme.fontSize + 2,
+    fontFamily: theme.fontFamily,
+    fontWeight: 'bold',
+    color: theme.colors.text,
+    marginBottom: theme.spacing * 0.8
+  },
+  draftsList: {
+    maxHeight: 240
+  },
+  draftItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: theme.colors.surface,
+    borderRadius: theme.radius,
+    padding: theme.spacing * 1.2,
+    marginBottom: theme.spacing * 0.8
+  },
+  draftInfo: {
+    flex: 1
+  },
+  draftName: {
+    fontSize: theme.fontSize,
+    fontFamily: theme.fontFamily,
+    color: theme.colors.text
+  },
+  draftDate: {
+    fontSize: theme.fontSize - 4,
+    fontFamily: theme.fontFamily,
+    color: theme.colors.textMuted,
+    marginTop: 2
+  },
+  failedError: {
+    fontSize: theme.fontSize - 4,
+    fontFamily: theme.fontFamily,
+    color: theme.colors.error,
+    marginTop: 2
+  },
+  draftDiscardText: {
+    color: theme.colors.error,
+    fontFamily: theme.fontFamily,
+    fontWeight: 'bold',
+    marginStart: theme.spacing
+  },
   modalContainer: {
     flex: 1,
-    padding: 20
+    backgroundColor: theme.colors.surface
+  },
+  rtlContainer: {
+    direction: 'rtl'
+  },
+  languagePicker: {
+    width: '100%',
+    marginVertical: theme.spacing
   },
   modalTitle: {
-    fontSize: 22,
+    fontSize: theme.fontSize + 6,
+    fontFamily: theme.fontFamily,
     fontWeight: 'bold',
     textAlign: 'center',
-    marginBottom: 20
+    color: theme.colors.text,
+    marginBottom: theme.spacing * 2
+  },
+  modeButton: {
+    alignSelf: 'flex-end',
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    borderRadius: theme.radius,
+    paddingVertical: theme.spacing * 0.6,
+    paddingHorizontal: theme.spacing * 1.5,
+    marginBottom: theme.spacing * 2
+  },
+  modeButtonText: {
+    color: theme.colors.primary,
+    fontFamily: theme.fontFamily,
+    fontWeight: 'bold'
   },
   xmlInputContainer: {
-    marginBottom: 20
+    marginBottom: theme.spacing * 2
   },
   xmlInput: {
     borderWidth: 1,
-    borderColor: '#ddd',
-    borderRadius: 8,
-    padding: 10,
+    borderColor: theme.colors.border,
+    borderRadius: theme.radius,
+    padding: theme.spacing,
     height: 150,
-    marginBottom: 10
+    color: theme.colors.text,
+    marginBottom: theme.spacing
   },
   parseButton: {
-    backgroundColor: '#28a745',
-    padding: 12,
-    borderRadius: 8,
+    backgroundColor: theme.colors.success,
+    padding: theme.spacing * 1.2,
+    borderRadius: theme.radius,
     alignItems: 'center'
   },
   parseButtonText: {
-    color: 'white',
-    fontWeight: 'bold'
-  },
-  fieldContainer: {
-    marginVertical: 10
-  },
-  label: {
-    fontSize: 16,
-    marginBottom: 5,
-    fontWeight: 'bold'
-  },
-  input: {
-    borderWidth: 1,
-    borderColor: '#ddd',
-    borderRadius: 8,
-    padding: 10
-  },
-  radioOption: {
-    borderWidth: 1,
-    borderColor: '#ddd',
-    borderRadius: 8,
-    padding: 12,
-    marginVertical: 5
-  },
-  imagePickerButton: {
-    backgroundColor: '#17a2b8',
-    padding: 12,
-    borderRadius: 8,
-    alignItems: 'center'
-  },
-  imagePickerText: {
-    color: 'white',
-    fontWeight: 'bold'
-  },
-  image: {
-    width: 200,
-    height: 200,
-    alignSelf: 'center',
-    marginTop: 10,
-    borderRadius: 10
-  },
-  submitButton: {
-    backgroundColor: '#007bff',
-    padding: 15,
-    borderRadius: 10,
-    marginTop: 20,
-    alignItems: 'center'
-  },
-  submitButtonText: {
-    color: 'white',
-    fontSize: 18,
+    color: theme.colors.onPrimary,
+    fontFamily: theme.fontFamily,
     fontWeight: 'bold'
   },
   closeButton: {
-    backgroundColor: '#dc3545',
-    padding: 15,
-    borderRadius: 10,
-    marginTop: 20,
+    backgroundColor: theme.colors.error,
+    padding: theme.spacing * 1.5,
+    borderRadius: theme.radius + 2,
+    marginTop: theme.spacing * 2,
     alignItems: 'center'
   },
   closeButtonText: {
-    color: 'white',
-    fontSize: 16,
+    color: theme.colors.onPrimary,
+    fontSize: theme.fontSize,
+    fontFamily: theme.fontFamily,
     fontWeight: 'bold'
   },
   errorText: {
-    color: 'red',
-    marginBottom: 10,
+    color: theme.colors.error,
+    fontFamily: theme.fontFamily,
+    marginBottom: theme.spacing,
     textAlign: 'center'
   },
-  drawingModalContainer: {
-    flex: 1,
-    justifyContent: 'center',
-    alignItems: 'center',
-    backgroundColor: 'rgba(0,0,0,0.5)'
-  },
-  canvas: {
-    backgroundColor: 'white',
-    borderRadius: 10,
-    elevation: 5
-  },
-  drawingButtonContainer: {
-    flexDirection: 'row',
-    justifyContent: 'space-around',
-    width: '100%',
-    marginTop: 20
-  },
-  drawingButton: {
-    backgroundColor: '#007bff',
-    padding: 10,
-    borderRadius: 8,
-
-    width: '30%',
-    alignItems: 'center'
-  },
-  drawingButtonText: {
-    color: 'white',
-    fontWeight: 'bold'
-  },
-  radioContainer: {
-    flexDirection: 'column',
+  errorList: {
+    marginBottom: theme.spacing
   },
-  radioOption: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    padding: 10,
-    borderWidth: 1,
-    borderColor: '#ddd',
-    borderRadius: 8,
-    marginVertical: 5,
-  },
-  selectedRadioOption: {
-    backgroundColor: '#e6f2ff',
-  },
-  radioCircle: {
-    height: 24,
-    width: 24,
-    borderRadius: 12,
-    borderWidth: 2,
-    borderColor: '#007bff',
-    alignItems: 'center',
-    justifyContent: 'center',
-    marginRight: 10,
-  },
-  selectedRadioCircle: {
-    height: 12,
-    width: 12,
-    borderRadius: 6,
-    backgroundColor: '#007bff',
+  errorItem: {
+    borderLeftWidth: 3,
+    borderLeftColor: theme.colors.error,
+    backgroundColor: theme.colors.errorSurface,
+    paddingVertical: theme.spacing * 0.6,
+    paddingHorizontal: theme.spacing,
+    marginVertical: 3
   },
-  radioText: {
-    fontSize: 16,
+  errorItemText: {
+    color: theme.colors.error,
+    fontFamily: theme.fontFamily
   },
-  inputText: {
-    fontSize: 16,
-    color: '#333',
-    padding: 10,
+  errorItemLink: {
+    textDecorationLine: 'underline'
   },
-
-});
\ No newline at end of file
+});
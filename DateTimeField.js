@@ -0,0 +1,242 @@
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  Modal,
+  Platform,
+  StyleSheet
+} from 'react-native';
+import DateTimePicker, { DateTimePickerAndroid } from '@react-native-community/datetimepicker';
+import { parseISOValue, toISOValue, formatForDisplay } from './dateTime';
+import { defaultTranslate } from './i18n';
+import { LIGHT_THEME } from './theme';
+
+const PLACEHOLDERS = {
+  date: 'selectDate',
+  time: 'selectTime',
+  datetime: 'selectDatetime',
+};
+
+/**
+ * DateTimeField - Native date/time picker for `datetime` form fields
+ *
+ * Key Features:
+ * - `date`, `time` and `datetime` modes (from the field's `mode` attribute)
+ * - `min`/`max` bounds passed to the native picker
+ * - Values stored as ISO 8601 and shown in the device locale, or the given `locale`
+ *
+ * Android has no combined date-time dialog, so `datetime` opens the date dialog
+ * followed by the time dialog. iOS shows a spinner in a bottom sheet.
+ *
+ * @param {Object} field - The normalized field definition (see ./formDefinition)
+ * @param {string} value - The stored ISO 8601 value, or '' when empty
+ * @param {function} onChange - Called with the new ISO 8601 value ('' when cleared)
+ * @param {function} [translate] - Translates the picker's own texts (see ./i18n)
+ * @param {string} [locale] - BCP 47 locale the value and the iOS picker are shown in; the device locale when omitted
+ * @param {Object} [theme] - Colours and sizes (see ./theme); its colour scheme also styles the iOS picker
+ * @param {string} [accessibilityLabel] - Read out by screen readers for the picker button; the field's label by default
+ * @param {string} [accessibilityHint] - Read out by screen readers after the label
+ */
+const DateTimeField = ({
+  field,
+  value,
+  onChange,
+  translate = defaultTranslate,
+  locale,
+  theme = LIGHT_THEME,
+  accessibilityLabel = field.label,
+  accessibilityHint
+}) => {
+  const styles = useMemo(() => createStyles(theme), [theme]);
+  const { mode, min, max, format } = field.constraints;
+  const [iosPickerVisible, setIosPickerVisible] = useState(false);
+  const [pendingDate, setPendingDate] = useState(null);
+
+  const minimumDate = min ? parseISOValue(min, mode) : undefined;
+  const maximumDate = max ? parseISOValue(max, mode) : undefined;
+
+  /**
+   * Date the picker opens on: the current value, or now clamped into the bounds
+   */
+  const initialDate = () => {
+    const current = parseISOValue(value, mode);
+    if (current) {
+      return current;
+    }
+    const now = new Date();
+    if (minimumDate && now < minimumDate) {
+      return minimumDate;
+    }
+    if (maximumDate && now > maximumDate) {
+      return maximumDate;
+    }
+    return now;
+  };
+
+  const openAndroidPicker = () => {
+    DateTimePickerAndroid.open({
+      value: initialDate(),
+      mode: mode === 'time' ? 'time' : 'date',
+      minimumDate,
+      maximumDate,
+      onChange: (event, date) => {
+        if (event.type !== 'set') {
+          return;
+        }
+        if (mode !== 'datetime') {
+          onChange(toISOValue(date, mode));
+          return;
+        }
+        // Chaining the time dialog to complete a date-time value
+        DateTimePickerAndroid.open({
+          value: date,
+          mode: 'time',
+          onChange: (timeEvent, dateTime) => {
+            if (timeEvent.type === 'set') {
+              onChange(toISOValue(dateTime, mode));
+            }
+          },
+        });
+      },
+    });
+  };
+
+  const openPicker = () => {
+    if (Platform.OS === 'android') {
+      openAndroidPicker();
+    } else {
+      setPendingDate(initialDate());
+      setIosPickerVisible(true);
+    }
+  };
+
+  const confirmIosPicker = () => {
+    onChange(toISOValue(pendingDate, mode));
+    setIosPickerVisible(false);
+  };
+
+  const displayValue = formatForDisplay(value, mode, format, locale);
+
+  return (
+    <View>
+      <View style={styles.row}>
+        <TouchableOpacity
+          style={styles.valueButton}
+          accessibilityRole="button"
+          accessibilityLabel={accessibilityLabel}
+          accessibilityHint={accessibilityHint}
+          accessibilityValue={{ text: displayValue || translate(PLACEHOLDERS[mode]) }}
+          onPress={openPicker}
+        >
+          <Text style={displayValue ? styles.valueText : styles.placeholderText}>
+            {displayValue || translate(PLACEHOLDERS[mode])}
+          </Text>
+        </TouchableOpacity>
+        {Boolean(value) && !field.required && (
+          <TouchableOpacity
+            style={styles.clearButton}
+            accessibilityRole="button"
+            accessibilityLabel={translate('clearField', { label: field.label })}
+            onPress={() => onChange('')}
+          >
+            <Text style={styles.clearButtonText}>{translate('clear')}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {Platform.OS !== 'android' && (
+        <Modal
+          visible={iosPickerVisible}
+          animationType="slide"
+          transparent={true}
+          onRequestClose={() => setIosPickerVisible(false)}
+        >
+          <View style={styles.sheetBackdrop}>
+            <View style={styles.sheet}>
+              {pendingDate && (
+                <DateTimePicker
+                  value={pendingDate}
+                  mode={mode}
+                  display="spinner"
+                  locale={locale}
+                  themeVariant={theme.colorScheme}
+                  minimumDate={minimumDate}
+                  maximumDate={maximumDate}
+                  onChange={(event, date) => date && setPendingDate(date)}
+                />
+              )}
+              <View style={styles.sheetButtons}>
+                <TouchableOpacity onPress={() => setIosPickerVisible(false)}>
+                  <Text style={styles.sheetButtonText}>{translate('cancel')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={confirmIosPicker}>
+                  <Text style={[styles.sheetButtonText, styles.sheetDoneText]}>{translate('done')}</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </View>
+        </Modal>
+      )}
+    </View>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center'
+  },
+  valueButton: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.radius,
+    padding: theme.spacing
+  },
+  valueText: {
+    fontSize: theme.fontSize,
+    fontFamily: theme.fontFamily,
+    color: theme.colors.text
+  },
+  placeholderText: {
+    fontSize: theme.fontSize,
+    fontFamily: theme.fontFamily,
+    color: theme.colors.placeholder
+  },
+  clearButton: {
+    marginStart: theme.spacing,
+    padding: theme.spacing
+  },
+  clearButtonText: {
+    color: theme.colors.error,
+    fontFamily: theme.fontFamily,
+    fontWeight: 'bold'
+  },
+  sheetBackdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: theme.colors.backdrop
+  },
+  sheet: {
+    backgroundColor: theme.colors.surface,
+    borderTopLeftRadius: theme.radius + 2,
+    borderTopRightRadius: theme.radius + 2,
+    padding: theme.spacing * 2
+  },
+  sheetButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: theme.spacing
+  },
+  sheetButtonText: {
+    color: theme.colors.primary,
+    fontFamily: theme.fontFamily,
+    fontSize: theme.fontSize
+  },
+  sheetDoneText: {
+    fontWeight: 'bold'
+  }
+});
+
+export default DateTimeField;
@@ -0,0 +1,134 @@
+import React, { useMemo } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet
+} from 'react-native';
+import { SvgXml } from 'react-native-svg';
+import { isDrawingValue, drawingToSVG } from './drawingData';
+import { defaultTranslate } from './i18n';
+import { LIGHT_THEME } from './theme';
+
+/**
+ * DrawingField - Preview and actions of a `drawing` form field
+ *
+ * Key Features:
+ * - Thumbnail of the field's own drawing, rendered from its strokes
+ * - Edit (reopen the drawing), Re-sign (start from an empty canvas) and Clear
+ * - Typed signatures (see `DrawingValue` in ./drawingData) are described to screen readers by their text
+ * - Read-only mode showing the thumbnail alone, e.g. to review a submission
+ *
+ * The canvas itself is the `DrawingModal`, opened by the parent through `onOpen`.
+ *
+ * @param {Object|string} value - The field's `DrawingValue` (see ./drawingData), or '' when nothing is drawn
+ * @param {function} onOpen - Called with the drawing to open the canvas on ('' for an empty canvas)
+ * @param {function} onClear - Called to remove the drawing
+ * @param {string} [label] - The field's label, which screen readers use to describe the drawing
+ * @param {string} [accessibilityHint] - Read out by screen readers on the button that opens the canvas
+ * @param {function} [translate] - Translates the button texts (see ./i18n)
+ * @param {Object} [theme] - Colours and sizes (see ./theme)
+ * @param {boolean} [readOnly] - Whether to show the drawing without opening the canvas or offering actions
+ */
+const DrawingField = ({
+  value,
+  onOpen,
+  onClear,
+  label = '',
+  accessibilityHint,
+  translate = defaultTranslate,
+  theme = LIGHT_THEME,
+  readOnly = false
+}) => {
+  const styles = useMemo(() => createStyles(theme), [theme]);
+  const description = value.typed
+    ? translate('typedSignatureOf', { label, name: value.typed })
+    : translate('drawingOf', { label });
+
+  if (!isDrawingValue(value)) {
+    return (
+      <TouchableOpacity
+        style={styles.openButton}
+        accessibilityRole="button"
+        accessibilityHint={accessibilityHint}
+        onPress={() => onOpen('')}
+      >
+        <Text style={styles.openButtonText}>{translate('openDrawing')}</Text>
+      </TouchableOpacity>
+    );
+  }
+
+  if (readOnly) {
+    return (
+      <View style={styles.thumbnail} accessible={true} accessibilityRole="image" accessibilityLabel={description}>
+        <SvgXml xml={drawingToSVG(value)} width="100%" height="100%" />
+      </View>
+    );
+  }
+
+  return (
+    <View>
+      <TouchableOpacity
+        style={styles.thumbnail}
+        accessibilityRole="imagebutton"
+        accessibilityLabel={description}
+        accessibilityHint={accessibilityHint}
+        onPress={() => onOpen(value)}
+      >
+        <SvgXml xml={drawingToSVG(value)} width="100%" height="100%" />
+      </TouchableOpacity>
+      <View style={styles.actions}>
+        <TouchableOpacity style={styles.actionButton} accessibilityRole="button" onPress={() => onOpen(value)}>
+          <Text style={styles.actionText}>{translate('edit')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.actionButton} accessibilityRole="button" onPress={() => onOpen('')}>
+          <Text style={styles.actionText}>{translate('resign')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.actionButton} accessibilityRole="button" onPress={onClear}>
+          <Text style={[styles.actionText, styles.clearText]}>{translate('clear')}</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  openButton: {
+    backgroundColor: theme.colors.primary,
+    padding: theme.spacing,
+    borderRadius: theme.radius,
+    alignItems: 'center'
+  },
+  openButtonText: {
+    color: theme.colors.onPrimary,
+    fontFamily: theme.fontFamily,
+    fontWeight: 'bold'
+  },
+  thumbnail: {
+    height: 120,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.radius,
+    overflow: 'hidden',
+    // Drawings are made on white paper in every theme
+    backgroundColor: 'white'
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: theme.spacing * 0.8
+  },
+  actionButton: {
+    marginEnd: theme.spacing * 2,
+    paddingVertical: theme.spacing * 0.4
+  },
+  actionText: {
+    color: theme.colors.primary,
+    fontFamily: theme.fontFamily,
+    fontWeight: 'bold'
+  },
+  clearText: {
+    color: theme.colors.error
+  }
+});
+
+export default DrawingField;
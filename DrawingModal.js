@@ -1,34 +1,201 @@
-import React, { useState, useRef, useEffect } from 'react';
-import { 
-  View, 
-  Text, 
-  TouchableOpacity, 
-  Modal, 
-  Dimensions, 
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  Modal,
+  Dimensions,
   PanResponder,
   StyleSheet,
+  TextInput,
   Alert
 } from 'react-native';
-import Canvas from 'react-native-canvas';
+import Canvas, { Image as CanvasImage } from 'react-native-canvas';
+import { isDrawingValue, TYPED_SIGNATURE_FONT, getTypedSignatureSize } from './drawingData';
+import { defaultTranslate } from './i18n';
+import { LIGHT_THEME } from './theme';
+
+/**
+ * @constant {Array<string>} PEN_COLORS
+ * @description Colours offered in the toolbar. A `penColor` set in the XML is added when it is not one of them.
+ */
+const PEN_COLORS = ['#000000', '#1f4fd1', '#d12f2f', '#1a8a3a'];
+
+/**
+ * @constant {Object<string, string>} PEN_COLOR_NAMES
+ * @description Message keys (see ./i18n) of the names screen readers give the `PEN_COLORS`.
+ */
+const PEN_COLOR_NAMES = { '#000000': 'black', '#1f4fd1': 'blue', '#d12f2f': 'red', '#1a8a3a': 'green' };
+
+/**
+ * @constant {Array<number>} PEN_WIDTHS
+ * @description Stroke widths offered in the toolbar. A `penWidth` set in the XML is added when it is not one of them.
+ */
+const PEN_WIDTHS = [2, 4, 8];
+
+const ERASER_WIDTH = 24;
+const CANVAS_HEIGHT = 300;
+const MIN_CANVAS_HEIGHT = 150;
+const MAX_CANVAS_HEIGHT = 500;
+
+/**
+ * Sizes the canvas for a background image, following its aspect ratio within the height limits,
+ * and centres the image in it at the largest size that fits.
+ */
+const layoutBackground = (background, canvasWidth) => {
+  const height = Math.round(Math.min(
+    Math.max(canvasWidth * background.height / background.width, MIN_CANVAS_HEIGHT),
+    MAX_CANVAS_HEIGHT
+  ));
+  const scale = Math.min(canvasWidth / background.width, height / background.height);
+  const imageWidth = background.width * scale;
+  const imageHeight = background.height * scale;
+  return {
+    canvasHeight: height,
+    placement: {
+      uri: background.uri,
+      x: (canvasWidth - imageWidth) / 2,
+      y: (height - imageHeight) / 2,
+      width: imageWidth,
+      height: imageHeight,
+    },
+  };
+};
+
+/**
+ * Draws one stroke on the canvas. Eraser strokes cut through everything drawn before them.
+ */
+const drawStroke = (ctx, stroke) => {
+  ctx.globalCompositeOperation = stroke.tool === 'eraser' ? 'destination-out' : 'source-over';
+  ctx.beginPath();
+  ctx.strokeStyle = stroke.color;
+  ctx.lineWidth = stroke.width;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  stroke.points.forEach((point, index) => {
+    if (index === 0) {
+      ctx.moveTo(point.x, point.y);
+    } else {
+      ctx.lineTo(point.x, point.y);
+    }
+  });
+
+  ctx.stroke();
+};
 
 /**
  * DrawingModal - A dedicated component for capturing user drawings/signatures
- * 
+ *
  * Key Features:
  * - Full-screen drawing canvas
  * - Real-time drawing tracking
- * - Clear and save functionality
+ * - Pen colours and widths, and an eraser
+ * - Undo and redo, including of Clear
  * - Touch-based drawing interaction
+ * - Reopens an existing drawing for further editing
+ * - Draws over a background image (annotation), which the eraser leaves untouched
+ * - Type Instead: a typed signature for users who cannot draw, e.g. with a screen reader
+ *
+ * Strokes are recorded with the time of every point (see `Stroke` in ./drawingData).
+ *
+ * @param {boolean} visible - Whether the modal is shown
+ * @param {function} onClose - Called when the modal is dismissed
+ * @param {function} onSave - Called with the new `DrawingValue`, or '' when the canvas was saved empty
+ * @param {Object|string} [drawing] - The current value of the field, loaded when the modal opens
+ * @param {string} [output='png'] - The field's `output`; a PNG of the canvas is only captured for `png`
+ * @param {string} [penColor='#000000'] - Initial pen colour (the field's `penColor`)
+ * @param {number} [penWidth=2] - Initial pen width (the field's `penWidth`)
+ * @param {Object|null} [background] - Image to draw on, as loaded by ./drawingBackground (`uri`, `width`, `height`)
+ * @param {function} [translate] - Translates the toolbar texts (see ./i18n)
+ * @param {Object} [theme] - Colours and sizes of the toolbar and buttons (see ./theme)
  */
-const DrawingModal = ({ visible, onClose, onSave }) => {
+const DrawingModal = ({
+  visible,
+  onClose,
+  onSave,
+  drawing,
+  output = 'png',
+  penColor = '#000000',
+  penWidth = 2,
+  background = null,
+  translate = defaultTranslate,
+  theme = LIGHT_THEME
+}) => {
+  const styles = useMemo(() => createStyles(theme), [theme]);
   // Refs and state for managing drawing functionality
   const canvasRef = useRef(null);
-  const [paths, setPaths] = useState([]);
+  // Every edit adds a snapshot of the strokes; undo and redo move through the snapshots
+  const [history, setHistory] = useState({ snapshots: [[]], index: 0 });
   const [currentPath, setCurrentPath] = useState(null);
+  const [tool, setTool] = useState('pen');
+  const [color, setColor] = useState(penColor);
+  const [width, setWidth] = useState(penWidth);
+  const [typing, setTyping] = useState(false);
+  const [typedName, setTypedName] = useState('');
+
+  const paths = history.snapshots[history.index];
+  const colors = PEN_COLORS.includes(penColor) ? PEN_COLORS : [penColor, ...PEN_COLORS];
+  const widths = PEN_WIDTHS.includes(penWidth)
+    ? PEN_WIDTHS
+    : [...PEN_WIDTHS, penWidth].sort((a, b) => a - b);
+
+  // The PanResponder is created once, so it reads the pen and the stroke in progress through refs
+  const penRef = useRef(null);
+  penRef.current = tool === 'eraser'
+    ? { tool, color: '#000000', width: ERASER_WIDTH }
+    : { tool, color, width };
+  const currentPathRef = useRef(null);
+
+  const canvasWidth = Dimensions.get('window').width - 40;
+  const { canvasHeight, placement } = background
+    ? layoutBackground(background, canvasWidth)
+    : { canvasHeight: CANVAS_HEIGHT, placement: null };
+  // The background as loaded in the canvas WebView, once it has finished loading
+  const [backgroundImage, setBackgroundImage] = useState(null);
+
+  useEffect(() => {
+    setBackgroundImage(null);
+    if (!visible || !background || !canvasRef.current) {
+      return;
+    }
+    const image = new CanvasImage(canvasRef.current);
+    image.addEventListener('load', () => setBackgroundImage(image));
+    image.src = background.uri;
+  }, [visible, background]);
+
+  // Starting each drawing session from the field's current drawing, with the pen set in the XML
+  useEffect(() => {
+    if (visible) {
+      setHistory({ snapshots: [isDrawingValue(drawing) ? drawing.strokes : []], index: 0 });
+      updateCurrentPath(null);
+      setTool('pen');
+      setColor(penColor);
+      setWidth(penWidth);
+      setTyping(isDrawingValue(drawing) && Boolean(drawing.typed));
+      setTypedName(isDrawingValue(drawing) && drawing.typed ? drawing.typed : '');
+    }
+  }, [visible]);
+
+  /**
+   * Adds a new snapshot of the strokes, discarding the snapshots that could be redone
+   * @param {function} update - Returns the new strokes from the current ones
+   */
+  const commit = (update) => {
+    setHistory(({ snapshots, index }) => ({
+      snapshots: [...snapshots.slice(0, index + 1), update(snapshots[index])],
+      index: index + 1,
+    }));
+  };
+
+  const updateCurrentPath = (path) => {
+    currentPathRef.current = path;
+    setCurrentPath(path);
+  };
 
   /**
    * PanResponder for tracking touch interactions
-   * 
+   *
    * Manages:
    * - Starting a new drawing path
    * - Tracking path movement
@@ -46,10 +213,10 @@ const DrawingModal = ({ visible, onClose, onSave }) => {
        */
       onPanResponderGrant: (evt) => {
         const { locationX, locationY } = evt.nativeEvent;
-        setCurrentPath({ 
-          points: [{ x: locationX, y: locationY }],
-          color: 'black',
-          width: 2
+        updateCurrentPath({
+          ...penRef.current,
+          startedAt: Date.now(),
+          points: [{ x: locationX, y: locationY, t: 0 }],
         });
       },
 
@@ -59,21 +226,26 @@ const DrawingModal = ({ visible, onClose, onSave }) => {
        */
       onPanResponderMove: (evt) => {
         const { locationX, locationY } = evt.nativeEvent;
-        setCurrentPath(current => ({
-          ...current,
-          points: [...current.points, { x: locationX, y: locationY }]
-        }));
+        const current = currentPathRef.current;
+        if (current) {
+          updateCurrentPath({
+            ...current,
+            points: [...current.points, { x: locationX, y: locationY, t: Date.now() - current.startedAt }]
+          });
+        }
       },
 
       /**
        * Finalize drawing path when touch ends
        */
       onPanResponderRelease: () => {
-        if (currentPath) {
-          setPaths(prev => [...prev, currentPath]);
-          setCurrentPath(null);
+        const finished = currentPathRef.current;
+        if (finished) {
+          commit(current => [...current, finished]);
+          updateCurrentPath(null);
         }
-      }
+      },
+      onPanResponderTerminate: () => updateCurrentPath(null),
     })
   ).current;
 
@@ -83,106 +255,239 @@ const DrawingModal = ({ visible, onClose, onSave }) => {
       if (canvasRef.current) {
         const canvas = canvasRef.current;
         const ctx = canvas.getContext('2d');
-        
+
         // Clear canvas
-        ctx.fillStyle = 'white';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        
-        // Draw all stored paths
-        paths.forEach(path => {
-          ctx.beginPath();
-          ctx.strokeStyle = path.color;
-          ctx.lineWidth = path.width;
-          ctx.lineCap = 'round';
-          ctx.lineJoin = 'round';
-          
-          path.points.forEach((point, index) => {
-            if (index === 0) {
-              ctx.moveTo(point.x, point.y);
-            } else {
-              ctx.lineTo(point.x, point.y);
-            }
-          });
-          
-          ctx.stroke();
-        });
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-        // Drawing current path if drawing
-        if (currentPath) {
-          ctx.beginPath();
-          ctx.strokeStyle = currentPath.color;
-          ctx.lineWidth = currentPath.width;
-          ctx.lineCap = 'round';
-          ctx.lineJoin = 'round';
-          
-          currentPath.points.forEach((point, index) => {
-            if (index === 0) {
-              ctx.moveTo(point.x, point.y);
-            } else {
-              ctx.lineTo(point.x, point.y);
-            }
-          });
-          
-          ctx.stroke();
+        if (typing) {
+          // A typed signature replaces the strokes
+          const size = getTypedSignatureSize(typedName, canvas.width);
+          ctx.font = `${TYPED_SIGNATURE_FONT.style} ${size}px ${TYPED_SIGNATURE_FONT.family}`;
+          ctx.fillStyle = 'black';
+          ctx.textAlign = 'center';
+          ctx.textBaseline = 'middle';
+          ctx.fillText(typedName, canvas.width / 2, canvas.height / 2);
+        } else {
+          // Draw all stored paths, then the path being drawn
+          paths.forEach(path => drawStroke(ctx, path));
+          if (currentPath) {
+            drawStroke(ctx, currentPath);
+          }
         }
+
+        // Painting the background image and then white behind the strokes, so the eraser only removes strokes
+        ctx.globalCompositeOperation = 'destination-over';
+        if (backgroundImage && placement) {
+          ctx.drawImage(backgroundImage, placement.x, placement.y, placement.width, placement.height);
+        }
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.globalCompositeOperation = 'source-over';
       }
     };
 
     drawPaths();
-  }, [paths, currentPath]);
+  }, [paths, currentPath, backgroundImage, typing, typedName]);
 
   const clearCanvas = () => {
-    setPaths([]);
-    setCurrentPath(null);
+    if (paths.length > 0) {
+      commit(() => []);
+    }
+    updateCurrentPath(null);
+  };
+
+  const undo = () => {
+    setHistory(current => ({ ...current, index: Math.max(current.index - 1, 0) }));
+  };
+
+  const redo = () => {
+    setHistory(current => ({
+      ...current,
+      index: Math.min(current.index + 1, current.snapshots.length - 1),
+    }));
+  };
+
+  const selectPen = (options) => {
+    setTool('pen');
+    if (options.color) {
+      setColor(options.color);
+    }
+    if (options.width) {
+      setWidth(options.width);
+    }
   };
 
   const saveDrawing = async () => {
+    const typed = typing ? typedName.trim() : '';
+    if (typing ? !typed : paths.length === 0) {
+      onSave('');
+      onClose();
+      return;
+    }
     if (canvasRef.current) {
       try {
-        const dataURL = await canvasRef.current.toDataURL();
-        // Call onSave with the dataURL
-        onSave(dataURL);
+        const png = output === 'png' ? await canvasRef.current.toDataURL() : null;
+        const strokes = typing ? [] : paths;
+        onSave({
+          width: canvasWidth,
+          height: canvasHeight,
+          strokes,
+          ...(typed && { typed }),
+          background: placement,
+          png,
+        });
         onClose();
       } catch (error) {
         console.error('Error saving drawing:', error);
         // Optionally showing an alert to the user
-        Alert.alert('Error', 'Could not save drawing');
+        Alert.alert(translate('error'), translate('drawingSaveFailed'));
       }
     }
   };
 
+  const canUndo = history.index > 0;
+  const canRedo = history.index < history.snapshots.length - 1;
+
   return (
-    <Modal 
-      visible={visible} 
+    <Modal
+      visible={visible}
       animationType="slide"
       transparent={true}
       onRequestClose={onClose}
     >
-      <View style={styles.drawingModalContainer} {...panResponder.panHandlers}>
-        <Canvas
-          ref={canvasRef}
-          style={styles.canvas}
-          width={Dimensions.get('window').width - 40}
-          height={300}
-        />
+      <View style={styles.drawingModalContainer} accessibilityViewIsModal={true}>
+        <View style={styles.toolbar}>
+          {typing ? (
+            <TextInput
+              style={styles.typedInput}
+              value={typedName}
+              onChangeText={setTypedName}
+              placeholder={translate('typedSignaturePlaceholder')}
+              placeholderTextColor={theme.colors.placeholder}
+              accessibilityLabel={translate('typedSignaturePlaceholder')}
+              autoComplete="name"
+              autoFocus={true}
+            />
+          ) : (
+            <>
+              {colors.map(option => (
+                <TouchableOpacity
+                  key={option}
+                  style={[
+                    styles.colorSwatch,
+                    { backgroundColor: option },
+                    tool === 'pen' && color === option && styles.selectedTool
+                  ]}
+                  accessibilityRole="button"
+                  accessibilityLabel={translate('penColor', {
+                    color: PEN_COLOR_NAMES[option] ? translate(PEN_COLOR_NAMES[option]) : option
+                  })}
+                  accessibilityState={{ selected: tool === 'pen' && color === option }}
+                  onPress={() => selectPen({ color: option })}
+                />
+              ))}
+              {widths.map(option => (
+                <TouchableOpacity
+                  key={option}
+                  style={[styles.widthOption, tool === 'pen' && width === option && styles.selectedTool]}
+                  accessibilityRole="button"
+                  accessibilityLabel={translate('penWidth', { width: option })}
+                  accessibilityState={{ selected: tool === 'pen' && width === option }}
+                  onPress={() => selectPen({ width: option })}
+                >
+                  <View
+                    style={{
+                      width: Math.min(option, 20),
+                      height: Math.min(option, 20),
+                      borderRadius: Math.min(option, 20) / 2,
+                      backgroundColor: color
+                    }}
+                  />
+                </TouchableOpacity>
+              ))}
+              <TouchableOpacity
+                style={[styles.toolButton, tool === 'eraser' && styles.selectedTool]}
+                accessibilityRole="button"
+                accessibilityState={{ selected: tool === 'eraser' }}
+                onPress={() => setTool('eraser')}
+              >
+                <Text style={styles.toolButtonText}>{translate('eraser')}</Text>
+              </TouchableOpacity>
+            </>
+          )}
+          <TouchableOpacity
+            style={styles.toolButton}
+            accessibilityRole="button"
+            onPress={() => setTyping(!typing)}
+          >
+            <Text style={styles.toolButtonText}>{translate(typing ? 'drawInstead' : 'typeInstead')}</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Touches are handled by the wrapper so that point coordinates are relative to the canvas */}
+        <View
+          {...(typing ? {} : panResponder.panHandlers)}
+          accessible={true}
+          accessibilityRole="image"
+          accessibilityLabel={translate('drawingCanvas')}
+          accessibilityHint={typing ? undefined : translate('drawingCanvasHint')}
+        >
+          <View pointerEvents="none">
+            <Canvas
+              ref={canvasRef}
+              style={styles.canvas}
+              width={canvasWidth}
+              height={canvasHeight}
+            />
+          </View>
+        </View>
+
         <View style={styles.drawingButtonContainer}>
-          <TouchableOpacity 
-            style={styles.drawingButton} 
-            onPress={clearCanvas}
+          {!typing && (
+            <>
+              <TouchableOpacity
+                style={[styles.drawingButton, !canUndo && styles.disabledButton]}
+                accessibilityRole="button"
+                accessibilityState={{ disabled: !canUndo }}
+                disabled={!canUndo}
+                onPress={undo}
+              >
+                <Text style={styles.drawingButtonText}>{translate('undo')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.drawingButton, !canRedo && styles.disabledButton]}
+                accessibilityRole="button"
+                accessibilityState={{ disabled: !canRedo }}
+                disabled={!canRedo}
+                onPress={redo}
+              >
+                <Text style={styles.drawingButtonText}>{translate('redo')}</Text>
+              </TouchableOpacity>
+            </>
+          )}
+          <TouchableOpacity
+            style={styles.drawingButton}
+            accessibilityRole="button"
+            onPress={typing ? () => setTypedName('') : clearCanvas}
           >
-            <Text style={styles.drawingButtonText}>Clear</Text>
+            <Text style={styles.drawingButtonText}>{translate('clear')}</Text>
           </TouchableOpacity>
-          <TouchableOpacity 
-            style={styles.drawingButton} 
+        </View>
+        <View style={styles.drawingButtonContainer}>
+          <TouchableOpacity
+            style={styles.drawingButton}
+            accessibilityRole="button"
             onPress={saveDrawing}
           >
-            <Text style={styles.drawingButtonText}>Save</Text>
+            <Text style={styles.drawingButtonText}>{translate('save')}</Text>
           </TouchableOpacity>
-          <TouchableOpacity 
-            style={styles.drawingButton} 
+          <TouchableOpacity
+            style={styles.drawingButton}
+            accessibilityRole="button"
             onPress={onClose}
           >
-            <Text style={styles.drawingButtonText}>Cancel</Text>
+            <Text style={styles.drawingButtonText}>{translate('cancel')}</Text>
           </TouchableOpacity>
         </View>
       </View>
@@ -190,13 +495,70 @@ const DrawingModal = ({ visible, onClose, onSave }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (theme) => StyleSheet.create({
   drawingModalContainer: {
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: 'rgba(0,0,0,0.5)'
+    backgroundColor: theme.colors.backdrop
   },
+  toolbar: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: theme.colors.surface,
+    borderRadius: theme.radius + 2,
+    padding: theme.spacing * 0.8,
+    marginBottom: theme.spacing
+  },
+  colorSwatch: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    margin: 4,
+    borderWidth: 2,
+    borderColor: 'transparent'
+  },
+  widthOption: {
+    width: 32,
+    height: 32,
+    margin: 4,
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: 'transparent',
+    alignItems: 'center',
+    justifyContent: 'center'
+  },
+  toolButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    margin: 4,
+    borderRadius: theme.radius,
+    borderWidth: 2,
+    borderColor: 'transparent'
+  },
+  typedInput: {
+    flexGrow: 1,
+    minWidth: 180,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.radius,
+    padding: theme.spacing * 0.8,
+    margin: 4,
+    color: theme.colors.text,
+    fontSize: theme.fontSize,
+    fontFamily: theme.fontFamily
+  },
+  toolButtonText: {
+    color: theme.colors.text,
+    fontFamily: theme.fontFamily,
+    fontWeight: 'bold'
+  },
+  selectedTool: {
+    borderColor: theme.colors.primary
+  },
+  // The canvas is white paper in every theme, like the drawings it produces
   canvas: {
     backgroundColor: 'white',
     borderRadius: 10,
@@ -206,19 +568,23 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     justifyContent: 'space-around',
     width: '100%',
-    marginTop: 20
+    marginTop: theme.spacing * 2
   },
   drawingButton: {
-    backgroundColor: '#007bff',
-    padding: 10,
-    borderRadius: 8,
+    backgroundColor: theme.colors.primary,
+    padding: theme.spacing,
+    borderRadius: theme.radius,
     width: '30%',
     alignItems: 'center'
   },
+  disabledButton: {
+    opacity: 0.5
+  },
   drawingButtonText: {
-    color: 'white',
+    color: theme.colors.onPrimary,
+    fontFamily: theme.fontFamily,
     fontWeight: 'bold'
   }
 });
 
-export default DrawingModal;
\ No newline at end of file
+export default DrawingModal;
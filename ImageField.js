@@ -0,0 +1,256 @@
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  Image,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  StyleSheet
+} from 'react-native';
+import { captureImages } from './imageCapture';
+import { defaultTranslate } from './i18n';
+import { LIGHT_THEME } from './theme';
+
+/**
+ * Translated message of an `ImageCaptureError`. Unexpected failures keep their own message,
+ * which carries the platform's explanation.
+ */
+const describeError = (error, translate) => {
+  switch (error.code) {
+    case 'permission-denied':
+      return translate(error.params.source === 'camera' ? 'cameraAccessNeeded' : 'libraryAccessNeeded');
+    case 'too-large':
+      return translate('imageTooLarge', error.params);
+    default:
+      return error.message;
+  }
+};
+
+/**
+ * ImageField - Photo capture and selection for `image` form fields
+ *
+ * Key Features:
+ * - Camera and/or library buttons, from the field's `source` attribute
+ * - Thumbnails with remove and move left/right controls; removed photos are only taken out of the value, and
+ *   their files deleted once the form no longer needs them (see `deleteStoredImages` in ./imageCapture)
+ * - Stops offering new images once `maxCount` is reached
+ * - Photos and their controls are described to screen readers by position ("photo 2 of 3")
+ * - Read-only mode showing the thumbnails alone, e.g. to review a submission
+ *
+ * Resizing, compression and the `maxSizeKB` check happen in ./imageCapture.
+ *
+ * @param {Object} field - The normalized field definition (see ./formDefinition)
+ * @param {Array<Object>} value - The field's images (see `ImageValue` in ./imageCapture)
+ * @param {function} onChange - Called with the new array of images
+ * @param {function} [translate] - Translates the button texts and error messages (see ./i18n)
+ * @param {Object} [theme] - Colours and sizes (see ./theme)
+ * @param {string} [accessibilityHint] - Read out by screen readers on the buttons that add images
+ * @param {boolean} [readOnly] - Whether to show the images without the controls that change them
+ */
+const ImageField = ({
+  field,
+  value,
+  onChange,
+  translate = defaultTranslate,
+  theme = LIGHT_THEME,
+  accessibilityHint,
+  readOnly = false
+}) => {
+  const styles = useMemo(() => createStyles(theme), [theme]);
+  const [busy, setBusy] = useState(false);
+  const { source, maxCount } = field.constraints;
+  const remaining = maxCount - value.length;
+
+  const addImages = async (from) => {
+    setBusy(true);
+    try {
+      const { images, errors } = await captureImages(field, from, remaining);
+      if (images.length > 0) {
+        onChange([...value, ...images]);
+      }
+      if (errors.length > 0) {
+        Alert.alert(
+          errors.length === 1 ? translate('imageNotAdded') : translate('imagesNotAdded', { count: errors.length }),
+          errors.map(error => describeError(error, translate)).join('\n')
+        );
+      }
+    } catch (error) {
+      if (error.code !== 'cancelled') {
+        Alert.alert(translate('imageNotAdded'), describeError(error, translate));
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const move = (index, offset) => {
+    const next = [...value];
+    const [image] = next.splice(index, 1);
+    next.splice(index + offset, 0, image);
+    onChange(next);
+  };
+
+  const remove = (index) => {
+    onChange(value.filter((image, imageIndex) => imageIndex !== index));
+  };
+
+  return (
+    <View>
+      {value.length > 0 && (
+        <View style={styles.thumbnails}>
+          {value.map((image, index) => (
+            <View key={image.uri} style={styles.thumbnailContainer}>
+              <Image
+                source={{ uri: image.uri }}
+                style={styles.thumbnail}
+                accessible={true}
+                accessibilityRole="image"
+                accessibilityLabel={translate('photoOf', { label: field.label, number: index + 1, count: value.length })}
+              />
+              {!readOnly && (
+                <TouchableOpacity
+                  style={styles.removeButton}
+                  accessibilityRole="button"
+                  accessibilityLabel={translate('removePhoto', { number: index + 1 })}
+                  onPress={() => remove(index)}
+                >
+                  <Text style={styles.removeButtonText}>×</Text>
+                </TouchableOpacity>
+              )}
+              {!readOnly && value.length > 1 && (
+                <View style={styles.moveButtons}>
+                  <TouchableOpacity
+                    disabled={index === 0}
+                    accessibilityRole="button"
+                    accessibilityLabel={translate('movePhotoEarlier', { number: index + 1 })}
+                    accessibilityState={{ disabled: index === 0 }}
+                    onPress={() => move(index, -1)}
+                  >
+                    <Text style={[styles.moveText, index === 0 && styles.disabledText]}>◀</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    disabled={index === value.length - 1}
+                    accessibilityRole="button"
+                    accessibilityLabel={translate('movePhotoLater', { number: index + 1 })}
+                    accessibilityState={{ disabled: index === value.length - 1 }}
+                    onPress={() => move(index, 1)}
+                  >
+                    <Text style={[styles.moveText, index === value.length - 1 && styles.disabledText]}>▶</Text>
+                  </TouchableOpacity>
+                </View>
+              )}
+            </View>
+          ))}
+        </View>
+      )}
+
+      {busy ? (
+        <ActivityIndicator style={styles.busy} color={theme.colors.primary} accessibilityLiveRegion="polite" />
+      ) : !readOnly && remaining > 0 && (
+        <View style={styles.buttons}>
+          {source !== 'library' && (
+            <TouchableOpacity
+              style={styles.addButton}
+              accessibilityRole="button"
+              accessibilityHint={accessibilityHint}
+              onPress={() => addImages('camera')}
+            >
+              <Text style={styles.addButtonText}>{translate('takePhoto')}</Text>
+            </TouchableOpacity>
+          )}
+          {source !== 'camera' && (
+            <TouchableOpacity
+              style={styles.addButton}
+              accessibilityRole="button"
+              accessibilityHint={accessibilityHint}
+              onPress={() => addImages('library')}
+            >
+              <Text style={styles.addButtonText}>{translate('chooseFromLibrary')}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
+      {!readOnly && maxCount > 1 && (
+        <Text style={styles.countText}>{translate('imageCount', { count: value.length, max: maxCount })}</Text>
+      )}
+    </View>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  thumbnails: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: theme.spacing / 2
+  },
+  thumbnailContainer: {
+    marginEnd: theme.spacing,
+    marginBottom: theme.spacing,
+    alignItems: 'center'
+  },
+  thumbnail: {
+    width: 90,
+    height: 90,
+    borderRadius: theme.radius,
+    backgroundColor: theme.colors.divider
+  },
+  removeButton: {
+    position: 'absolute',
+    top: -8,
+    right: -8,
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    backgroundColor: theme.colors.error,
+    alignItems: 'center',
+    justifyContent: 'center'
+  },
+  removeButtonText: {
+    color: theme.colors.onPrimary,
+    fontWeight: 'bold',
+    fontSize: 16,
+    lineHeight: 18
+  },
+  moveButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    width: 90,
+    marginTop: theme.spacing * 0.4
+  },
+  moveText: {
+    color: theme.colors.primary,
+    fontSize: theme.fontSize,
+    paddingHorizontal: theme.spacing * 0.8
+  },
+  disabledText: {
+    color: theme.colors.disabled
+  },
+  buttons: {
+    flexDirection: 'row'
+  },
+  addButton: {
+    backgroundColor: theme.colors.primary,
+    padding: theme.spacing,
+    borderRadius: theme.radius,
+    marginEnd: theme.spacing
+  },
+  addButtonText: {
+    color: theme.colors.onPrimary,
+    fontFamily: theme.fontFamily,
+    fontWeight: 'bold'
+  },
+  busy: {
+    alignSelf: 'flex-start',
+    padding: theme.spacing
+  },
+  countText: {
+    fontSize: theme.fontSize - 4,
+    fontFamily: theme.fontFamily,
+    color: theme.colors.textMuted,
+    marginTop: theme.spacing / 2
+  }
+});
+
+export default ImageField;
@@ -0,0 +1,165 @@
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  Modal,
+  FlatList,
+  StyleSheet
+} from 'react-native';
+import { defaultTranslate } from './i18n';
+import { LIGHT_THEME } from './theme';
+
+/**
+ * SelectField - Dropdown for `select` form fields
+ *
+ * Key Features:
+ * - Shows the label of the selected `<option>`
+ * - Opens a scrollable option list in a modal sheet
+ * - Optional fields can be reset to no selection
+ * - Announced to screen readers as a combo box with its selected option
+ *
+ * @param {Object} field - The normalized field definition (see ./formDefinition)
+ * @param {string} value - The selected option value, or '' when nothing is selected
+ * @param {function} onChange - Called with the newly selected option value
+ * @param {function} [translate] - Translates the placeholder and "None" entry (see ./i18n)
+ * @param {Object} [theme] - Colours and sizes (see ./theme)
+ * @param {string} [accessibilityLabel] - Read out by screen readers for the dropdown; the field's label by default
+ * @param {string} [accessibilityHint] - Read out by screen readers after the label
+ */
+const SelectField = ({
+  field,
+  value,
+  onChange,
+  translate = defaultTranslate,
+  theme = LIGHT_THEME,
+  accessibilityLabel = field.label,
+  accessibilityHint
+}) => {
+  const styles = useMemo(() => createStyles(theme), [theme]);
+  const [open, setOpen] = useState(false);
+  const selected = field.options.find(option => option.value === value);
+
+  // Optional selects get an explicit "no selection" entry
+  const choices = field.required
+    ? field.options
+    : [{ value: '', label: translate('none') }, ...field.options];
+
+  const choose = (optionValue) => {
+    onChange(optionValue);
+    setOpen(false);
+  };
+
+  return (
+    <View>
+      <TouchableOpacity
+        style={styles.selectButton}
+        accessibilityRole="combobox"
+        accessibilityLabel={accessibilityLabel}
+        accessibilityHint={accessibilityHint}
+        accessibilityValue={{ text: selected ? selected.label : translate('selectOption') }}
+        accessibilityState={{ expanded: open }}
+        onPress={() => setOpen(true)}
+      >
+        <Text style={selected ? styles.valueText : styles.placeholderText}>
+          {selected ? selected.label : translate('selectOption')}
+        </Text>
+        <Text style={styles.chevron} importantForAccessibility="no" accessibilityElementsHidden={true}>▾</Text>
+      </TouchableOpacity>
+
+      <Modal
+        visible={open}
+        animationType="fade"
+        transparent={true}
+        onRequestClose={() => setOpen(false)}
+      >
+        <TouchableOpacity
+          style={styles.backdrop}
+          activeOpacity={1}
+          accessibilityRole="button"
+          accessibilityLabel={translate('closeOptions')}
+          onPress={() => setOpen(false)}
+        >
+          {/* Claiming touches so taps inside the sheet do not close it */}
+          <View style={styles.sheet} onStartShouldSetResponder={() => true} accessibilityViewIsModal={true}>
+            <Text style={styles.sheetTitle} accessibilityRole="header">{field.label}</Text>
+            <FlatList
+              data={choices}
+              keyExtractor={(option, index) => `${index}-${option.value}`}
+              renderItem={({ item }) => (
+                <TouchableOpacity
+                  style={[styles.option, item.value === value && styles.selectedOption]}
+                  accessibilityRole="button"
+                  accessibilityState={{ selected: item.value === value }}
+                  onPress={() => choose(item.value)}
+                >
+                  <Text style={styles.optionText}>{item.label}</Text>
+                </TouchableOpacity>
+              )}
+            />
+          </View>
+        </TouchableOpacity>
+      </Modal>
+    </View>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  selectButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.radius,
+    padding: theme.spacing
+  },
+  valueText: {
+    fontSize: theme.fontSize,
+    fontFamily: theme.fontFamily,
+    color: theme.colors.text
+  },
+  placeholderText: {
+    fontSize: theme.fontSize,
+    fontFamily: theme.fontFamily,
+    color: theme.colors.placeholder
+  },
+  chevron: {
+    fontSize: theme.fontSize,
+    color: theme.colors.primary
+  },
+  backdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: theme.spacing * 2,
+    backgroundColor: theme.colors.backdrop
+  },
+  sheet: {
+    maxHeight: '70%',
+    backgroundColor: theme.colors.surface,
+    borderRadius: theme.radius + 2,
+    padding: theme.spacing * 1.5
+  },
+  sheetTitle: {
+    fontSize: theme.fontSize + 2,
+    fontFamily: theme.fontFamily,
+    fontWeight: 'bold',
+    color: theme.colors.text,
+    marginBottom: theme.spacing
+  },
+  option: {
+    padding: theme.spacing * 1.2,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.divider
+  },
+  selectedOption: {
+    backgroundColor: theme.colors.selected
+  },
+  optionText: {
+    fontSize: theme.fontSize,
+    fontFamily: theme.fontFamily,
+    color: theme.colors.text
+  }
+});
+
+export default SelectField;
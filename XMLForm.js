@@ -0,0 +1,1040 @@
+import React, { useState, useEffect, useRef, useMemo, forwardRef, useImperativeHandle } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  AccessibilityInfo,
+  findNodeHandle,
+  useColorScheme,
+} from 'react-native';
+import { Formik, FieldArray, getIn, setNestedObjectValues } from 'formik';
+import * as Localization from 'expo-localization';
+import { getFieldType, formatFieldValue, isEmptyValue } from './fieldTypes';
+import './fieldComponents';
+import {
+  parseFormXML,
+  formatFormError,
+  buildInitialValues,
+  buildRepeatEntry,
+  getEntryScope,
+  applyCalculatedValues,
+  validateFormValues,
+  getHiddenFieldIds,
+  getSubmittedValues,
+  getLayoutFields,
+  getVisiblePages,
+  listFieldErrors,
+  isFieldRequired,
+  localizeDefinition,
+  getFormMessages,
+  getChangedFields,
+} from './formDefinition';
+import {
+  MESSAGES,
+  createTranslator,
+  resolveLanguage,
+  resolveLocale,
+  isRTLLanguage,
+} from './i18n';
+import { resolveTheme } from './theme';
+import { submitFormValues } from './formSubmission';
+
+/**
+ * @component ReportChanges
+ * @description Calls `onChange` whenever the values, the page shown or the form's state change, but not when
+ * the form mounts, so that the host app hears about edits rather than about the initial values.
+ *
+ * @param {Object} props
+ * @param {Object} props.definition - The form definition.
+ * @param {Object} props.initialValues - Formik's `initialValues`, which the changes are worked out from.
+ * @param {Object} props.values - The current Formik values.
+ * @param {number} props.page - Index of the wizard page shown.
+ * @param {boolean} props.dirty - Formik's `dirty` flag.
+ * @param {boolean} props.isSubmitting - Formik's `isSubmitting` flag.
+ * @param {function} props.onChange - Called with `(values, { page, dirty, isSubmitting, changes })`.
+ */
+const ReportChanges = ({ definition, initialValues, values, page, dirty, isSubmitting, onChange }) => {
+  const mounted = useRef(false);
+
+  useEffect(() => {
+    if (!mounted.current) {
+      mounted.current = true;
+      return;
+    }
+    const changes = getChangedFields(definition, initialValues, values);
+    onChange(values, { page, dirty, isSubmitting, changes });
+  }, [values, page, dirty, isSubmitting]);
+
+  return null;
+};
+
+/**
+ * @component SyncCalculatedValues
+ * @description Keeps the values of `calculated` fields and fields with an `expr` up to date while the
+ * user edits the form (see `applyCalculatedValues` in ./formDefinition).
+ *
+ * @param {Object} props
+ * @param {Object} props.definition - The form definition.
+ * @param {Object} props.values - The current Formik values.
+ * @param {function} props.setValues - Formik's `setValues`.
+ */
+const SyncCalculatedValues = ({ definition, values, setValues }) => {
+  useEffect(() => {
+    const calculated = applyCalculatedValues(definition, values);
+    if (calculated !== values) {
+      setValues(calculated);
+    }
+  }, [definition, values]);
+
+  return null;
+};
+
+/**
+ * @component FocusFirstError
+ * @description Calls `onInvalidSubmit` with the errors when a submission is stopped by validation errors,
+ * so the renderer can move focus to the first invalid field.
+ *
+ * @param {Object} props
+ * @param {number} props.submitCount - Formik's `submitCount`.
+ * @param {boolean} props.isSubmitting - Formik's `isSubmitting` flag.
+ * @param {Object} props.errors - Formik's `errors`.
+ * @param {function} props.onInvalidSubmit - Called with the errors after a failed submission attempt.
+ */
+const FocusFirstError = ({ submitCount, isSubmitting, errors, onInvalidSubmit }) => {
+  const handledCount = useRef(submitCount);
+
+  useEffect(() => {
+    // Formik clears `isSubmitting` once validation has failed, or once a valid submission has been handled
+    if (!isSubmitting && submitCount > handledCount.current) {
+      handledCount.current = submitCount;
+      if (Object.keys(errors).length > 0) {
+        onInvalidSubmit(errors);
+      }
+    }
+  }, [submitCount, isSubmitting]);
+
+  return null;
+};
+
+/**
+ * @component XMLForm
+ * @description Renders a form defined in XML, with no screen or modal of its own, so that host apps can place
+ * forms in their own navigation stack. The demo app (./App) shows it in a modal.
+ *
+ * The form is parsed from `xml`, or given already parsed as `definition` (see `parseFormXML` in ./formDefinition).
+ * It is rendered in a scroll view, between the optional `header` and `footer`; without either prop only those
+ * are shown. Render it with a new `key` to start another form from scratch.
+ *
+ * Forms open pre-filled with the values of their `<data>` element and the `initialValues` prop, e.g. to correct a
+ * previous submission; `mode="review"` shows them without letting the user change them. The fields the user changed
+ * are reported to `onChange` and `onSubmit` as `changes` (see `getChangedFields` in ./formDefinition).
+ *
+ * @state {Object|null} parseResult - The result of parsing `xml` (`{ definition, errors }`), or `null` while parsing.
+ * @state {number} currentPage - Index of the wizard page shown, for forms made of `<page>` elements.
+ *
+ * @param {Object} props
+ * @param {string} [props.xml] - The XML of the form.
+ * @param {Object} [props.definition] - The parsed form definition, in place of `xml`.
+ * @param {Object} [props.initialValues] - Values to start with, keyed by field id (e.g. those of a submission being
+ * corrected, or of a draft), applied over the form's `default` values and `<data>`. Read when the form is loaded.
+ * @param {number} [props.initialPage=0] - Index of the wizard page to start on.
+ * @param {string} [props.mode='edit'] - `edit`, or `review` to show the values without inputs: the wizard pages can
+ * be browsed but not submitted, and `<repeat>` entries cannot be added or removed.
+ * @param {function} [props.onSubmit] - `async (values, { definition, reset, changes }) => void`, called with the
+ * values to submit (hidden fields left out, drawings in their `output` format) once they are valid, and the
+ * fields changed since the form was loaded. `reset()` restores the initial values, pre-filled ones included, and
+ * page. Without it the values are sent to the form's `<submit>` target, or shown when it has none. When it throws
+ * after the submit button was pressed, the error's message is alerted.
+ * @param {function} [props.onChange] - `(values, { page, dirty, isSubmitting, changes }) => void`, called with the
+ * Formik values whenever they, the page shown or the submission state change.
+ * @param {function} [props.onValidate] - `(values, errors) => errors`, possibly async, for checks of the host app.
+ * Called with the errors of the form's own rules; the errors it returns, keyed by field id, are added to them.
+ * @param {function} [props.onError] - Called with the `FormError`s (see ./formDefinition) when `xml` cannot be parsed.
+ * The errors are listed in place of the form as well.
+ * @param {string} [props.language] - Language to show the form in; by default the device language, when the form has it.
+ * @param {Object<string, Object<string, string>>} [props.messages] - Extra or replacement built-in messages by language
+ * and message key (see `MESSAGES` in ./i18n). The form's own `ui.*` translations take precedence.
+ * @param {Object} [props.theme] - A partial theme (see `Theme` in ./theme) applied over the built-in light and dark
+ * themes, with `dark` overrides for dark mode. The form's own `<theme>` is applied over it.
+ * @param {string} [props.colorScheme] - `light` or `dark` to fix the colour scheme; by default it follows the system.
+ * @param {Object<string, number>} [props.assets] - Images bundled with the app that drawing fields can use as
+ * `background="asset:<name>"`.
+ * @param {React.ReactNode} [props.header] - Rendered above the form, inside its scroll view.
+ * @param {React.ReactNode} [props.footer] - Rendered below the form's buttons, inside its scroll view.
+ * @param {Object} [props.style] - Style of the outer view, which fills its parent by default.
+ * @param {Object} ref - Receives the imperative API:
+ * - `submit()`: validates the form, showing the first page with an error, and submits it when it is valid.
+ *   Returns a promise that rejects when `onSubmit` throws.
+ * - `reset()`: restores the initial values and page.
+ * - `getValues()`: the current Formik values, keyed by field id.
+ * - `getChanges()`: the fields changed since the form was loaded (see `getChangedFields` in ./formDefinition).
+ * - `setValue(id, value)`: sets the value of a field, by its id or Formik path (e.g. `items.0.name`).
+ *
+ * @uses formik
+ * @uses expo-localization
+ * @uses ./formDefinition
+ * @uses ./formSubmission
+ * @uses ./i18n
+ * @uses ./theme
+ * @uses ./fieldTypes
+ * @uses ./fieldComponents
+ */
+const XMLForm = forwardRef(({
+  xml,
+  definition: parsedDefinition,
+  initialValues,
+  initialPage = 0,
+  mode = 'edit',
+  onSubmit,
+  onChange,
+  onValidate,
+  onError,
+  language,
+  messages,
+  theme,
+  colorScheme,
+  assets,
+  header = null,
+  footer = null,
+  style,
+}, ref) => {
+  const [parseResult, setParseResult] = useState(null);
+  const [currentPage, setCurrentPage] = useState(initialPage);
+  const formikRef = useRef(null);
+  const reviewing = mode === 'review';
+  const formScrollRef = useRef(null);
+  // The label and, when its type passes one to `inputRef` (e.g. a text input), the input of every rendered field,
+  // by Formik path, to move focus to errors
+  const fieldRefs = useRef({});
+
+  // Parsing the XML, unless the definition is given already parsed
+  useEffect(() => {
+    if (parsedDefinition || !xml) {
+      setParseResult(null);
+      return undefined;
+    }
+    let cancelled = false;
+    setParseResult(null);
+    parseFormXML(xml).then((result) => {
+      if (cancelled) {
+        return;
+      }
+      setParseResult(result);
+      if (result.errors.length > 0 && onError) {
+        onError(result.errors);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [xml, parsedDefinition]);
+
+  const formDefinition = parsedDefinition
+    || (parseResult && parseResult.errors.length === 0 ? parseResult.definition : null);
+  const parseErrors = !parsedDefinition && parseResult ? parseResult.errors : [];
+
+  // Starting every form loaded on its initial page
+  useEffect(() => {
+    setCurrentPage(initialPage);
+  }, [formDefinition]);
+
+  // The `language` prop, then the device languages, in the best of the form's own languages
+  const deviceLanguages = useMemo(() => Localization.getLocales().map((locale) => locale.languageTag), []);
+  const preferredLanguages = [language, ...deviceLanguages];
+  const activeLanguage = formDefinition
+    ? resolveLanguage(preferredLanguages, formDefinition.languages, formDefinition.language)
+    : resolveLanguage(preferredLanguages, Object.keys({ ...MESSAGES, ...messages }));
+  const rtl = isRTLLanguage(activeLanguage);
+  const locale = resolveLocale(activeLanguage, deviceLanguages);
+
+  const translate = useMemo(
+    () => createTranslator(activeLanguage, [formDefinition ? getFormMessages(formDefinition) : {}, messages || {}]),
+    [activeLanguage, formDefinition, messages]
+  );
+  const definition = useMemo(
+    () => formDefinition && localizeDefinition(formDefinition, activeLanguage),
+    [formDefinition, activeLanguage]
+  );
+  // Built once per form, so that Formik only starts over when another form is loaded
+  const formInitialValues = useMemo(
+    () => formDefinition && buildInitialValues(formDefinition, initialValues),
+    [formDefinition]
+  );
+
+  const systemColorScheme = useColorScheme();
+  const activeTheme = useMemo(
+    () => resolveTheme(colorScheme || systemColorScheme, theme, formDefinition?.theme),
+    [colorScheme, systemColorScheme, theme, formDefinition]
+  );
+  const styles = useMemo(() => createStyles(activeTheme), [activeTheme]);
+
+  /**
+   * @function registerField
+   * @description Keeps the rendered label of a field, or the input its type passes to `inputRef` (e.g. a text input),
+   * in `fieldRefs`. Used as a callback ref.
+   *
+   * @param {string} id - The field's Formik path.
+   * @param {string} part - `label` or `input`.
+   * @param {Object|null} node - The mounted component, or `null` when it unmounts.
+   */
+  const registerField = (id, part, node) => {
+    fieldRefs.current[id] = { ...fieldRefs.current[id], [part]: node };
+  };
+
+  /**
+   * @function describeField
+   * @description Screen reader props of a field's input: its label, marked when the field is required, and a
+   * hint made of its validation error and its `hint` attribute.
+   *
+   * @param {Object} field - The field.
+   * @param {string|null} error - The error shown for the field.
+   * @param {Object} scope - The values `requiredIf` is evaluated on.
+   * @returns {{accessibilityLabel: string, accessibilityHint: string|undefined}}
+   */
+  const describeField = (field, error, scope) => ({
+    accessibilityLabel: isFieldRequired(field, scope) ? translate('requiredField', { label: field.label }) : field.label,
+    accessibilityHint: [typeof error === 'string' && error, field.hint].filter(Boolean).join('. ') || undefined,
+  });
+
+  /**
+   * @function focusFirstError
+   * @description Scrolls to the first invalid field among the given fields and moves the focus to it: the
+   * keyboard to a text input, the screen reader to the field's label otherwise. Screen readers also announce
+   * how many fields need attention and the first error.
+   *
+   * @param {Array<Object>} fields - The fields shown, in display order.
+   * @param {Object} errors - The errors returned by `validateFormValues`.
+   */
+  const focusFirstError = (fields, errors) => {
+    const fieldErrors = listFieldErrors(fields, errors);
+    if (fieldErrors.length === 0) {
+      return;
+    }
+    const [first] = fieldErrors;
+    AccessibilityInfo.announceForAccessibility(
+      translate('fieldsNeedAttention', { count: fieldErrors.length, error: first.message })
+    );
+
+    const { label, input } = fieldRefs.current[first.path] || {};
+    if (label && formScrollRef.current) {
+      label.measureLayout(formScrollRef.current.getInnerViewRef(), (x, y) => {
+        formScrollRef.current.scrollTo({ y: Math.max(y - activeTheme.spacing * 2, 0), animated: true });
+      });
+    }
+    if (input && input.focus) {
+      input.focus();
+    }
+    const target = findNodeHandle(input || label);
+    if (target) {
+      AccessibilityInfo.setAccessibilityFocus(target);
+    }
+  };
+
+  /**
+   * @function renderField
+   * @description Renders the input of a single field, with its label and validation error, laid out
+   * by the field's `style` hints: its `width` in the row of fields and an `inline` label beside the input.
+   *
+   * The field's `id` is its Formik path, so the fields of a `<repeat>` entry are rendered with ids
+   * such as `items.0.name` (see `renderRepeat`).
+   *
+   * @param {Object} field - A field of the form definition.
+   * @param {Object} formik - The Formik render props (values, errors, touched and the change helpers).
+   * @param {Object} [scope] - The values given to the input as `scope` (e.g. to look up `field:` drawing backgrounds in);
+   * defaults to the form values.
+   * @returns {JSX.Element|null}
+   */
+  const renderField = (field, formik, scope = formik.values) => {
+    const {
+      setFieldValue,
+      setFieldTouched,
+      values,
+      errors,
+      touched
+    } = formik;
+    const value = getIn(values, field.id);
+    const error = getIn(touched, field.id) && getIn(errors, field.id);
+
+    const inline = field.style.layout === 'inline';
+    const accessibility = describeField(field, error, scope);
+
+    // Lays out the label, the input, its hint and its error following the field's `style` hints.
+    // The hint is read out with the input (see `describeField`), so screen readers skip its text.
+    const frame = (input) => (
+      <View key={field.id} style={[styles.fieldContainer, { width: field.style.width || '100%' }]}>
+        <View style={[inline && styles.inlineField]}>
+          <Text
+            ref={(node) => registerField(field.id, 'label', node)}
+            style={[styles.label, inline && styles.inlineLabel, rtl && styles.rtlText]}
+          >
+            {field.label}
+          </Text>
+          <View style={[inline && styles.inlineInput]}>{input}</View>
+        </View>
+        {field.hint && (
+          <Text
+            style={[styles.hintText, rtl && styles.rtlText]}
+            importantForAccessibility="no"
+            accessibilityElementsHidden={true}
+          >
+            {field.hint}
+          </Text>
+        )}
+        {error && (
+          <Text style={styles.errorText} accessibilityLiveRegion="polite">{error}</Text>
+        )}
+      </View>
+    );
+
+    if (field.type === 'repeat') {
+      return renderRepeat(field, formik);
+    }
+
+    // Calculated and read-only fields, and every field of a form under review, show their value instead of an
+    // input. Types that cannot be shown as text (e.g. drawings) render their input with `readOnly` when they have a value.
+    const plugin = getFieldType(field.type);
+    const isEmpty = plugin?.isEmpty || isEmptyValue;
+    if ((field.readOnly || reviewing) && (plugin?.readOnly !== false || isEmpty(value))) {
+      return frame(
+        <Text style={[styles.readOnlyValue, rtl && styles.rtlText]}>
+          {formatFieldValue(field, value, { translate, locale }) || '—'}
+        </Text>
+      );
+    }
+
+    // The input comes from the field's type, built-in or registered by the host app (see ./fieldTypes)
+    const Input = plugin?.component;
+    if (!Input) {
+      return null;
+    }
+    return frame(
+      <Input
+        field={field}
+        value={value}
+        onChange={(newValue) => setFieldValue(field.id, newValue)}
+        onBlur={() => setFieldTouched(field.id, true)}
+        translate={translate}
+        theme={activeTheme}
+        locale={locale}
+        rtl={rtl}
+        assets={assets}
+        scope={scope}
+        inputRef={(node) => registerField(field.id, 'input', node)}
+        readOnly={reviewing}
+        {...accessibility}
+      />
+    );
+  };
+
+  /**
+   * @function renderRepeat
+   * @description Renders a `<repeat>` group: a card per entry with its fields and a Remove button,
+   * and an Add button. Entries cannot be removed below `min` or added beyond `max`, nor at all under review.
+   * `showIf` expressions of the group's fields are evaluated per entry.
+   *
+   * @param {Object} repeat - The `repeat` group of the form definition.
+   * @param {Object} formik - The Formik render props.
+   * @returns {JSX.Element}
+   */
+  const renderRepeat = (repeat, formik) => {
+    const { min, max } = repeat.constraints;
+    const entries = getIn(formik.values, repeat.id) || [];
+    const error = getIn(formik.errors, repeat.id);
+    const countError = typeof error === 'string' && getIn(formik.touched, repeat.id) ? error : null;
+
+    return (
+      <FieldArray key={repeat.id} name={repeat.id}>
+        {({ push, remove }) => (
+          <View style={[styles.fieldContainer, { width: repeat.style.width || '100%' }]}>
+            <Text
+              ref={(node) => registerField(repeat.id, 'label', node)}
+              style={[styles.label, rtl && styles.rtlText]}
+              accessibilityRole="header"
+              accessibilityHint={repeat.hint || undefined}
+            >
+              {repeat.label}
+            </Text>
+            {repeat.hint && (
+              <Text
+                style={[styles.hintText, rtl && styles.rtlText]}
+                importantForAccessibility="no"
+                accessibilityElementsHidden={true}
+              >
+                {repeat.hint}
+              </Text>
+            )}
+            {entries.map((entry, index) => {
+              const scope = getEntryScope(formik.values, entry);
+              const hidden = getHiddenFieldIds(repeat, scope);
+              const entryTitle = translate('entryTitle', { label: repeat.label, number: index + 1 });
+              return (
+                <View key={index} style={styles.repeatEntry}>
+                  <View style={styles.repeatEntryHeader}>
+                    <Text style={styles.repeatEntryTitle} accessibilityRole="header">
+                      {entryTitle}
+                    </Text>
+                    {!reviewing && entries.length > min && (
+                      <TouchableOpacity
+                        accessibilityRole="button"
+                        accessibilityLabel={translate('removeEntryOf', { entry: entryTitle })}
+                        onPress={() => remove(index)}
+                      >
+                        <Text style={styles.repeatRemoveText}>{translate('removeEntry')}</Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                  <View style={styles.fieldGrid}>
+                    {repeat.fields
+                      .filter((field) => !hidden.has(field.id))
+                      .map((field) => renderField({ ...field, id: `${repeat.id}.${index}.${field.id}` }, formik, scope))}
+                  </View>
+                </View>
+              );
+            })}
+            {!reviewing && (max === null || entries.length < max) && (
+              <TouchableOpacity
+                style={styles.repeatAddButton}
+                accessibilityRole="button"
+                onPress={() => push(buildRepeatEntry(repeat))}
+              >
+                <Text style={styles.repeatAddText}>{translate('addEntry', { label: repeat.label })}</Text>
+              </TouchableOpacity>
+            )}
+            {countError && (
+              <Text style={styles.errorText} accessibilityLiveRegion="polite">{countError}</Text>
+            )}
+          </View>
+        )}
+      </FieldArray>
+    );
+  };
+
+  /**
+   * @function renderLayoutItems
+   * @description Renders the fields and titled sections of a page. Fields hidden by `showIf` are left out,
+   * and so are sections whose fields are all hidden.
+   *
+   * @param {Array<Object>} items - Layout items of a page or section (see `LayoutItem` in ./formDefinition).
+   * @param {Object} formik - The Formik render props.
+   * @param {Set<string>} hiddenFieldIds - Ids of the fields currently hidden.
+   * @returns {Array<JSX.Element|null>}
+   */
+  const renderLayoutItems = (items, formik, hiddenFieldIds) =>
+    items.map((item, index) => {
+      if (item.kind === 'field') {
+        return hiddenFieldIds.has(item.field.id) ? null : renderField(item.field, formik);
+      }
+
+      const sectionFields = getLayoutFields(item.items);
+      if (sectionFields.length > 0 && sectionFields.every((field) => hiddenFieldIds.has(field.id))) {
+        return null;
+      }
+      return (
+        <View key={`section-${index}`} style={styles.section}>
+          {item.title && (
+            <Text style={[styles.sectionTitle, rtl && styles.rtlText]} accessibilityRole="header">{item.title}</Text>
+          )}
+          <View style={styles.fieldGrid}>
+            {renderLayoutItems(item.items, formik, hiddenFieldIds)}
+          </View>
+        </View>
+      );
+    });
+
+  /**
+   * @function changePage
+   * @description Shows another wizard page and scrolls back to the top of the form.
+   * @param {number} pageIndex - Index of the page among the visible pages.
+   */
+  const changePage = (pageIndex) => {
+    setCurrentPage(pageIndex);
+    if (formScrollRef.current) {
+      formScrollRef.current.scrollTo({ y: 0, animated: false });
+    }
+  };
+
+  /**
+   * @function goToNextPage
+   * @description Validates the fields of the current wizard page and moves to the next page when they are valid.
+   * Invalid fields are marked as touched so that their errors are shown, and the first one is focused.
+   *
+   * @param {Object} page - The current page (see `PageDefinition` in ./formDefinition).
+   * @param {number} pageIndex - Index of the current page among the visible pages.
+   * @param {Object} formik - The Formik render props.
+   */
+  const goToNextPage = async (page, pageIndex, { validateForm, setTouched, touched, values }) => {
+    const errors = await validateForm();
+    const invalidFields = getLayoutFields(page.items).filter((field) => errors[field.id]);
+
+    if (invalidFields.length > 0) {
+      // Every field of a repeat group is marked, so the errors of its entries show too
+      setTouched(
+        invalidFields.reduce((acc, field) => ({
+          ...acc,
+          [field.id]: field.type === 'repeat' ? setNestedObjectValues(values[field.id], true) : true,
+        }), touched),
+        false
+      );
+      focusFirstError(getLayoutFields(page.items), errors);
+      return;
+    }
+    changePage(pageIndex + 1);
+  };
+
+  /**
+   * @function submitForm
+   * @description Validates and submits the form. On a wizard form, the first page with an invalid field is shown
+   * (e.g. a field on an earlier page that became required through a `requiredIf` condition) so the user can see the error.
+   * Forms under review are not submitted.
+   * @returns {Promise<void>} Rejects when `onSubmit` throws.
+   */
+  const submitForm = async () => {
+    const formik = formikRef.current;
+    if (!formik || reviewing) {
+      return;
+    }
+    if (definition.paged) {
+      const errors = await formik.validateForm();
+      const pages = getVisiblePages(definition, formik.values);
+      const firstInvalidPage = pages.findIndex((page) =>
+        getLayoutFields(page.items).some((field) => errors[field.id])
+      );
+      if (firstInvalidPage !== -1 && firstInvalidPage !== Math.min(currentPage, pages.length - 1)) {
+        changePage(firstInvalidPage);
+      }
+    }
+    await formik.submitForm();
+  };
+
+  /**
+   * @function submitFromButton
+   * @description Submits the form when its submit button is pressed. A failing `onSubmit` is alerted, since
+   * nothing else would report it; `submit()` of the ref API returns the rejection to its caller instead.
+   */
+  const submitFromButton = () => {
+    submitForm().catch((error) => {
+      Alert.alert(translate('submissionFailedTitle'), error.message);
+    });
+  };
+
+  /**
+   * @function resetForm
+   * @description Restores the initial values, pre-filled ones included, and shows the initial page.
+   */
+  const resetForm = () => {
+    if (formikRef.current) {
+      formikRef.current.resetForm();
+    }
+    changePage(initialPage);
+  };
+
+  /**
+   * @function submitValues
+   * @description Formik's submit handler. The values of hidden fields are left out and the rest is passed to
+   * `onSubmit`, or sent to the form's `<submit>` target by `submitFormValues`. Without either, the values are shown.
+   * Formik keeps `isSubmitting` set until the returned promise settles.
+   *
+   * @param {Object} values - The current values of the form fields.
+   */
+  const submitValues = async (values) => {
+    const payload = getSubmittedValues(definition, values);
+    if (onSubmit) {
+      const changes = getChangedFields(definition, formikRef.current.initialValues, values);
+      await onSubmit(payload, { definition, reset: resetForm, changes });
+      return;
+    }
+    if (!definition.submit) {
+      Alert.alert(translate('formSubmittedTitle'), JSON.stringify(payload));
+      return;
+    }
+    try {
+      await submitFormValues(definition, payload);
+      Alert.alert(translate('formSubmittedTitle'), definition.submit.successMessage || translate('submittedMessage'));
+      resetForm();
+    } catch (error) {
+      Alert.alert(translate('submissionFailedTitle'), error.message);
+    }
+  };
+
+  useImperativeHandle(ref, () => ({
+    submit: submitForm,
+    reset: resetForm,
+    getValues: () => (formikRef.current ? formikRef.current.values : {}),
+    getChanges: () => (formikRef.current
+      ? getChangedFields(definition, formikRef.current.initialValues, formikRef.current.values)
+      : []),
+    setValue: (id, value) => {
+      if (formikRef.current) {
+        formikRef.current.setFieldValue(id, value);
+      }
+    },
+  }));
+
+  /**
+   * @function renderParseErrors
+   * @description Lists the errors of parsing `xml`.
+   * @returns {JSX.Element|null}
+   */
+  const renderParseErrors = () => {
+    if (parseErrors.length === 0) {
+      return null;
+    }
+    return (
+      <View style={styles.errorList} accessibilityLiveRegion="polite">
+        {parseErrors.map((error, index) => (
+          <Text key={index} style={[styles.errorItem, styles.errorItemText]}>{formatFormError(error)}</Text>
+        ))}
+      </View>
+    );
+  };
+
+  return (
+    <View style={[styles.container, rtl && styles.rtlContainer, style]}>
+      <ScrollView ref={formScrollRef} contentContainerStyle={styles.content}>
+        {header}
+
+        {renderParseErrors()}
+        {xml && !parsedDefinition && !parseResult && (
+          <ActivityIndicator style={styles.loading} color={activeTheme.colors.primary} />
+        )}
+
+        {definition && (
+          <Formik
+            innerRef={formikRef}
+            /**
+             * @prop {Object} initialValues
+             * @description Initial values built from the form definition, keyed by field `id`,
+             * with the `initialValues` prop applied over them.
+             */
+            initialValues={formInitialValues}
+            // Starting over when another form is loaded
+            enableReinitialize={true}
+            /**
+             * @prop {function} validate
+             * @description Validates the values against the Yup schema built from the form definition.
+             * The schema is rebuilt for every validation so that `showIf` and `requiredIf` follow the current values,
+             * and its messages are in the language shown. The host app's `onValidate` errors are added to them.
+             */
+            validate={async (values) => {
+              const errors = await validateFormValues(definition, values, translate);
+              return onValidate ? { ...errors, ...(await onValidate(values, errors)) } : errors;
+            }}
+            onSubmit={submitValues}
+          >
+            {(formik) => {
+              const { setValues, values, errors, dirty, isSubmitting, submitCount } = formik;
+              const submitLabel = translate(isSubmitting ? 'submitting' : 'submit');
+
+              // Fields hidden by their `showIf` condition, and pages left empty by them, are re-evaluated on every change
+              const hiddenFieldIds = getHiddenFieldIds(definition, values);
+              const pages = getVisiblePages(definition, values);
+              const pageIndex = Math.min(currentPage, pages.length - 1);
+              const page = pages[pageIndex];
+              const isLastPage = pageIndex === pages.length - 1;
+
+              return (
+                <View>
+                  <SyncCalculatedValues
+                    definition={definition}
+                    values={values}
+                    setValues={setValues}
+                  />
+                  <FocusFirstError
+                    submitCount={submitCount}
+                    isSubmitting={isSubmitting}
+                    errors={errors}
+                    onInvalidSubmit={(errors) => focusFirstError(getLayoutFields(page.items), errors)}
+                  />
+                  {onChange && (
+                    <ReportChanges
+                      definition={definition}
+                      initialValues={formik.initialValues}
+                      values={values}
+                      page={pageIndex}
+                      dirty={dirty}
+                      isSubmitting={isSubmitting}
+                      onChange={onChange}
+                    />
+                  )}
+
+                  {definition.paged && (
+                    <View style={styles.progressContainer}>
+                      <Text style={[styles.progressText, rtl && styles.rtlText]}>
+                        {translate('pageProgress', { page: pageIndex + 1, pages: pages.length })}
+                        {page.title ? ` · ${page.title}` : ''}
+                      </Text>
+                      <View
+                        style={styles.progressTrack}
+                        accessibilityRole="progressbar"
+                        accessibilityValue={{ min: 1, max: pages.length, now: pageIndex + 1 }}
+                      >
+                        <View
+                          style={[
+                            styles.progressBar,
+                            { width: `${((pageIndex + 1) / pages.length) * 100}%` }
+                          ]}
+                        />
+                      </View>
+                    </View>
+                  )}
+
+                  <View style={styles.fieldGrid}>
+                    {renderLayoutItems(page.items, formik, hiddenFieldIds)}
+                  </View>
+
+                  {definition.paged ? (
+                    // Forms under review are browsed page by page, without validation or a submit button
+                    <View style={styles.wizardButtonContainer}>
+                      {pageIndex > 0 && (
+                        <TouchableOpacity
+                          style={[styles.wizardButton, styles.backButton]}
+                          accessibilityRole="button"
+                          onPress={() => changePage(pageIndex - 1)}
+                        >
+                          <Text style={styles.backButtonText}>{translate('back')}</Text>
+                        </TouchableOpacity>
+                      )}
+                      {!(reviewing && isLastPage) && (
+                        <TouchableOpacity
+                          style={[styles.wizardButton, styles.nextButton]}
+                          accessibilityRole="button"
+                          accessibilityState={{ busy: isSubmitting }}
+                          disabled={isSubmitting}
+                          onPress={() => {
+                            if (reviewing) {
+                              changePage(pageIndex + 1);
+                            } else if (isLastPage) {
+                              submitFromButton();
+                            } else {
+                              goToNextPage(page, pageIndex, formik);
+                            }
+                          }}
+                        >
+                          <Text style={styles.submitButtonText}>{isLastPage ? submitLabel : translate('next')}</Text>
+                        </TouchableOpacity>
+                      )}
+                    </View>
+                  ) : !reviewing && (
+                    <TouchableOpacity
+                      style={styles.submitButton}
+                      accessibilityRole="button"
+                      accessibilityState={{ busy: isSubmitting }}
+                      disabled={isSubmitting}
+                      onPress={submitFromButton}
+                    >
+                      <Text style={styles.submitButtonText}>{submitLabel}</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              );
+            }}
+          </Formik>
+        )}
+
+        {footer}
+      </ScrollView>
+    </View>
+  );
+});
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.surface
+  },
+  content: {
+    padding: theme.spacing * 2
+  },
+  loading: {
+    padding: theme.spacing * 2
+  },
+  rtlContainer: {
+    direction: 'rtl'
+  },
+  rtlText: {
+    textAlign: 'right',
+    writingDirection: 'rtl'
+  },
+  // Fields sit in rows, so that fields with a `width` style hint share a row; the padding of the
+  // fields makes the gutter between them
+  fieldGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginHorizontal: -theme.spacing / 2
+  },
+  fieldContainer: {
+    marginVertical: theme.spacing,
+    paddingHorizontal: theme.spacing / 2
+  },
+  inlineField: {
+    flexDirection: 'row',
+    alignItems: 'center'
+  },
+  inlineLabel: {
+    flex: 2,
+    marginBottom: 0,
+    marginEnd: theme.spacing
+  },
+  inlineInput: {
+    flex: 3
+  },
+  section: {
+    width: '100%',
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.radius + 2,
+    padding: theme.spacing * 1.2,
+    marginVertical: theme.spacing,
+    marginHorizontal: theme.spacing / 2
+  },
+  sectionTitle: {
+    fontSize: theme.fontSize + 2,
+    fontFamily: theme.fontFamily,
+    fontWeight: 'bold',
+    color: theme.colors.text,
+    marginBottom: theme.spacing / 2
+  },
+  readOnlyValue: {
+    borderWidth: 1,
+    borderColor: theme.colors.divider,
+    borderRadius: theme.radius,
+    padding: theme.spacing,
+    backgroundColor: theme.colors.surfaceMuted,
+    color: theme.colors.text,
+    fontSize: theme.fontSize,
+    fontFamily: theme.fontFamily
+  },
+  repeatEntry: {
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.radius,
+    padding: theme.spacing,
+    marginBottom: theme.spacing,
+    backgroundColor: theme.colors.surfaceMuted
+  },
+  repeatEntryHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing / 2
+  },
+  repeatEntryTitle: {
+    fontFamily: theme.fontFamily,
+    fontWeight: 'bold',
+    color: theme.colors.textMuted
+  },
+  repeatRemoveText: {
+    color: theme.colors.error,
+    fontFamily: theme.fontFamily,
+    fontWeight: 'bold'
+  },
+  repeatAddButton: {
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    borderStyle: 'dashed',
+    borderRadius: theme.radius,
+    padding: theme.spacing,
+    alignItems: 'center'
+  },
+  repeatAddText: {
+    color: theme.colors.primary,
+    fontFamily: theme.fontFamily,
+    fontWeight: 'bold'
+  },
+  progressContainer: {
+    marginBottom: theme.spacing
+  },
+  progressText: {
+    fontSize: theme.fontSize - 2,
+    fontFamily: theme.fontFamily,
+    color: theme.colors.textMuted,
+    marginBottom: theme.spacing * 0.6
+  },
+  progressTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: theme.colors.neutral,
+    overflow: 'hidden'
+  },
+  progressBar: {
+    height: 6,
+    backgroundColor: theme.colors.primary
+  },
+  wizardButtonContainer: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: theme.spacing * 2
+  },
+  wizardButton: {
+    flex: 1,
+    padding: theme.spacing * 1.5,
+    borderRadius: theme.radius + 2,
+    alignItems: 'center'
+  },
+  backButton: {
+    backgroundColor: theme.colors.neutral,
+    marginEnd: theme.spacing
+  },
+  backButtonText: {
+    color: theme.colors.text,
+    fontSize: theme.fontSize + 2,
+    fontFamily: theme.fontFamily,
+    fontWeight: 'bold'
+  },
+  nextButton: {
+    backgroundColor: theme.colors.primary
+  },
+  label: {
+    fontSize: theme.fontSize,
+    fontFamily: theme.fontFamily,
+    color: theme.colors.text,
+    marginBottom: theme.spacing / 2,
+    fontWeight: 'bold'
+  },
+  submitButton: {
+    backgroundColor: theme.colors.primary,
+    padding: theme.spacing * 1.5,
+    borderRadius: theme.radius + 2,
+    marginTop: theme.spacing * 2,
+    alignItems: 'center'
+  },
+  submitButtonText: {
+    color: theme.colors.onPrimary,
+    fontSize: theme.fontSize + 2,
+    fontFamily: theme.fontFamily,
+    fontWeight: 'bold'
+  },
+  hintText: {
+    fontSize: theme.fontSize - 2,
+    fontFamily: theme.fontFamily,
+    color: theme.colors.textMuted,
+    marginTop: theme.spacing / 2
+  },
+  errorText: {
+    color: theme.colors.error,
+    fontFamily: theme.fontFamily,
+    marginBottom: theme.spacing,
+    textAlign: 'center'
+  },
+  errorList: {
+    marginBottom: theme.spacing
+  },
+  errorItem: {
+    borderLeftWidth: 3,
+    borderLeftColor: theme.colors.error,
+    backgroundColor: theme.colors.errorSurface,
+    paddingVertical: theme.spacing * 0.6,
+    paddingHorizontal: theme.spacing,
+    marginVertical: 3
+  },
+  errorItemText: {
+    color: theme.colors.error,
+    fontFamily: theme.fontFamily
+  }
+});
+
+export default XMLForm;
@@ -0,0 +1,172 @@
+import {
+  parseFormXML,
+  buildInitialValues,
+  buildValidationSchema,
+  getSubmittedValues,
+} from '../formDefinition';
+
+const parse = async (xml) => {
+  const { definition, errors } = await parseFormXML(xml);
+  expect(errors).toEqual([]);
+  return definition;
+};
+
+// The errors of a schema validation, keyed by path
+const validate = async (schema, values) => {
+  try {
+    await schema.validate(values, { abortEarly: false });
+    return {};
+  } catch (error) {
+    return Object.fromEntries(error.inner.map((inner) => [inner.path, inner.message]));
+  }
+};
+
+describe('parseFormXML', () => {
+  it('parses the fields of a form', async () => {
+    const definition = await parse(`<form id="visit" title="Visit">
+  <field id="name" type="text" label="Name" required="true" />
+  <field id="age" type="number" label="Age" min="0" />
+</form>`);
+    expect(definition.id).toBe('visit');
+    expect(definition.title).toBe('Visit');
+    expect(definition.fields.map((field) => [field.id, field.type, field.required])).toEqual([
+      ['name', 'text', true],
+      ['age', 'number', false],
+    ]);
+  });
+
+  it('reports empty and malformed input', async () => {
+    expect((await parseFormXML('  ')).errors).toEqual([expect.objectContaining({ code: 'empty' })]);
+    const { definition, errors } = await parseFormXML('<form>\n  <field id="a" type="text" label="A">\n</form>');
+    expect(definition).toBeNull();
+    expect(errors[0]).toMatchObject({ code: 'malformed-xml', line: expect.any(Number) });
+  });
+
+  it('reports a root element other than <form>', async () => {
+    const { errors } = await parseFormXML('<survey />');
+    expect(errors).toEqual([expect.objectContaining({ code: 'missing-form' })]);
+  });
+
+  it('reports every problem of the fields with its line and column', async () => {
+    const { definition, errors } = await parseFormXML(`<form>
+  <field type="text" label="No id" />
+  <field id="a" type="text" label="A" />
+  <field id="a" type="text" label="Again" />
+  <field id="b" type="text" />
+  <field id="c" type="colour" label="C" />
+  <field id="d" type="radio" label="D" />
+</form>`);
+    expect(definition).toBeNull();
+    expect(errors.map(({ code, line, column }) => ({ code, line, column }))).toEqual([
+      { code: 'missing-id', line: 2, column: 3 },
+      { code: 'duplicate-id', line: 4, column: 3 },
+      { code: 'missing-label', line: 5, column: 3 },
+      { code: 'invalid-type', line: 6, column: 3 },
+      { code: 'missing-options', line: 7, column: 3 },
+    ]);
+  });
+
+  it.each(['a.b', 'c d', '__proto__', '1st'])('rejects the field id "%s"', async (id) => {
+    const { errors } = await parseFormXML(`<form><field id="${id}" type="text" label="A" /></form>`);
+    expect(errors).toEqual([expect.objectContaining({ code: 'invalid-attribute', fieldId: id })]);
+  });
+
+  it('accepts ids that are names of Object.prototype properties', async () => {
+    const { errors } = await parseFormXML(
+      '<form><field id="toString" type="text" label="A" /><field id="constructor" type="text" label="B" /></form>'
+    );
+    expect(errors).toEqual([]);
+  });
+
+  it('reports expressions that refer to unknown fields', async () => {
+    const { errors } = await parseFormXML(`<form>
+  <field id="a" type="text" label="A" showIf="missing == 'x'" />
+</form>`);
+    expect(errors).toEqual([expect.objectContaining({ code: 'invalid-attribute', fieldId: 'a', line: 2 })]);
+  });
+
+  it('reports invalid validation rules', async () => {
+    const { errors } = await parseFormXML(`<form>
+  <field id="a" type="number" label="A">
+    <validation><rule type="minLength" value="2" /></validation>
+  </field>
+</form>`);
+    expect(errors).toEqual([expect.objectContaining({ code: 'invalid-attribute', fieldId: 'a' })]);
+  });
+});
+
+describe('buildValidationSchema', () => {
+  it('checks required fields and the rules of each type', async () => {
+    const definition = await parse(`<form>
+  <field id="name" type="text" label="Name" required="true" minLength="2" />
+  <field id="email" type="email" label="Email" />
+  <field id="age" type="number" label="Age" min="18" />
+  <field id="skills" type="checkbox" label="Skills" required="true">
+    <option value="js">JavaScript</option>
+    <option value="py">Python</option>
+  </field>
+</form>`);
+    const schema = buildValidationSchema(definition);
+
+    const errors = await validate(schema, { name: 'A', email: 'nope', age: '12', skills: [] });
+    expect(Object.keys(errors).sort()).toEqual(['age', 'email', 'name', 'skills']);
+
+    expect(await validate(schema, { name: 'Ana', email: 'ana@example.com', age: '30', skills: ['js'] })).toEqual({});
+  });
+
+  it('applies showIf and requiredIf to the given values', async () => {
+    const definition = await parse(`<form>
+  <field id="employed" type="radio" label="Employed">
+    <option value="yes">Yes</option>
+    <option value="no">No</option>
+  </field>
+  <field id="employer" type="text" label="Employer" required="true" showIf="employed == 'yes'" />
+  <field id="reason" type="text" label="Reason" requiredIf="employed == 'no'" />
+</form>`);
+
+    const unemployed = { employed: 'no', employer: '', reason: '' };
+    expect(Object.keys(await validate(buildValidationSchema(definition, unemployed), unemployed))).toEqual(['reason']);
+
+    const employed = { employed: 'yes', employer: '', reason: '' };
+    expect(Object.keys(await validate(buildValidationSchema(definition, employed), employed))).toEqual(['employer']);
+  });
+});
+
+describe('getSubmittedValues', () => {
+  it('leaves out hidden fields and submits numbers as numbers', async () => {
+    const definition = await parse(`<form>
+  <field id="hasPet" type="radio" label="Has a pet">
+    <option value="yes">Yes</option>
+    <option value="no">No</option>
+  </field>
+  <field id="petName" type="text" label="Pet name" showIf="hasPet == 'yes'" />
+  <field id="count" type="number" label="Count" />
+  <field id="weight" type="number" label="Weight" />
+</form>`);
+    const values = { ...buildInitialValues(definition), hasPet: 'no', petName: 'Rex', count: '3' };
+    expect(getSubmittedValues(definition, values)).toEqual({ hasPet: 'no', count: 3, weight: '' });
+  });
+
+  it('brings calculated values up to date and submits repeat groups as arrays', async () => {
+    const definition = await parse(`<form>
+  <field id="price" type="number" label="Price" />
+  <field id="quantity" type="number" label="Quantity" />
+  <field id="total" type="calculated" label="Total" expr="price * quantity" />
+  <repeat id="items" label="Item">
+    <field id="part" type="text" label="Part" />
+  </repeat>
+</form>`);
+    const values = {
+      ...buildInitialValues(definition),
+      price: '2.5',
+      quantity: '4',
+      items: [{ part: 'Wiper' }, { part: 'Bulb' }],
+    };
+    expect(getSubmittedValues(definition, values)).toEqual({
+      price: 2.5,
+      quantity: 4,
+      total: 10,
+      items: [{ part: 'Wiper' }, { part: 'Bulb' }],
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * @module dateTime
+ * @description Helpers for the ISO 8601 values stored by `datetime` fields.
+ *
+ * Values are stored per picker mode:
+ * - `date`: a calendar date, `YYYY-MM-DD`.
+ * - `time`: a local wall-clock time, `HH:mm`.
+ * - `datetime`: an instant in UTC, `YYYY-MM-DDTHH:mm:ss.sssZ`.
+ */
+
+/**
+ * @constant {Array<string>} DATE_TIME_MODES
+ * @description Values accepted by the `mode` attribute of a `datetime` field.
+ */
+export const DATE_TIME_MODES = ['date', 'time', 'datetime'];
+
+/**
+ * @constant {Array<string>} DATE_TIME_FORMATS
+ * @description Values accepted by the `format` attribute of a `datetime` field.
+ * They map onto the `dateStyle`/`timeStyle` options of `Intl.DateTimeFormat`.
+ */
+export const DATE_TIME_FORMATS = ['short', 'medium', 'long', 'full'];
+
+const ISO_PATTERNS = {
+  date: /^(\d{4})-(\d{2})-(\d{2})$/,
+  time: /^(\d{2}):(\d{2})$/,
+  datetime: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/,
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * @function parseISOValue
+ * @description Parses a stored value back into a `Date`.
+ * Dates and times are interpreted in the device time zone, full date-times by their offset.
+ *
+ * @param {string} value - The stored value.
+ * @param {string} mode - One of `DATE_TIME_MODES`.
+ * @returns {Date|null} The parsed date, or `null` if the value is not valid ISO 8601 for the mode.
+ */
+export const parseISOValue = (value, mode) => {
+  const match = typeof value === 'string' ? value.match(ISO_PATTERNS[mode]) : null;
+  if (!match) {
+    return null;
+  }
+
+  if (mode === 'date') {
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(year, month - 1, day);
+    // Rejecting dates such as 2024-02-31, which JS would silently roll over
+    return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+  }
+
+  if (mode === 'time') {
+    const [, hours, minutes] = match.map(Number);
+    if (hours > 23 || minutes > 59) {
+      return null;
+    }
+    const date = new Date();
+    date.setHours(hours, minutes, 0, 0);
+    return date;
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * @function toISOValue
+ * @description Converts a `Date` picked by the user into the stored ISO 8601 value for the mode.
+ * @param {Date} date - The picked date.
+ * @param {string} mode - One of `DATE_TIME_MODES`.
+ * @returns {string}
+ */
+export const toISOValue = (date, mode) => {
+  switch (mode) {
+    case 'date':
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    case 'time':
+      return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    default:
+      return date.toISOString();
+  }
+};
+
+/**
+ * @function compareISOValues
+ * @description Compares two stored values of the same mode.
+ * Times are compared as wall-clock times, independent of the current day.
+ *
+ * @param {string} a - A valid stored value.
+ * @param {string} b - A valid stored value.
+ * @param {string} mode - One of `DATE_TIME_MODES`.
+ * @returns {number} A negative number if `a` is earlier, positive if later, 0 if equal.
+ */
+export const compareISOValues = (a, b, mode) => {
+  if (mode === 'time') {
+    return a.localeCompare(b);
+  }
+  return parseISOValue(a, mode).getTime() - parseISOValue(b, mode).getTime();
+};
+
+/**
+ * @function formatForDisplay
+ * @description Formats a stored value in the device locale, or in the given locale.
+ * @param {string} value - The stored value.
+ * @param {string} mode - One of `DATE_TIME_MODES`.
+ * @param {string} [format='medium'] - One of `DATE_TIME_FORMATS`.
+ * @param {string} [locale] - A BCP 47 language tag; the device locale when omitted.
+ * @returns {string} The formatted value, or an empty string for an empty or invalid value.
+ */
+export const formatForDisplay = (value, mode, format = 'medium', locale = undefined) => {
+  const date = parseISOValue(value, mode);
+  if (!date) {
+    return '';
+  }
+
+  const options = {};
+  if (mode !== 'time') {
+    options.dateStyle = format;
+  }
+  if (mode !== 'date') {
+    options.timeStyle = format === 'full' || format === 'long' ? 'medium' : 'short';
+  }
+  return new Intl.DateTimeFormat(locale, options).format(date);
+};
@@ -0,0 +1,94 @@
+import { Image } from 'react-native';
+import { Asset } from 'expo-asset';
+import * as FileSystem from 'expo-file-system';
+import { isImageValue } from './imageCapture';
+
+/**
+ * @module drawingBackground
+ * @description Loads the `background` image of a `drawing` field (see `DrawingBackground` in ./formDefinition)
+ * so it can be drawn on the canvas.
+ *
+ * The canvas runs in a WebView, which can neither read app files nor export a canvas tainted by a
+ * cross-origin image, so every background is handed to it as a base64 data URL.
+ *
+ * @uses expo-asset
+ * @uses expo-file-system
+ */
+
+/**
+ * @typedef {Object} LoadedBackground
+ * @property {string} uri - The image as a base64 data URL.
+ * @property {number} width - Width of the image in pixels.
+ * @property {number} height - Height of the image in pixels.
+ */
+
+const getImageSize = (uri) =>
+  new Promise((resolve, reject) => {
+    Image.getSize(uri, (width, height) => resolve({ width, height }), reject);
+  });
+
+const mimeTypeOf = (uri, fallback = 'image/jpeg') => {
+  const extension = uri.split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return { png: 'image/png', gif: 'image/gif', webp: 'image/webp', jpg: 'image/jpeg', jpeg: 'image/jpeg' }[extension] || fallback;
+};
+
+const toDataURL = async (fileUri, mimeType) => {
+  const base64 = await FileSystem.readAsStringAsync(fileUri, { encoding: FileSystem.EncodingType.Base64 });
+  return `data:${mimeType};base64,${base64}`;
+};
+
+/**
+ * @function loadDrawingBackground
+ * @description Loads the background of a drawing field.
+ *
+ * @param {Object|null} background - The field's `background` constraint.
+ * @param {Object} values - The current form values, for `field:` backgrounds.
+ * @param {Object<string, number>} [assets={}] - Bundled images registered by the host app, by name
+ * (e.g. `{ vehicle: require('./assets/vehicle.png') }`), for `asset:` backgrounds.
+ * @returns {Promise<LoadedBackground|null>} The background, or `null` when there is none
+ * (including a `field:` background whose image field is still empty).
+ * @throws {Error} When the asset is not registered or the image cannot be loaded.
+ */
+export const loadDrawingBackground = async (background, values, assets = {}) => {
+  if (!background) {
+    return null;
+  }
+
+  if (background.kind === 'field') {
+    const image = (values[background.fieldId] || []).find(isImageValue);
+    if (!image) {
+      return null;
+    }
+    return {
+      uri: await toDataURL(image.uri, image.mimeType),
+      width: image.width,
+      height: image.height,
+    };
+  }
+
+  if (background.kind === 'asset') {
+    if (!assets[background.name]) {
+      throw new Error(`No image is registered for "asset:${background.name}"`);
+    }
+    const asset = Asset.fromModule(assets[background.name]);
+    await asset.downloadAsync();
+    return {
+      uri: await toDataURL(asset.localUri, mimeTypeOf(asset.localUri, `image/${asset.type}`)),
+      width: asset.width,
+      height: asset.height,
+    };
+  }
+
+  const target = `${FileSystem.cacheDirectory}drawing-background-${Date.now()}`;
+  const download = await FileSystem.downloadAsync(background.url, target);
+  if (download.status < 200 || download.status >= 300) {
+    throw new Error(`Could not download ${background.url} (HTTP ${download.status})`);
+  }
+  const contentType = (download.headers['Content-Type'] || download.headers['content-type'] || '').split(';')[0];
+  const { width, height } = await getImageSize(download.uri);
+  return {
+    uri: await toDataURL(download.uri, contentType.startsWith('image/') ? contentType : mimeTypeOf(background.url)),
+    width,
+    height,
+  };
+};
@@ -0,0 +1,187 @@
+/**
+ * @module drawingData
+ * @description Helpers for the values stored by `drawing` fields.
+ *
+ * A drawing is stored as its strokes rather than as an image, so that it can be reopened and edited,
+ * exported as SVG, and analysed afterwards (e.g. the timing of a signature). What is submitted for a
+ * drawing is chosen by the field's `output` attribute (see `DRAWING_OUTPUTS`).
+ */
+
+/**
+ * @constant {Array<string>} DRAWING_OUTPUTS
+ * @description Values accepted by the `output` attribute of a `drawing` field:
+ * - `png`: a PNG data URL of the canvas (the default).
+ * - `svg`: an SVG document of the strokes, over the background image if the field has one.
+ * - `strokes`: the raw stroke data, as a `DrawingValue` without the PNG and the background image
+ *   (with `typed` for a typed signature).
+ */
+export const DRAWING_OUTPUTS = ['png', 'svg', 'strokes'];
+
+/**
+ * @typedef {Object} StrokePoint
+ * @property {number} x - Horizontal position on the canvas, in points.
+ * @property {number} y - Vertical position on the canvas, in points.
+ * @property {number} t - Milliseconds since the stroke started.
+ */
+
+/**
+ * @typedef {Object} Stroke
+ * @property {string} tool - `pen`, or `eraser` for strokes that erase what was drawn before them.
+ * @property {string} color - Stroke colour.
+ * @property {number} width - Stroke width, in points.
+ * @property {number} startedAt - When the stroke started, in milliseconds since the epoch.
+ * @property {Array<StrokePoint>} points - The points of the stroke, in drawing order.
+ */
+
+/**
+ * @typedef {Object} DrawingBackgroundPlacement
+ * @property {string} uri - The image, as a data URL.
+ * @property {number} x - Left edge of the image on the canvas.
+ * @property {number} y - Top edge of the image on the canvas.
+ * @property {number} width - Width of the image on the canvas.
+ * @property {number} height - Height of the image on the canvas.
+ */
+
+/**
+ * @typedef {Object} DrawingValue
+ * @property {number} width - Width of the canvas the strokes were drawn on.
+ * @property {number} height - Height of the canvas the strokes were drawn on.
+ * @property {Array<Stroke>} strokes - The strokes, in drawing order.
+ * @property {string} [typed] - A signature typed instead of drawn, for users who cannot draw on the canvas
+ * (e.g. with a screen reader). It is shown in place of the strokes, which are then empty.
+ * @property {DrawingBackgroundPlacement|null} [background] - The image drawn on, for fields with a `background`.
+ * @property {string|null} png - PNG data URL of the canvas, captured for fields with `output="png"`.
+ */
+
+/**
+ * @function isDrawingValue
+ * @description Whether a form value is a drawing (as opposed to `''` for a field without a drawing).
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isDrawingValue = (value) =>
+  Boolean(value) && typeof value === 'object' && Array.isArray(value.strokes);
+
+/**
+ * @constant {Object} TYPED_SIGNATURE_FONT
+ * @description Font of typed signatures, shared by the canvas and the SVG so both look alike.
+ */
+export const TYPED_SIGNATURE_FONT = { family: 'cursive', style: 'italic', maxSize: 48 };
+
+/**
+ * @function getTypedSignatureSize
+ * @description Font size at which a typed signature fits the width of the canvas.
+ *
+ * @param {string} text - The typed signature.
+ * @param {number} width - Width of the canvas.
+ * @returns {number}
+ */
+export const getTypedSignatureSize = (text, width) =>
+  Math.round(Math.min(TYPED_SIGNATURE_FONT.maxSize, (width * 1.6) / Math.max(text.length, 1)));
+
+const round = (number) => Math.round(number * 10) / 10;
+
+const escapeAttribute = (text) => String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+const typedSignatureElement = ({ typed, width, height }) =>
+  `<text x="${round(width / 2)}" y="${round(height / 2)}" text-anchor="middle" dominant-baseline="middle" ` +
+  `font-family="${TYPED_SIGNATURE_FONT.family}" font-style="${TYPED_SIGNATURE_FONT.style}" ` +
+  `font-size="${getTypedSignatureSize(typed, width)}" fill="black">${escapeAttribute(typed)}</text>`;
+
+/**
+ * @function getStrokePath
+ * @description SVG path data of a stroke. A single point becomes a zero-length line, which the
+ * round line cap draws as a dot.
+ *
+ * @param {Stroke} stroke
+ * @returns {string}
+ */
+export const getStrokePath = (stroke) => {
+  const points = stroke.points.length === 1 ? [stroke.points[0], stroke.points[0]] : stroke.points;
+  return points
+    .map((point, index) => `${index === 0 ? 'M' : 'L'}${round(point.x)} ${round(point.y)}`)
+    .join(' ');
+};
+
+const strokeElement = (stroke, color) =>
+  `<path d="${getStrokePath(stroke)}" fill="none" stroke="${escapeAttribute(color)}" ` +
+  `stroke-width="${stroke.width}" stroke-linecap="round" stroke-linejoin="round"/>`;
+
+/**
+ * @function drawingToSVG
+ * @description Renders a drawing as a standalone SVG document on a white background, or on its background image.
+ * Eraser strokes become masks over the strokes drawn before them, so the SVG looks like the canvas.
+ * A typed signature is written across the middle.
+ *
+ * @param {DrawingValue} drawing
+ * @returns {string}
+ */
+export const drawingToSVG = (drawing) => {
+  const { width, height, background } = drawing;
+  const masks = [];
+  let content = '';
+  let pendingErasers = [];
+
+  // Wrapping everything drawn so far in a mask made of the eraser strokes that follow it
+  const applyErasers = () => {
+    if (pendingErasers.length === 0) {
+      return;
+    }
+    const id = `erase${masks.length + 1}`;
+    masks.push(
+      `<mask id="${id}" maskUnits="userSpaceOnUse" x="0" y="0" width="${width}" height="${height}">` +
+      `<rect width="${width}" height="${height}" fill="white"/>` +
+      pendingErasers.map((stroke) => strokeElement(stroke, 'black')).join('') +
+      '</mask>'
+    );
+    content = `<g mask="url(#${id})">${content}</g>`;
+    pendingErasers = [];
+  };
+
+  drawing.strokes.forEach((stroke) => {
+    if (stroke.tool === 'eraser') {
+      pendingErasers.push(stroke);
+    } else {
+      applyErasers();
+      content += strokeElement(stroke, stroke.color);
+    }
+  });
+  applyErasers();
+
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    (masks.length > 0 ? `<defs>${masks.join('')}</defs>` : '') +
+    `<rect width="${width}" height="${height}" fill="white"/>` +
+    (background
+      ? `<image href="${escapeAttribute(background.uri)}" x="${round(background.x)}" y="${round(background.y)}" ` +
+        `width="${round(background.width)}" height="${round(background.height)}"/>`
+      : '') +
+    content +
+    (drawing.typed ? typedSignatureElement(drawing) : '') +
+    '</svg>'
+  );
+};
+
+/**
+ * @function getDrawingOutput
+ * @description Converts a drawing into what is submitted for a field with the given `output`.
+ *
+ * @param {DrawingValue} drawing
+ * @param {string} output - One of `DRAWING_OUTPUTS`.
+ * @returns {string|Object} A PNG data URL, an SVG document, or the stroke data.
+ */
+export const getDrawingOutput = (drawing, output) => {
+  switch (output) {
+    case 'svg':
+      return drawingToSVG(drawing);
+    case 'strokes':
+      return {
+        width: drawing.width,
+        height: drawing.height,
+        strokes: drawing.strokes,
+        ...(drawing.typed && { typed: drawing.typed }),
+      };
+    default:
+      return drawing.png || '';
+  }
+};
@@ -0,0 +1,460 @@
+import { parseISOValue, toISOValue } from './dateTime';
+
+/**
+ * @module expressions
+ * @description A small, safe expression language for form definitions (e.g. `showIf="employmentType == 'contract'"`).
+ *
+ * Expressions are parsed once into a syntax tree and evaluated against the form values; nothing is ever
+ * passed to `eval`. The language supports:
+ * - Literals: numbers (`42`, `3.5`), strings (`'text'` or `"text"`), `true`, `false` and `null`.
+ * - Field references by id (`employmentType`).
+ * - Comparison: `==`, `!=`, `<`, `<=`, `>`, `>=`. Numeric strings compare as numbers, anything else as text,
+ *   so ISO 8601 dates compare chronologically.
+ * - Logic: `&&` / `and`, `||` / `or`, `!` / `not`.
+ * - Arithmetic: `+` (adds numbers, concatenates anything else), `-`, `*`, `/`, `%`.
+ * - Function calls such as `contains(skills, 'js')` or `daysBetween(checkIn, checkOut)` (see `FUNCTIONS`).
+ *
+ * @uses ./dateTime
+ */
+
+/**
+ * @class ExpressionError
+ * @description Error raised when an expression cannot be parsed.
+ * @property {number} position - 0-based offset in the expression where the problem was found.
+ */
+export class ExpressionError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'ExpressionError';
+    this.position = position;
+  }
+}
+
+/**
+ * @function isNumeric
+ * @description Whether a value is a number or a string holding a finite number.
+ * @param {*} value - The value to check.
+ * @returns {boolean}
+ */
+const isNumeric = (value) =>
+  (typeof value === 'number' && Number.isFinite(value)) ||
+  (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)));
+
+/**
+ * @function isTruthy
+ * @description Truthiness in expressions: empty strings, empty arrays, `0`, `NaN`, `null` and `undefined` are false.
+ * @param {*} value - The value to check.
+ * @returns {boolean}
+ */
+export const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+/**
+ * @function compareValues
+ * @description Compares two values, numerically when both are numeric and as text otherwise.
+ * @param {*} a - Left operand.
+ * @param {*} b - Right operand.
+ * @returns {number} Negative, zero or positive like `Array.prototype.sort` comparators.
+ */
+const compareValues = (a, b) => {
+  if (isNumeric(a) && isNumeric(b)) {
+    return Number(a) - Number(b);
+  }
+  const left = a === null || a === undefined ? '' : String(a);
+  const right = b === null || b === undefined ? '' : String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+/**
+ * @function valuesEqual
+ * @description Equality in expressions. Numeric values are compared as numbers, `null`/`undefined` equal `''`.
+ * @param {*} a - Left operand.
+ * @param {*} b - Right operand.
+ * @returns {boolean}
+ */
+const valuesEqual = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  if (typeof a === 'boolean' || typeof b === 'boolean') {
+    return isTruthy(a) === isTruthy(b);
+  }
+  return compareValues(a, b) === 0;
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @function toCalendarDate
+ * @description Reads a `date` or `datetime` field value as a local calendar date (midnight).
+ * @param {*} value - The value.
+ * @returns {Date|null} The date, or `null` when the value is not an ISO 8601 date or date-time.
+ */
+const toCalendarDate = (value) => {
+  const date = parseISOValue(value, 'date') || parseISOValue(value, 'datetime');
+  return date ? new Date(date.getFullYear(), date.getMonth(), date.getDate()) : null;
+};
+
+/**
+ * @constant {Object<string, function>} FUNCTIONS
+ * @description Functions callable from expressions.
+ * - `contains(list, value)`: Whether a `checkbox` value (or a string) contains `value`.
+ * - `empty(value)`: Whether a value is empty (`''`, `[]`, `null`).
+ * - `today()`: Today's date, as an ISO 8601 date (`YYYY-MM-DD`).
+ * - `daysBetween(start, end)`: Calendar days from one date (or date-time) to another; negative when `end` is earlier.
+ * - `yearsBetween(start, end)`: Whole years from one date to another, e.g. an age with `yearsBetween(dob, today())`.
+ * - `addDays(date, days)`: The date `days` calendar days after `date`, as an ISO 8601 date.
+ * - `sum(list, key)`: The sum of a list of numbers, or of the `key` values of the entries of a `<repeat>` group.
+ * - `count(list)`: The number of items in a list, such as the entries of a `<repeat>` group.
+ * - `round(value, decimals)`: A number rounded to `decimals` places (default 0).
+ *
+ * The date functions return `''` while one of their dates is empty or invalid.
+ */
+export const FUNCTIONS = {
+  contains: (list, value) => {
+    if (Array.isArray(list)) {
+      return list.some((item) => valuesEqual(item, value));
+    }
+    return typeof list === 'string' && list.includes(String(value));
+  },
+  empty: (value) => !isTruthy(value) && value !== 0,
+  today: () => toISOValue(new Date(), 'date'),
+  daysBetween: (start, end) => {
+    const from = toCalendarDate(start);
+    const to = toCalendarDate(end);
+    // Rounding absorbs the hour gained or lost across a daylight saving change
+    return from && to ? Math.round((to - from) / DAY) : '';
+  },
+  yearsBetween: (start, end) => {
+    const from = toCalendarDate(start);
+    const to = toCalendarDate(end);
+    if (!from || !to) {
+      return '';
+    }
+    const years = to.getFullYear() - from.getFullYear();
+    const anniversary = new Date(to.getFullYear(), from.getMonth(), from.getDate());
+    return to < anniversary ? years - 1 : years;
+  },
+  addDays: (date, days) => {
+    const from = toCalendarDate(date);
+    if (!from || !isNumeric(days)) {
+      return '';
+    }
+    return toISOValue(new Date(from.getFullYear(), from.getMonth(), from.getDate() + Number(days)), 'date');
+  },
+  sum: (list, key) => (Array.isArray(list) ? list : []).reduce((total, item) => {
+    const value = key === undefined ? item : item && item[key];
+    return isNumeric(value) ? total + Number(value) : total;
+  }, 0),
+  count: (list) => (Array.isArray(list) ? list.length : 0),
+  round: (value, decimals = 0) => {
+    if (!isNumeric(value)) {
+      return '';
+    }
+    const factor = 10 ** Number(decimals);
+    return Math.round(Number(value) * factor) / factor;
+  },
+};
+
+const OPERATORS = ['==', '!=', '<=', '>=', '&&', '||', '<', '>', '!', '+', '-', '*', '/', '%', '(', ')', ','];
+const WORD_OPERATORS = { and: '&&', or: '||', not: '!' };
+const LITERALS = { true: true, false: false, null: null };
+
+/**
+ * @function hasOwn
+ * @description Whether a lookup table has its own entry for a name, so that names such as `toString` or
+ * `constructor` are not found on `Object.prototype`.
+ * @param {Object} table
+ * @param {string} name
+ * @returns {boolean}
+ */
+const hasOwn = (table, name) => Object.prototype.hasOwnProperty.call(table, name);
+
+/**
+ * @function tokenize
+ * @description Splits an expression into tokens.
+ * @param {string} source - The expression.
+ * @returns {Array<{type: string, value: *, position: number}>}
+ * @throws {ExpressionError} On an unterminated string or an unexpected character.
+ */
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === "'" || char === '"') {
+      const end = source.indexOf(char, i + 1);
+      if (end === -1) {
+        throw new ExpressionError('Unterminated string', i);
+      }
+      tokens.push({ type: 'literal', value: source.slice(i + 1, end), position: i });
+      i = end + 1;
+      continue;
+    }
+
+    const number = source.slice(i).match(/^\d+(\.\d+)?/);
+    if (number) {
+      tokens.push({ type: 'literal', value: Number(number[0]), position: i });
+      i += number[0].length;
+      continue;
+    }
+
+    const word = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_.]*/);
+    if (word) {
+      const name = word[0];
+      if (hasOwn(WORD_OPERATORS, name)) {
+        tokens.push({ type: 'operator', value: WORD_OPERATORS[name], position: i });
+      } else if (hasOwn(LITERALS, name)) {
+        tokens.push({ type: 'literal', value: LITERALS[name], position: i });
+      } else {
+        tokens.push({ type: 'identifier', value: name, position: i });
+      }
+      i += name.length;
+      continue;
+    }
+
+    const operator = OPERATORS.find((op) => source.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: i });
+      i += operator.length;
+      continue;
+    }
+
+    throw new ExpressionError(`Unexpected character "${char}"`, i);
+  }
+
+  return tokens;
+};
+
+/**
+ * Binary operators by precedence level, lowest first.
+ */
+const BINARY_PRECEDENCE = [
+  ['||'],
+  ['&&'],
+  ['==', '!='],
+  ['<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/', '%'],
+];
+
+/**
+ * @function parse
+ * @description Parses tokens into a syntax tree with a recursive descent parser.
+ * @param {Array<Object>} tokens - Tokens from `tokenize`.
+ * @param {string} source - The expression, for error positions.
+ * @returns {Object} The root node of the syntax tree.
+ * @throws {ExpressionError} On a syntax error.
+ */
+const parse = (tokens, source) => {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      const token = peek();
+      throw new ExpressionError(
+        token ? `Expected "${value}" but found "${token.value}"` : `Expected "${value}" at the end`,
+        token ? token.position : source.length
+      );
+    }
+    index++;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      throw new ExpressionError('Unexpected end of expression', source.length);
+    }
+    index++;
+
+    if (token.type === 'literal') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'identifier') {
+      if (isOperator('(')) {
+        index++;
+        const args = [];
+        if (!isOperator(')')) {
+          args.push(parseBinary(0));
+          while (isOperator(',')) {
+            index++;
+            args.push(parseBinary(0));
+          }
+        }
+        expect(')');
+        return { type: 'call', name: token.value, args, position: token.position };
+      }
+      return { type: 'reference', name: token.value };
+    }
+
+    if (token.value === '(') {
+      const inner = parseBinary(0);
+      expect(')');
+      return inner;
+    }
+
+    throw new ExpressionError(`Unexpected "${token.value}"`, token.position);
+  };
+
+  const parseUnary = () => {
+    if (isOperator('!') || isOperator('-')) {
+      const operator = peek().value;
+      index++;
+      return { type: 'unary', operator, operand: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parseBinary = (level) => {
+    if (level === BINARY_PRECEDENCE.length) {
+      return parseUnary();
+    }
+    let left = parseBinary(level + 1);
+    while (peek() && peek().type === 'operator' && BINARY_PRECEDENCE[level].includes(peek().value)) {
+      const operator = peek().value;
+      index++;
+      left = { type: 'binary', operator, left, right: parseBinary(level + 1) };
+    }
+    return left;
+  };
+
+  const tree = parseBinary(0);
+  if (index < tokens.length) {
+    throw new ExpressionError(`Unexpected "${tokens[index].value}"`, tokens[index].position);
+  }
+  return tree;
+};
+
+/**
+ * @function collectReferences
+ * @description Lists the field ids and function names used by a syntax tree.
+ * @param {Object} node - A syntax tree node.
+ * @param {{fields: Set<string>, functions: Array<Object>}} found - Accumulator.
+ * @returns {{fields: Set<string>, functions: Array<Object>}}
+ */
+const collectReferences = (node, found = { fields: new Set(), functions: [] }) => {
+  switch (node.type) {
+    case 'reference':
+      found.fields.add(node.name);
+      break;
+    case 'call':
+      found.functions.push({ name: node.name, position: node.position });
+      node.args.forEach((arg) => collectReferences(arg, found));
+      break;
+    case 'unary':
+      collectReferences(node.operand, found);
+      break;
+    case 'binary':
+      collectReferences(node.left, found);
+      collectReferences(node.right, found);
+      break;
+    default:
+      break;
+  }
+  return found;
+};
+
+/**
+ * @typedef {Object} CompiledExpression
+ * @property {string} source - The expression as written.
+ * @property {Object} ast - The parsed syntax tree.
+ * @property {Array<string>} references - Ids of the fields the expression reads.
+ */
+
+/**
+ * @function compileExpression
+ * @description Parses an expression and checks that every function it calls exists.
+ * @param {string} source - The expression.
+ * @returns {CompiledExpression}
+ * @throws {ExpressionError} On a syntax error or an unknown function.
+ */
+export const compileExpression = (source) => {
+  if (!source || source.trim() === '') {
+    throw new ExpressionError('Expression is empty', 0);
+  }
+  const ast = parse(tokenize(source), source);
+  const { fields, functions } = collectReferences(ast);
+
+  const unknown = functions.find(({ name }) => !hasOwn(FUNCTIONS, name));
+  if (unknown) {
+    throw new ExpressionError(
+      `Unknown function "${unknown.name}". Available functions: ${Object.keys(FUNCTIONS).join(', ')}`,
+      unknown.position
+    );
+  }
+
+  return { source, ast, references: [...fields] };
+};
+
+/**
+ * @function evaluateNode
+ * @description Evaluates a syntax tree node.
+ * @param {Object} node - The node.
+ * @param {Object} scope - Field values keyed by id.
+ * @returns {*}
+ */
+const evaluateNode = (node, scope) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'reference':
+      return !hasOwn(scope, node.name) || scope[node.name] === undefined ? '' : scope[node.name];
+    case 'call':
+      return FUNCTIONS[node.name](...node.args.map((arg) => evaluateNode(arg, scope)));
+    case 'unary': {
+      const operand = evaluateNode(node.operand, scope);
+      return node.operator === '!' ? !isTruthy(operand) : -Number(operand);
+    }
+    case 'binary': {
+      // Short-circuiting the logical operators
+      if (node.operator === '&&') {
+        return isTruthy(evaluateNode(node.left, scope)) && isTruthy(evaluateNode(node.right, scope));
+      }
+      if (node.operator === '||') {
+        return isTruthy(evaluateNode(node.left, scope)) || isTruthy(evaluateNode(node.right, scope));
+      }
+
+      const left = evaluateNode(node.left, scope);
+      const right = evaluateNode(node.right, scope);
+      switch (node.operator) {
+        case '==': return valuesEqual(left, right);
+        case '!=': return !valuesEqual(left, right);
+        case '<': return compareValues(left, right) < 0;
+        case '<=': return compareValues(left, right) <= 0;
+        case '>': return compareValues(left, right) > 0;
+        case '>=': return compareValues(left, right) >= 0;
+        case '+':
+          return isNumeric(left) && isNumeric(right)
+            ? Number(left) + Number(right)
+            : `${left ?? ''}${right ?? ''}`;
+        case '-': return Number(left) - Number(right);
+        case '*': return Number(left) * Number(right);
+        case '/': return Number(left) / Number(right);
+        case '%': return Number(left) % Number(right);
+        default: return undefined;
+      }
+    }
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * @function evaluateExpression
+ * @description Evaluates a compiled expression against the form values.
+ * Fields missing from `scope` evaluate to `''`.
+ *
+ * @param {CompiledExpression} expression - The expression from `compileExpression`.
+ * @param {Object} scope - Field values keyed by id.
+ * @returns {*} The result of the expression.
+ */
+export const evaluateExpression = (expression, scope) => evaluateNode(expression.ast, scope);
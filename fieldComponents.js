@@ -0,0 +1,393 @@
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  StyleSheet
+} from 'react-native';
+import DrawingModal from './DrawingModal';
+import DrawingField from './DrawingField';
+import { loadDrawingBackground } from './drawingBackground';
+import ImageField from './ImageField';
+import DateTimeField from './DateTimeField';
+import SelectField from './SelectField';
+import { registerFieldType, getFieldType } from './fieldTypes';
+import { defaultTranslate } from './i18n';
+import { LIGHT_THEME } from './theme';
+
+/**
+ * @module fieldComponents
+ * @description The inputs of the built-in field types, registered as the `component` of their type
+ * (see `FieldTypePlugin` in ./fieldTypes) when this module is imported. ./XMLForm imports it, so host apps
+ * only import it themselves to reuse a built-in input in a type of their own.
+ *
+ * Every component takes the props the renderer passes to field type components: `field`, `value`,
+ * `onChange(value)`, `onBlur()`, `translate`, `theme`, `locale`, `rtl`, `assets`, `scope`, `inputRef`, `readOnly`,
+ * `accessibilityLabel` and `accessibilityHint`. Only the types that cannot be shown as text (`drawing` and `image`)
+ * are rendered with `readOnly` set.
+ *
+ * @uses ./DrawingModal
+ * @uses ./DrawingField
+ * @uses ./drawingBackground
+ * @uses ./ImageField
+ * @uses ./DateTimeField
+ * @uses ./SelectField
+ * @uses ./fieldTypes
+ */
+
+/**
+ * @constant {Object} TEXT_INPUT_PROPS
+ * @description `TextInput` props for the field types rendered as a plain text input,
+ * selecting the right keyboard and autofill hints for each type.
+ */
+const TEXT_INPUT_PROPS = {
+  text: {},
+  textarea: { multiline: true, textAlignVertical: 'top' },
+  email: {
+    keyboardType: 'email-address',
+    autoCapitalize: 'none',
+    autoCorrect: false,
+    autoComplete: 'email',
+  },
+  phone: { keyboardType: 'phone-pad', autoComplete: 'tel' },
+  number: { keyboardType: 'numeric' },
+};
+
+/**
+ * TextField - Text input of `text`, `textarea`, `email`, `phone` and `number` fields
+ *
+ * Key Features:
+ * - Keyboard and autofill hints suited to the field type
+ * - `textarea` fields are as tall as their `rows`
+ * - The input is passed to `inputRef`, so the renderer can move the keyboard focus to it
+ */
+export const TextField = ({
+  field,
+  value,
+  onChange,
+  onBlur,
+  theme = LIGHT_THEME,
+  rtl = false,
+  inputRef,
+  accessibilityLabel = field.label,
+  accessibilityHint
+}) => {
+  const styles = useMemo(() => createStyles(theme), [theme]);
+
+  return (
+    <TextInput
+      style={[
+        styles.input,
+        field.type === 'textarea' && {
+          minHeight: field.constraints.rows * 22 + 20,
+        },
+        rtl && styles.rtlText,
+      ]}
+      ref={inputRef}
+      placeholderTextColor={theme.colors.placeholder}
+      accessibilityLabel={accessibilityLabel}
+      accessibilityHint={accessibilityHint}
+      onChangeText={onChange}
+      onBlur={onBlur}
+      value={value}
+      {...TEXT_INPUT_PROPS[field.type]}
+    />
+  );
+};
+
+/**
+ * RadioField - Radio buttons of `radio` fields
+ *
+ * Key Features:
+ * - One button per `<option>`, stacked or side by side following the field's `options` style hint
+ * - Announced to screen readers as a radio group
+ */
+export const RadioField = ({
+  field,
+  value,
+  onChange,
+  onBlur,
+  theme = LIGHT_THEME,
+  rtl = false,
+  accessibilityLabel = field.label,
+  accessibilityHint
+}) => {
+  const styles = useMemo(() => createStyles(theme), [theme]);
+  const horizontal = field.style.options === 'horizontal';
+
+  return (
+    <View
+      style={[styles.radioContainer, horizontal && styles.horizontalOptions]}
+      accessibilityRole="radiogroup"
+      accessibilityLabel={accessibilityLabel}
+      accessibilityHint={accessibilityHint}
+    >
+      {field.options.map((option, index) => (
+        <TouchableOpacity
+          key={index}
+          style={[
+            styles.radioOption,
+            horizontal && styles.horizontalOption,
+            value === option.value && styles.selectedRadioOption
+          ]}
+          accessibilityRole="radio"
+          accessibilityState={{ checked: value === option.value }}
+          accessibilityHint={accessibilityHint}
+          onPress={() => {
+            onChange(option.value);
+            onBlur();
+          }}
+        >
+          <View style={styles.radioCircle} importantForAccessibility="no-hide-descendants">
+            {value === option.value && (
+              <View style={styles.selectedRadioCircle} />
+            )}
+          </View>
+          <Text style={[styles.radioText, rtl && styles.rtlText]}>{option.label}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+};
+
+/**
+ * CheckboxField - Checkboxes of `checkbox` fields
+ *
+ * Key Features:
+ * - One checkbox per `<option>`, stacked or side by side following the field's `options` style hint
+ * - The value is the array of checked option values, in the order they were checked
+ */
+export const CheckboxField = ({
+  field,
+  value,
+  onChange,
+  onBlur,
+  theme = LIGHT_THEME,
+  rtl = false,
+  accessibilityHint
+}) => {
+  const styles = useMemo(() => createStyles(theme), [theme]);
+  const horizontal = field.style.options === 'horizontal';
+
+  return (
+    <View style={[styles.radioContainer, horizontal && styles.horizontalOptions]}>
+      {field.options.map((option, index) => {
+        const checked = value.includes(option.value);
+        return (
+          <TouchableOpacity
+            key={index}
+            style={[
+              styles.radioOption,
+              horizontal && styles.horizontalOption,
+              checked && styles.selectedRadioOption
+            ]}
+            accessibilityRole="checkbox"
+            accessibilityState={{ checked }}
+            accessibilityHint={accessibilityHint}
+            onPress={() => {
+              onChange(
+                checked
+                  ? value.filter((selected) => selected !== option.value)
+                  : [...value, option.value]
+              );
+              onBlur();
+            }}
+          >
+            <View style={styles.checkbox} importantForAccessibility="no-hide-descendants">
+              {checked && <Text style={styles.checkmark}>✓</Text>}
+            </View>
+            <Text style={[styles.radioText, rtl && styles.rtlText]}>{option.label}</Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+};
+
+/**
+ * @function touchOnChange
+ * @description Adapts an input that has no blur of its own (a picker or a sheet) to the field type component
+ * props: the field is marked as touched, which shows its error, as soon as its value changes.
+ *
+ * @param {React.ComponentType} Input - A component calling `onChange` with the new value.
+ * @returns {React.ComponentType}
+ */
+const touchOnChange = (Input) => ({ onChange, onBlur, ...props }) => (
+  <Input
+    {...props}
+    onChange={(value) => {
+      onChange(value);
+      onBlur();
+    }}
+  />
+);
+
+/**
+ * DrawingInput - Drawing of `drawing` fields
+ *
+ * Key Features:
+ * - The preview and actions of `DrawingField`, opening the `DrawingModal` canvas
+ * - The field's `background` is loaded when the canvas opens; `field:` backgrounds are looked up in `scope`
+ *   and `asset:` backgrounds in `assets`
+ * - Read-only, only the preview is shown
+ */
+export const DrawingInput = ({
+  field,
+  value,
+  onChange,
+  onBlur,
+  translate = defaultTranslate,
+  theme = LIGHT_THEME,
+  assets,
+  scope = {},
+  readOnly = false,
+  accessibilityHint
+}) => {
+  // The drawing the canvas was opened on, and its loaded background, while the canvas is open
+  const [canvas, setCanvas] = useState(null);
+
+  const open = async (drawing) => {
+    let background = null;
+    try {
+      background = await loadDrawingBackground(field.constraints.background, scope, assets);
+    } catch (error) {
+      Alert.alert(
+        translate('backgroundNotLoadedTitle'),
+        translate('backgroundNotLoadedMessage', { error: error.message })
+      );
+    }
+    setCanvas({ drawing, background });
+  };
+
+  return (
+    <View>
+      <DrawingField
+        value={value}
+        label={field.label}
+        translate={translate}
+        theme={theme}
+        readOnly={readOnly}
+        accessibilityHint={accessibilityHint}
+        onOpen={open}
+        onClear={() => {
+          onChange('');
+          onBlur();
+        }}
+      />
+      <DrawingModal
+        visible={canvas !== null}
+        drawing={canvas?.drawing}
+        background={canvas?.background}
+        output={field.constraints.output}
+        penColor={field.constraints.penColor}
+        penWidth={field.constraints.penWidth}
+        translate={translate}
+        theme={theme}
+        onClose={() => setCanvas(null)}
+        onSave={(drawing) => {
+          onChange(drawing);
+          onBlur();
+          setCanvas(null);
+        }}
+      />
+    </View>
+  );
+};
+
+const BUILT_IN_COMPONENTS = {
+  text: TextField,
+  textarea: TextField,
+  email: TextField,
+  phone: TextField,
+  number: TextField,
+  datetime: touchOnChange(DateTimeField),
+  radio: RadioField,
+  checkbox: CheckboxField,
+  select: touchOnChange(SelectField),
+  image: touchOnChange(ImageField),
+  drawing: DrawingInput,
+};
+
+// `calculated` fields are always read-only, so the renderer shows their value instead of an input.
+// Components the host app registered before this module was loaded are kept.
+Object.entries(BUILT_IN_COMPONENTS).forEach(([type, component]) => {
+  const plugin = getFieldType(type);
+  if (plugin && !plugin.component) {
+    registerFieldType(type, { ...plugin, component });
+  }
+});
+
+const createStyles = (theme) => StyleSheet.create({
+  rtlText: {
+    textAlign: 'right',
+    writingDirection: 'rtl'
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.radius,
+    padding: theme.spacing,
+    color: theme.colors.text,
+    fontSize: theme.fontSize,
+    fontFamily: theme.fontFamily
+  },
+  radioContainer: {
+    flexDirection: 'column',
+  },
+  horizontalOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  radioOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: theme.spacing,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.radius,
+    marginVertical: theme.spacing / 2,
+  },
+  horizontalOption: {
+    marginEnd: theme.spacing,
+  },
+  selectedRadioOption: {
+    backgroundColor: theme.colors.selected,
+  },
+  radioCircle: {
+    height: 24,
+    width: 24,
+    borderRadius: 12,
+    borderWidth: 2,
+    borderColor: theme.colors.primary,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginEnd: theme.spacing,
+  },
+  selectedRadioCircle: {
+    height: 12,
+    width: 12,
+    borderRadius: 6,
+    backgroundColor: theme.colors.primary,
+  },
+  radioText: {
+    fontSize: theme.fontSize,
+    fontFamily: theme.fontFamily,
+    color: theme.colors.text,
+  },
+  checkbox: {
+    height: 24,
+    width: 24,
+    borderRadius: 4,
+    borderWidth: 2,
+    borderColor: theme.colors.primary,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginEnd: theme.spacing,
+  },
+  checkmark: {
+    color: theme.colors.primary,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,749 @@
+import * as Yup from 'yup';
+import {
+  DATE_TIME_MODES,
+  DATE_TIME_FORMATS,
+  parseISOValue,
+  toISOValue,
+  compareISOValues,
+  formatForDisplay,
+} from './dateTime';
+import { DRAWING_OUTPUTS, isDrawingValue, getDrawingOutput, drawingToSVG } from './drawingData';
+import { defaultTranslate } from './i18n';
+import { COLOR_PATTERN } from './theme';
+
+/**
+ * @module fieldTypes
+ * @description The registry of field types. Each `type` attribute of a `<field>` names a registered
+ * `FieldTypePlugin`, which reads the field's own attributes, builds its validation rule, gives its starting
+ * value and renders its input. The built-in types are registered here, and host apps add their own
+ * (e.g. a barcode scanner or a meter reading) with `registerFieldType` before rendering a form:
+ *
+ * ```js
+ * registerFieldType('barcode', {
+ *   component: BarcodeField,
+ *   parseAttributes: (attributes) => ({ symbology: attributes.symbology || 'ean13' }),
+ *   buildSchema: (field, { message }) =>
+ *     Yup.string().matches(/^\d{13}$/, {
+ *       message: message(`${field.label} is not a valid barcode`),
+ *       excludeEmptyString: true,
+ *     }),
+ * });
+ * ```
+ *
+ * Like ./formDefinition, this module does not depend on React: the built-in types get their components
+ * from ./fieldComponents, which the renderer imports.
+ *
+ * @uses yup
+ * @uses ./dateTime
+ * @uses ./drawingData
+ * @uses ./i18n
+ * @uses ./theme
+ */
+
+/**
+ * @typedef {Object} FieldTypePlugin
+ * @property {React.ComponentType} [component] - Renders the input of the field. It receives `field` (the normalized
+ * `FieldDefinition`), `value`, `onChange(value)`, `onBlur()` (marks the field as touched, which shows its error),
+ * `translate`, `theme`, `locale`, `rtl`, `assets`, `scope` (the values the field's expressions are evaluated
+ * against), `inputRef` (a callback ref for the element that takes the keyboard focus, if any), `readOnly` (see
+ * the `readOnly` hook), and the `accessibilityLabel` and `accessibilityHint` screen readers announce for the input.
+ * The renderer draws the label, hint and error around it. Not needed to parse and validate forms outside the app.
+ * @property {*|function} [defaultValue=''] - The value a field starts with: the value used when it has no `default`
+ * attribute, or a function `(field) => value` working it out from the field (whose `defaultValue` is the parsed
+ * `default` attribute, or `null`).
+ * @property {function} [parseAttributes] - `(attributes) => constraints`: reads the type's own attributes of the
+ * `<field>` element into the field's `constraints`.
+ * @property {function} [validateAttributes] - `(field, { fields }) => Array<string>`: a message for every invalid
+ * attribute of the normalized field. `fields` are the fields it may refer to.
+ * @property {function} [parseDefault] - `(text, field) => value`: reads the `default` attribute. Without it, the
+ * type does not accept a `default`.
+ * @property {function} [parseValue] - `(text, field) => value`: reads the value of the field from a `<value>` of the
+ * form's `<data>` block, throwing an `Error` when the text is invalid. Defaults to `parseDefault`, then to the text.
+ * @property {function} [buildSchema] - `(field, { translate, message }) => Yup.Schema`: the Yup rule of the value,
+ * without `required`, which is checked with `isEmpty`. `message(fallback, rule)` picks the message of a failed
+ * check: the rule's own `message`, then the field's `errorMessage`, then `fallback`. Defaults to `Yup.mixed()`.
+ * @property {function} [isEmpty] - `(value) => boolean`: whether a value counts as missing for `required`.
+ * Defaults to `undefined`, `null`, `''` and empty arrays.
+ * @property {Array<string>} [rules=[]] - Validation rules the type accepts besides `required` (see
+ * `VALIDATION_RULES` in ./formDefinition). `minLength`, `maxLength` and `pattern` are applied by the form;
+ * `buildSchema` applies `min` and `max`.
+ * @property {function} [validateRule] - `(rule, field) => string|null`: a message when a `min` or `max` rule has
+ * an invalid value.
+ * @property {boolean} [options=false] - Whether the field's choices come from `<option>` children, which are then required.
+ * @property {boolean} [readOnly] - `true` for types the user never edits (the field takes no validation rules),
+ * `false` for types that cannot be made read-only with `readonly` or `expr`. Read-only fields, and all fields of a
+ * form opened for review, show their value as text (see `formatValue`), except fields of `false` types: those are
+ * shown with their `component`, given the `readOnly` prop, unless they are empty.
+ * @property {function} [submitValue] - `(value, field) => value`: converts the value for submission.
+ * @property {function} [restoreValue] - `(value, field) => value`: converts a saved value, from a draft or the
+ * `initialValues` of the host app (such as a submission opened again), back into the value the field edits,
+ * undoing `submitValue`. Returns `undefined` for a value of the wrong shape, which the field's starting value
+ * replaces. Without it, saved values are used as they are.
+ * @property {function} [formatValue] - `(value, field, { translate, locale }) => string`: the value as text, for
+ * read-only display. Defaults to `formatFieldValue`'s plain formatting. Reports (see ./formReport) use it too,
+ * on the submitted value.
+ * @property {function} [reportImages] - `(value, field, { translate }) => Array<{uri, label}>`: the images a report
+ * shows for the submitted value in place of its text, with the `uri` as a data URL or file URI and a `label`
+ * describing the image.
+ */
+
+/**
+ * @constant {Map<string, FieldTypePlugin>} registry
+ * @description The registered field types, by type name, in registration order.
+ */
+const registry = new Map();
+
+const PLUGIN_FUNCTIONS = [
+  'parseAttributes',
+  'validateAttributes',
+  'parseDefault',
+  'parseValue',
+  'buildSchema',
+  'isEmpty',
+  'validateRule',
+  'submitValue',
+  'restoreValue',
+  'formatValue',
+  'reportImages',
+];
+
+/**
+ * @function registerFieldType
+ * @description Registers a field type, or replaces a registered one. To change a single part of a built-in
+ * type, register it again with the rest of its plugin: `registerFieldType('text', { ...getFieldType('text'), component })`.
+ *
+ * @param {string} type - The name used in the `type` attribute: a letter, then letters, digits, `_` or `-`.
+ * @param {FieldTypePlugin} plugin - The type's behaviour.
+ * @throws {Error} When the name is invalid or reserved, or a hook of the plugin is not a function.
+ */
+export const registerFieldType = (type, plugin) => {
+  if (typeof type !== 'string' || !/^[A-Za-z][\w-]*$/.test(type)) {
+    throw new Error(`Invalid field type name "${type}": use a letter followed by letters, digits, "_" or "-"`);
+  }
+  if (type === 'repeat') {
+    throw new Error('The field type name "repeat" is reserved for <repeat> groups');
+  }
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error(`The plugin of field type "${type}" must be an object`);
+  }
+  PLUGIN_FUNCTIONS.forEach((name) => {
+    if (plugin[name] !== undefined && typeof plugin[name] !== 'function') {
+      throw new Error(`"${name}" of field type "${type}" must be a function`);
+    }
+  });
+  registry.set(type, { ...plugin, type });
+};
+
+/**
+ * @function getFieldType
+ * @description The plugin of a registered field type.
+ * @param {string} type - The type name.
+ * @returns {FieldTypePlugin|null}
+ */
+export const getFieldType = (type) => registry.get(type) || null;
+
+/**
+ * @function getFieldTypes
+ * @description The names of the registered field types, built-in types first.
+ * @returns {Array<string>}
+ */
+export const getFieldTypes = () => [...registry.keys()];
+
+/**
+ * @function isEmptyValue
+ * @description Whether a value counts as missing for `required`, unless its type has its own `isEmpty`.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isEmptyValue = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * @function formatPlainValue
+ * @description Formats a value without knowledge of its type: "Yes"/"No" for booleans and lists joined by commas.
+ */
+const formatPlainValue = (value, translate) => {
+  if (typeof value === 'boolean') {
+    return translate(value ? 'yes' : 'no');
+  }
+  return Array.isArray(value) ? value.join(', ') : String(value ?? '');
+};
+
+/**
+ * @function formatFieldValue
+ * @description Formats the value of a field as text, with the `formatValue` of its type when it has one:
+ * option labels for option fields, the locale's format for dates, and fixed decimals for calculated numbers.
+ *
+ * @param {Object} field - The field.
+ * @param {*} value - Its value.
+ * @param {Object} [options]
+ * @param {function} [options.translate=defaultTranslate] - Translates "Yes" and "No" (see ./i18n).
+ * @param {string} [options.locale] - The locale dates are shown in.
+ * @returns {string}
+ */
+export const formatFieldValue = (field, value, { translate = defaultTranslate, locale } = {}) => {
+  const plugin = getFieldType(field.type);
+  return plugin && plugin.formatValue
+    ? plugin.formatValue(value, field, { translate, locale })
+    : formatPlainValue(value, translate);
+};
+
+// Built-in field types
+
+/**
+ * @constant {Array<string>} FIELD_TYPES
+ * @description The built-in field types:
+ * - `text`: A single-line text input field for general text.
+ * - `datetime`: A native date and/or time picker storing ISO 8601 values (see ./dateTime).
+ * - `radio`: A group of radio buttons allowing single selection from multiple options.
+ * - `drawing`: A dedicated area for capturing a freehand drawing or signature, stored as strokes (see ./drawingData).
+ * - `checkbox`: A group of checkboxes allowing multiple selection; the value is an array of option values.
+ * - `select`: A dropdown allowing single selection from its `<option>` children.
+ * - `number`: A numeric input with optional `min`, `max` and `step` attributes.
+ * - `textarea`: A multiline text input (`rows` sets its visible height).
+ * - `email`: A text input with the email keyboard and email format validation.
+ * - `phone`: A text input with the phone keypad and phone number format validation.
+ * - `image`: Photos taken with the camera or picked from the library; the value is an array of images (see ./imageCapture).
+ * - `calculated`: A read-only value computed from other fields by its `expr` expression (see ./expressions).
+ */
+export const FIELD_TYPES = [
+  'text',
+  'datetime',
+  'radio',
+  'drawing',
+  'checkbox',
+  'select',
+  'number',
+  'textarea',
+  'email',
+  'phone',
+  'image',
+  'calculated',
+];
+
+/**
+ * @constant {Array<string>} IMAGE_SOURCES
+ * @description Values accepted by the `source` attribute of an `image` field.
+ */
+export const IMAGE_SOURCES = ['camera', 'library', 'both'];
+
+/**
+ * @constant {RegExp} PHONE_PATTERN
+ * @description Accepted phone numbers: digits with optional leading `+` and common separators.
+ * The number of digits is checked separately.
+ */
+const PHONE_PATTERN = /^\+?[0-9\s().-]+$/;
+
+/**
+ * @constant {Array<string>} DEFAULT_DATE_KEYWORDS
+ * @description `default` values of a `datetime` field replaced by the current date and/or time when the form opens.
+ */
+const DEFAULT_DATE_KEYWORDS = ['today', 'now'];
+
+// The widest pen accepted by `penWidth`, in points
+const MAX_PEN_WIDTH = 50;
+
+const TEXT_RULES = ['minLength', 'maxLength', 'pattern'];
+
+const readNumber = (attribute, fallback = null) => (attribute !== undefined ? Number(attribute) : fallback);
+
+const keepText = (text) => text;
+
+// Saved values of the types edited as text: numbers and booleans become text, values of other shapes are dropped
+const restoreText = (value) => {
+  if (typeof value === 'string') {
+    return value;
+  }
+  return (typeof value === 'number' && Number.isFinite(value)) || typeof value === 'boolean' ? String(value) : undefined;
+};
+
+// Reads the JSON of a value in a `<data>` block, checking its shape with `isValid`
+const parseJSONValue = (isValid, expected) => (text) => {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`the value must be ${expected} in JSON: ${error.message}`);
+  }
+  if (!isValid(value)) {
+    throw new Error(`the value must be ${expected} in JSON`);
+  }
+  return value;
+};
+
+// Option labels of option values, for the `formatValue` of option types
+const formatOptionLabels = (value, field) => {
+  const labelOf = (optionValue) =>
+    (field.options.find((option) => option.value === optionValue) || { label: optionValue }).label;
+  return (Array.isArray(value) ? value : [value]).map(labelOf).join(', ');
+};
+
+/**
+ * @typedef {Object} DrawingBackground
+ * @property {string} kind - `asset`, `field` or `url`.
+ * @property {string} [name] - For `asset`: the name the host app registered the bundled image under.
+ * @property {string} [fieldId] - For `field`: the `image` field whose first image is drawn on.
+ * @property {string} [url] - For `url`: the address of the image.
+ */
+
+/**
+ * @function readBackground
+ * @description Reads the `background` attribute of a `drawing` field:
+ * - `asset:<name>`: an image bundled with the app, registered by the host under `name`.
+ * - `field:<id>`: the first image of another `image` field of the form.
+ * - anything else: the `http(s)` URL of an image.
+ *
+ * @param {string} [attribute] - The raw attribute value.
+ * @returns {DrawingBackground|null} The background, or `null` when the attribute is not set.
+ */
+const readBackground = (attribute) => {
+  if (!attribute) {
+    return null;
+  }
+  if (attribute.startsWith('asset:')) {
+    return { kind: 'asset', name: attribute.slice('asset:'.length) };
+  }
+  if (attribute.startsWith('field:')) {
+    return { kind: 'field', fieldId: attribute.slice('field:'.length) };
+  }
+  return { kind: 'url', url: attribute };
+};
+
+/**
+ * @function buildDateTimeRule
+ * @description Creates the Yup rule of a `datetime` field: the value must be ISO 8601 in the shape of
+ * the field's `mode`, and within its `min`/`max` bounds and any `min`/`max` validation rules.
+ *
+ * @param {FieldDefinition} field - A `datetime` field.
+ * @param {Object} helpers - `translate` and `message` (see `FieldTypePlugin`).
+ * @returns {Yup.StringSchema}
+ */
+const buildDateTimeRule = (field, { translate, message }) => {
+  const { mode, min, max } = field.constraints;
+  const bounds = [
+    ...(min ? [{ type: 'min', value: min, message: null }] : []),
+    ...(max ? [{ type: 'max', value: max, message: null }] : []),
+    ...field.validations.filter((rule) => rule.type === 'min' || rule.type === 'max'),
+  ];
+
+  return bounds.reduce(
+    (rule, bound) => (bound.type === 'min'
+      ? rule.test(
+        'min',
+        message(translate('tooEarly', { label: field.label, bound: bound.value }), bound),
+        (value) => !parseISOValue(value, mode) || compareISOValues(value, bound.value, mode) >= 0
+      )
+      : rule.test(
+        'max',
+        message(translate('tooLate', { label: field.label, bound: bound.value }), bound),
+        (value) => !parseISOValue(value, mode) || compareISOValues(value, bound.value, mode) <= 0
+      )),
+    Yup.string().test(
+      'iso-8601',
+      message(translate(`invalid${mode[0].toUpperCase()}${mode.slice(1)}`, { label: field.label })),
+      (value) => !value || parseISOValue(value, mode) !== null
+    )
+  );
+};
+
+/**
+ * @function buildNumberRule
+ * @description Creates the Yup rule of a `number` field. The value is kept as the text typed by the user,
+ * so an empty string is treated as "no value" and anything else must parse as a number within
+ * the field's `min`, `max` and `step`, and any `min`/`max` validation rules.
+ *
+ * @param {FieldDefinition} field - A `number` field.
+ * @param {Object} helpers - `translate` and `message` (see `FieldTypePlugin`).
+ * @returns {Yup.NumberSchema}
+ */
+const buildNumberRule = (field, { translate, message }) => {
+  const { min, max, step } = field.constraints;
+  let rule = Yup.number()
+    .transform((value, original) => (original === '' || original === null ? undefined : value))
+    .typeError(message(translate('notANumber', { label: field.label })));
+
+  if (min !== null) {
+    rule = rule.min(min, message(translate('tooSmall', { label: field.label, min })));
+  }
+  if (max !== null) {
+    rule = rule.max(max, message(translate('tooLarge', { label: field.label, max })));
+  }
+  field.validations.forEach((validation) => {
+    const bound = Number(validation.value);
+    if (validation.type === 'min') {
+      rule = rule.min(bound, message(translate('tooSmall', { label: field.label, min: bound }), validation));
+    } else if (validation.type === 'max') {
+      rule = rule.max(bound, message(translate('tooLarge', { label: field.label, max: bound }), validation));
+    }
+  });
+  if (step !== null) {
+    const base = min !== null ? min : 0;
+    rule = rule.test(
+      'step',
+      message(translate(base ? 'stepFrom' : 'step', { label: field.label, step, base })),
+      (value) => {
+        if (value === undefined) {
+          return true;
+        }
+        const steps = (value - base) / step;
+        // Tolerating floating point noise, e.g. 0.3 / 0.1
+        return Math.abs(steps - Math.round(steps)) < 1e-9;
+      }
+    );
+  }
+
+  return rule;
+};
+
+/**
+ * @function validateDateTime
+ * @description Checks the `mode`, `format`, `min`, `max` and `default` attributes of a `datetime` field.
+ * @param {FieldDefinition} field - A `datetime` field.
+ * @returns {Array<string>}
+ */
+const validateDateTime = (field) => {
+  const problems = [];
+  const { mode, format, min, max } = field.constraints;
+
+  if (!DATE_TIME_MODES.includes(mode)) {
+    return [`"mode" must be one of ${DATE_TIME_MODES.join(', ')}`];
+  }
+  if (!DATE_TIME_FORMATS.includes(format)) {
+    problems.push(`"format" must be one of ${DATE_TIME_FORMATS.join(', ')}`);
+  }
+  ['min', 'max'].forEach((bound) => {
+    if (field.constraints[bound] && !parseISOValue(field.constraints[bound], mode)) {
+      problems.push(`"${bound}" is not a valid ISO 8601 ${mode}: "${field.constraints[bound]}"`);
+    }
+  });
+  if (min && max && parseISOValue(min, mode) && parseISOValue(max, mode) && compareISOValues(min, max, mode) > 0) {
+    problems.push('"min" is later than "max"');
+  }
+  const { defaultValue } = field;
+  if (defaultValue !== null && !DEFAULT_DATE_KEYWORDS.includes(defaultValue) && !parseISOValue(defaultValue, mode)) {
+    problems.push(
+      `"default" must be ${DEFAULT_DATE_KEYWORDS.map((keyword) => `"${keyword}"`).join(', ')} ` +
+      `or an ISO 8601 ${mode}: "${defaultValue}"`
+    );
+  }
+  return problems;
+};
+
+/**
+ * @function validateNumber
+ * @description Checks the `min`, `max`, `step` and `default` attributes of a `number` field.
+ * @param {FieldDefinition} field - A `number` field.
+ * @returns {Array<string>}
+ */
+const validateNumber = (field) => {
+  const problems = [];
+  const { constraints, attributes, defaultValue } = field;
+
+  ['min', 'max', 'step'].forEach((name) => {
+    if (Number.isNaN(constraints[name])) {
+      problems.push(`"${name}" must be a number: "${attributes[name]}"`);
+    }
+  });
+  if (constraints.step !== null && constraints.step <= 0) {
+    problems.push('"step" must be greater than 0');
+  }
+  if (constraints.min !== null && constraints.max !== null && constraints.min > constraints.max) {
+    problems.push('"min" is greater than "max"');
+  }
+  if (defaultValue !== null && !(defaultValue.trim() !== '' && Number.isFinite(Number(defaultValue)))) {
+    problems.push(`"default" must be a number: "${attributes.default}"`);
+  }
+  return problems;
+};
+
+/**
+ * @function validateDrawing
+ * @description Checks the `penColor`, `penWidth`, `output` and `background` attributes of a `drawing` field.
+ * A `field:` background must name an `image` field among `fields`.
+ * @param {FieldDefinition} field - A `drawing` field.
+ * @param {Object} context
+ * @param {Array<FieldDefinition>} context.fields - The fields the drawing may refer to.
+ * @returns {Array<string>}
+ */
+const validateDrawing = (field, { fields }) => {
+  const problems = [];
+  const { penColor, penWidth, output, background } = field.constraints;
+
+  if (!COLOR_PATTERN.test(penColor)) {
+    problems.push(`"penColor" must be a hex colour such as #1a2b3c or a colour name: "${penColor}"`);
+  }
+  if (!(penWidth > 0 && penWidth <= MAX_PEN_WIDTH)) {
+    problems.push(`"penWidth" must be a number greater than 0 and at most ${MAX_PEN_WIDTH}: "${field.attributes.penWidth}"`);
+  }
+  if (!DRAWING_OUTPUTS.includes(output)) {
+    problems.push(`"output" must be one of ${DRAWING_OUTPUTS.join(', ')}`);
+  }
+  if (
+    background &&
+    ((background.kind === 'asset' && !background.name) ||
+      (background.kind === 'field' && !background.fieldId) ||
+      (background.kind === 'url' && !/^https?:\/\/\S+$/.test(background.url)))
+  ) {
+    problems.push(
+      `"background" must be "asset:<name>", "field:<image field id>" or an http(s) URL: "${field.attributes.background}"`
+    );
+  } else if (background && background.kind === 'field') {
+    const source = fields.find((candidate) => candidate.id === background.fieldId);
+    if (!source || source.type !== 'image') {
+      problems.push(
+        `"background" must refer to an image field, not ${source ? `${source.type} field` : 'unknown field'} "${background.fieldId}"`
+      );
+    }
+  }
+  return problems;
+};
+
+/**
+ * @function validateImage
+ * @description Checks the `source`, `maxCount`, `maxSizeKB`, `maxWidth`, `maxHeight` and `quality` attributes
+ * of an `image` field.
+ * @param {FieldDefinition} field - An `image` field.
+ * @returns {Array<string>}
+ */
+const validateImage = (field) => {
+  const problems = [];
+  const { constraints, attributes } = field;
+
+  if (!IMAGE_SOURCES.includes(constraints.source)) {
+    problems.push(`"source" must be one of ${IMAGE_SOURCES.join(', ')}`);
+  }
+  ['maxCount', 'maxWidth', 'maxHeight'].forEach((name) => {
+    if (constraints[name] !== null && !(Number.isInteger(constraints[name]) && constraints[name] > 0)) {
+      problems.push(`"${name}" must be a positive whole number: "${attributes[name]}"`);
+    }
+  });
+  if (constraints.maxSizeKB !== null && !(constraints.maxSizeKB > 0)) {
+    problems.push(`"maxSizeKB" must be a number greater than 0: "${attributes.maxSizeKB}"`);
+  }
+  if (!(constraints.quality >= 0 && constraints.quality <= 1)) {
+    problems.push(`"quality" must be a number from 0 to 1: "${attributes.quality}"`);
+  }
+  return problems;
+};
+
+const buildTextRule = () => Yup.string();
+
+// The parts shared by the text input types
+const textType = (buildSchema = buildTextRule) => ({
+  parseDefault: keepText,
+  restoreValue: restoreText,
+  buildSchema,
+  rules: TEXT_RULES,
+});
+
+registerFieldType('text', textType());
+
+/**
+ * `datetime` fields accept:
+ * - `mode`: `date` (default), `time` or `datetime`.
+ * - `min` / `max`: ISO 8601 bounds in the same shape as the stored value.
+ * - `format`: display style in the device locale, `short`, `medium` (default), `long` or `full`.
+ * - `default`: an ISO 8601 value, or `today`/`now` for the moment the form opens.
+ */
+registerFieldType('datetime', {
+  parseAttributes: (attributes) => ({
+    mode: attributes.mode || 'date',
+    format: attributes.format || 'medium',
+    min: attributes.min || null,
+    max: attributes.max || null,
+  }),
+  validateAttributes: validateDateTime,
+  parseDefault: keepText,
+  parseValue: (text, field) => {
+    if (!parseISOValue(text, field.constraints.mode)) {
+      throw new Error(`the value must be an ISO 8601 ${field.constraints.mode}: "${text}"`);
+    }
+    return text;
+  },
+  restoreValue: (value, field) =>
+    (value === '' || (typeof value === 'string' && parseISOValue(value, field.constraints.mode)) ? value : undefined),
+  defaultValue: (field) => {
+    if (field.defaultValue === null) {
+      return '';
+    }
+    return DEFAULT_DATE_KEYWORDS.includes(field.defaultValue)
+      ? toISOValue(new Date(), field.constraints.mode)
+      : field.defaultValue;
+  },
+  buildSchema: buildDateTimeRule,
+  rules: ['min', 'max'],
+  validateRule: (rule, field) => (parseISOValue(rule.value, field.constraints.mode)
+    ? null
+    : `"${rule.type}" is not a valid ISO 8601 ${field.constraints.mode}: "${rule.value}"`),
+  formatValue: (value, field, { locale }) =>
+    formatForDisplay(value, field.constraints.mode, field.constraints.format, locale),
+});
+
+registerFieldType('radio', {
+  options: true,
+  parseDefault: keepText,
+  restoreValue: restoreText,
+  buildSchema: buildTextRule,
+  formatValue: formatOptionLabels,
+});
+
+/**
+ * `drawing` fields accept the initial pen of the canvas: `penColor` (a `#rgb`/`#rrggbb` hex or CSS colour name,
+ * default black) and `penWidth` (stroke width in points, default 2), and `output`, what is submitted
+ * for the drawing: `png` (default), `svg` or `strokes`. A `background` image to draw on is read by `readBackground`.
+ */
+registerFieldType('drawing', {
+  parseAttributes: (attributes) => ({
+    penColor: attributes.penColor || '#000000',
+    penWidth: readNumber(attributes.penWidth, 2),
+    output: attributes.output || 'png',
+    background: readBackground(attributes.background),
+  }),
+  validateAttributes: validateDrawing,
+  // Drawings are stroke objects, or '' when nothing was drawn
+  isEmpty: (value) => !isDrawingValue(value),
+  parseValue: parseJSONValue(isDrawingValue, 'a drawing with its strokes'),
+  // Only drawings submitted as strokes can be edited again, not PNG or SVG output
+  restoreValue: (value) => (isDrawingValue(value) ? value : undefined),
+  readOnly: false,
+  submitValue: (value, field) => (isDrawingValue(value) ? getDrawingOutput(value, field.constraints.output) : value),
+  // The submitted drawing is a PNG data URL, an SVG document or the strokes, following `output`
+  reportImages: (value, field, { translate }) => {
+    const label = value && value.typed
+      ? translate('typedSignatureOf', { label: field.label, name: value.typed })
+      : translate('drawingOf', { label: field.label });
+    const svg = isDrawingValue(value) ? drawingToSVG(value) : value;
+    if (typeof svg === 'string' && /^<svg[\s>]/.test(svg)) {
+      return [{ uri: `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`, label }];
+    }
+    return typeof value === 'string' && value.startsWith('data:image/') ? [{ uri: value, label }] : [];
+  },
+});
+
+/**
+ * `checkbox` defaults list the checked option values separated by commas. Lengths count selected options.
+ */
+registerFieldType('checkbox', {
+  options: true,
+  parseDefault: (text) => text.split(',').map((item) => item.trim()).filter(Boolean),
+  defaultValue: (field) => field.defaultValue || [],
+  restoreValue: (value) => (Array.isArray(value) ? value.filter((item) => typeof item === 'string') : []),
+  buildSchema: () => Yup.array().of(Yup.string()),
+  rules: ['minLength', 'maxLength'],
+  formatValue: formatOptionLabels,
+});
+
+registerFieldType('select', {
+  options: true,
+  parseDefault: keepText,
+  restoreValue: restoreText,
+  buildSchema: buildTextRule,
+  formatValue: formatOptionLabels,
+});
+
+/**
+ * `number` fields accept numeric `min`, `max` and `step` attributes. They are edited as text and submitted as
+ * numbers, or `''` when left empty, like `calculated` fields.
+ */
+registerFieldType('number', {
+  parseAttributes: (attributes) => ({
+    min: readNumber(attributes.min),
+    max: readNumber(attributes.max),
+    step: readNumber(attributes.step),
+  }),
+  validateAttributes: validateNumber,
+  parseDefault: keepText,
+  restoreValue: restoreText,
+  buildSchema: buildNumberRule,
+  rules: ['pattern', 'min', 'max'],
+  validateRule: (rule) => (rule.value === undefined || Number.isNaN(Number(rule.value))
+    ? `"${rule.type}" must be a number: "${rule.value}"`
+    : null),
+  submitValue: (value) => (isEmptyValue(value) || String(value).trim() === '' ? '' : Number(value)),
+});
+
+/**
+ * `textarea` fields accept `rows`, the number of visible lines (default 4).
+ */
+registerFieldType('textarea', {
+  ...textType(),
+  parseAttributes: (attributes) => ({ rows: readNumber(attributes.rows, 4) }),
+  validateAttributes: (field) => (Number.isInteger(field.constraints.rows) && field.constraints.rows > 0
+    ? []
+    : [`"rows" must be a positive whole number: "${field.attributes.rows}"`]),
+});
+
+registerFieldType('email', textType((field, { translate, message }) =>
+  Yup.string().email(message(translate('invalidEmail', { label: field.label })))));
+
+registerFieldType('phone', textType((field, { translate, message }) =>
+  Yup.string()
+    .matches(PHONE_PATTERN, {
+      message: message(translate('invalidPhone', { label: field.label })),
+      excludeEmptyString: true,
+    })
+    .test(
+      'phone-digits',
+      message(translate('phoneDigits', { label: field.label })),
+      (value) => !value || /^\d{7,15}$/.test(value.replace(/\D/g, ''))
+    )));
+
+/**
+ * `image` fields accept:
+ * - `source`: `camera`, `library` or `both` (default).
+ * - `maxCount`: the most images the field holds (default 1).
+ * - `maxSizeKB`: the largest accepted image, after resizing and compression.
+ * - `maxWidth` / `maxHeight`: images are scaled down to fit within these pixel sizes.
+ * - `quality`: JPEG compression quality, from 0 to 1 (default 0.8).
+ */
+registerFieldType('image', {
+  parseAttributes: (attributes) => ({
+    source: attributes.source || 'both',
+    maxCount: readNumber(attributes.maxCount, 1),
+    maxSizeKB: readNumber(attributes.maxSizeKB),
+    maxWidth: readNumber(attributes.maxWidth),
+    maxHeight: readNumber(attributes.maxHeight),
+    quality: readNumber(attributes.quality, 0.8),
+  }),
+  validateAttributes: validateImage,
+  defaultValue: () => [],
+  parseValue: parseJSONValue(
+    (value) => Array.isArray(value) && value.every((image) => image && typeof image.uri === 'string'),
+    'an array of images with a "uri"'
+  ),
+  // Images of a JSON payload carry their `data` URL but no file to edit
+  restoreValue: (value) => (Array.isArray(value) ? value.filter((image) => image && typeof image.uri === 'string') : []),
+  buildSchema: (field, { translate, message }) => Yup.array().max(
+    field.constraints.maxCount,
+    message(translate('tooManyImages', { label: field.label, max: field.constraints.maxCount }))
+  ),
+  readOnly: false,
+  // Images embedded in a JSON payload carry their `data` URL instead of a file URI (see ./formSubmission)
+  reportImages: (value, field, { translate }) => (Array.isArray(value) ? value : []).map((image, index, images) => ({
+    uri: image.data || image.uri,
+    label: translate('photoOf', { label: field.label, number: index + 1, count: images.length }),
+  })),
+});
+
+/**
+ * `calculated` fields need an `expr`, and accept `decimals`, the number of decimal places numeric results
+ * are rounded to and shown with. The user cannot change their value, so there is nothing to validate.
+ */
+registerFieldType('calculated', {
+  parseAttributes: (attributes) => ({ decimals: readNumber(attributes.decimals) }),
+  validateAttributes: (field) => {
+    const problems = [];
+    const { decimals } = field.constraints;
+    if (decimals !== null && !(Number.isInteger(decimals) && decimals >= 0 && decimals <= 10)) {
+      problems.push(`"decimals" must be a whole number from 0 to 10: "${field.attributes.decimals}"`);
+    }
+    if (!field.expression) {
+      problems.push('"expr" is required on calculated fields');
+    }
+    return problems;
+  },
+  readOnly: true,
+  formatValue: (value, field, { translate }) => (typeof value === 'number' && field.constraints.decimals !== null
+    ? value.toFixed(field.constraints.decimals)
+    : formatPlainValue(value, translate)),
+});
@@ -0,0 +1,2047 @@
+import * as Yup from 'yup';
+import { Parser } from 'react-native-xml2js';
+import { compileExpression, evaluateExpression, isTruthy } from './expressions';
+import { getFieldType, getFieldTypes, isEmptyValue } from './fieldTypes';
+import { DEFAULT_LANGUAGE, MESSAGES, defaultTranslate } from './i18n';
+import { COLOR_PATTERN, THEME_COLOR_ATTRIBUTES, THEME_SIZE_ATTRIBUTES } from './theme';
+
+/**
+ * @module formDefinition
+ * @description Headless parsing and validation of XML form definitions.
+ *
+ * Nothing in this module depends on React or React Native, so the same code can turn form XML
+ * into a normalized form definition in the app, in unit tests, or on a Node server.
+ *
+ * @uses yup
+ * @uses react-native-xml2js
+ * @uses ./expressions
+ * @uses ./fieldTypes
+ * @uses ./i18n
+ * @uses ./theme
+ */
+
+export { FIELD_TYPES, IMAGE_SOURCES } from './fieldTypes';
+
+/**
+ * @constant {Array<string>} VALIDATION_RULES
+ * @description Validation rules understood in field attributes and `<validation>` blocks:
+ * - `required`: A value must be provided.
+ * - `minLength` / `maxLength`: Number of characters, or number of selected options for `checkbox`.
+ * - `pattern`: Regular expression the whole value must match (like the HTML `pattern` attribute).
+ * - `min` / `max`: Numeric bounds for `number`, ISO 8601 bounds for `datetime`.
+ *
+ * Each field type lists the rules it accepts besides `required` (see `FieldTypePlugin` in ./fieldTypes).
+ * `calculated` fields take no validation rules, since the user cannot change their value.
+ */
+export const VALIDATION_RULES = ['required', 'minLength', 'maxLength', 'pattern', 'min', 'max'];
+
+/**
+ * @constant {RegExp} FIELD_ID_PATTERN
+ * @description The syntax of field and `<repeat>` ids: a letter or `_`, then letters, digits and `_`. Ids are
+ * keys of the form values and names in expressions, so `a.b` (a nested path to Formik, a single name to
+ * ./expressions) and `first name` are rejected, as is `__proto__`, which cannot be a key of the values.
+ */
+export const FIELD_ID_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * @constant {Array<string>} CONDITION_ATTRIBUTES
+ * @description Field attributes holding an expression (see ./expressions) evaluated against the form values:
+ * - `showIf`: The field is shown only while the expression is true. Hidden fields are not validated
+ *   and are left out of the submitted values.
+ * - `requiredIf`: The field is required while the expression is true.
+ *
+ * The `expr` attribute holds an expression too, but computes the field's value (see `applyCalculatedValues`).
+ */
+export const CONDITION_ATTRIBUTES = ['showIf', 'requiredIf'];
+
+/**
+ * @constant {Object<string, Array<string>|null>} STYLE_HINTS
+ * @description Hints accepted in the `style` attribute of a field or `<repeat>`, written like CSS
+ * (`style="width: 50%; layout: inline"`), with their accepted values:
+ * - `width`: the share of the row the field takes, as a percentage. Consecutive fields share a row while they fit.
+ * - `layout`: `stacked` (default) shows the label above the input, `inline` beside it. Not for `<repeat>`.
+ * - `options`: `vertical` (default) lists the options of a `radio` or `checkbox` field one per line, `horizontal` side by side.
+ */
+export const STYLE_HINTS = {
+  width: null,
+  layout: ['stacked', 'inline'],
+  options: ['vertical', 'horizontal'],
+};
+
+/**
+ * @constant {Array<string>} ATTRIBUTE_RULES
+ * @description Validation rules that can also be written as attributes of `<field>`.
+ * `min` and `max` are not listed: they are type constraints (see `readConstraints`).
+ */
+export const ATTRIBUTE_RULES = ['minLength', 'maxLength', 'pattern'];
+
+/**
+ * @typedef {Object} FormError
+ * @property {string} code - Machine readable error code: `empty`, `malformed-xml`, `missing-form`,
+ * `missing-id`, `duplicate-id`, `missing-label`, `missing-options`, `invalid-type`, `invalid-attribute`,
+ * `invalid-structure` or `invalid-data`, and for forms imported from other formats (see ./formImport)
+ * `malformed-json` or `unsupported`.
+ * @property {string} message - Human readable description of the problem.
+ * @property {string} [fieldId] - The `id` of the field the error relates to, when there is one.
+ * @property {string} [path] - Where the problem was found in a form imported from JSON, as a JSON pointer
+ * (e.g. `/properties/age`), when the source has no lines to point to.
+ * @property {number} [line] - 1-based line of the XML source where the problem was found.
+ * @property {number} [column] - 1-based column of the XML source where the problem was found.
+ */
+
+/**
+ * @typedef {Object} SourceLocation
+ * @property {number} line - 1-based line number.
+ * @property {number} column - 1-based column number.
+ * @property {string} [path] - For forms imported from JSON, the JSON pointer of the element, in place of a line.
+ */
+
+/**
+ * @typedef {Object} FieldOption
+ * @property {string} value - The value stored when the option is selected.
+ * @property {string} label - The text shown to the user.
+ */
+
+/**
+ * @typedef {Object} FieldDefinition
+ * @property {string} id - Key of the field in the form values.
+ * @property {string} type - A registered field type (see ./fieldTypes), or `repeat` for a `<repeat>` group.
+ * @property {string} label - Label shown above the input.
+ * @property {string|null} hint - The `hint` attribute: help shown under the label and read out by screen readers.
+ * @property {boolean} required - Whether a value must be provided.
+ * @property {Array<FieldOption>} options - Choices of a field of an option type such as `radio`, `checkbox` or `select`
+ * (empty for other types).
+ * @property {Object} constraints - Type specific constraints read from the field attributes.
+ * @property {Array<ValidationRule>} validations - Extra validation rules of the field.
+ * @property {Object} conditions - Compiled `showIf` and `requiredIf` expressions (see `CONDITION_ATTRIBUTES`),
+ * `null` when the attribute is absent.
+ * @property {Object|null} expression - The compiled `expr` expression computing the field's value, or `null`.
+ * @property {boolean} readOnly - Whether the user cannot edit the value: fields of read-only types such as `calculated`,
+ * fields with an `expr`, and fields with `readonly="true"`.
+ * @property {*} defaultValue - The `default` attribute as read by the type's `parseDefault` (e.g. split on commas for
+ * `checkbox` fields), or `null` when absent.
+ * @property {Object} style - The hints of the `style` attribute (see `STYLE_HINTS`): `width` (e.g. `50%`, or `null`
+ * for the full row), `layout` and `options`.
+ * @property {Object} attributes - All raw attributes of the `<field>` element.
+ * @property {SourceLocation|null} location - Where the `<field>` element starts in the XML source.
+ * @property {Array<FieldDefinition>} [fields] - The fields of one entry, for `repeat` groups.
+ */
+
+/**
+ * @typedef {Object} ValidationRule
+ * @property {string} type - One of `VALIDATION_RULES`.
+ * @property {string} [value] - The rule argument as written in the XML (length, pattern or bound).
+ * @property {string|null} message - The rule's own `message`, or `null` to use the field's `errorMessage`
+ * or the built-in message.
+ * @property {SourceLocation|null} location - Where the rule is written in the XML source.
+ */
+
+/**
+ * @typedef {Object} FormDefinition
+ * @property {string|null} id - The `id` attribute of the `<form>` element.
+ * @property {string|null} title - The `title` attribute of the `<form>` element.
+ * @property {Array<FieldDefinition>} fields - All fields of the form, in document order. The fields of a
+ * `<repeat>` group are listed in the group (see `normalizeRepeat`).
+ * @property {Array<PageDefinition>} pages - The layout of the form. A form without `<page>` elements has a single page.
+ * @property {boolean} paged - Whether the form declares `<page>` elements and renders as a wizard.
+ * @property {SubmitTarget|null} submit - Where submitted values are sent, or `null` when no target is declared.
+ * @property {Object|null} theme - The partial theme set by the `<theme>` element (see `readTheme`), or `null`.
+ * @property {string} language - The language the form is written in: the `lang` attribute of `<form>`, default `en`.
+ * @property {Array<string>} languages - Every language the form can be shown in, starting with `language`.
+ * @property {Object<string, Object<string, string>>} translations - Translated texts by language and text key
+ * (see `readTranslations`).
+ * @property {Object|null} data - The values the form is pre-filled with by its `<data>` element (see `readData`),
+ * keyed by field id, or `null` when the form has none.
+ */
+
+/**
+ * @typedef {Object} SubmitTarget
+ * @property {string} url - The HTTP endpoint.
+ * @property {string} method - `POST`, `PUT` or `PATCH`.
+ * @property {string} format - `json`, or `multipart` to send drawings as PNG file parts.
+ * @property {Object<string, string>} headers - Extra request headers.
+ * @property {number} timeout - Request timeout in milliseconds.
+ * @property {string|null} successMessage - Message shown once the submission succeeded.
+ */
+
+/**
+ * @typedef {Object} PageDefinition
+ * @property {string} key - Identifies the page in translations: its `id` attribute, or `page.<n>` counting from 1.
+ * @property {string|null} title - The `title` attribute of the `<page>` element.
+ * @property {Array<LayoutItem>} items - The fields and sections of the page, in document order.
+ */
+
+/**
+ * @typedef {Object} LayoutItem
+ * @property {string} kind - `field` or `section`.
+ * @property {FieldDefinition} [field] - The field, for `field` items.
+ * @property {string} [key] - For `section` items, identifies the section in translations: its `id` attribute,
+ * or `section.<n>` counting the sections of the form from 1.
+ * @property {string|null} [title] - The `title` attribute, for `section` items.
+ * @property {Array<LayoutItem>} [items] - The fields of the section, for `section` items.
+ */
+
+/**
+ * @typedef {Object} FieldChange
+ * @property {string} path - The Formik path of the field, e.g. `inspector`, or `items.0.qty` inside a `<repeat>`
+ * entry. An entry added or removed as a whole is reported by its path, e.g. `items.2`.
+ * @property {string} label - The label of the field (or of the `<repeat>` group, for whole entries).
+ * @property {*} from - The initial value, `undefined` for an added entry.
+ * @property {*} to - The current value, `undefined` for a removed entry.
+ */
+
+/**
+ * @function createError
+ * @description Builds a structured `FormError`.
+ * @param {string} code - The error code.
+ * @param {string} message - The error message.
+ * @param {Object} [details] - Extra properties such as `fieldId`.
+ * @returns {FormError}
+ */
+const createError = (code, message, details = {}) => ({ code, message, ...details });
+
+/**
+ * @function locate
+ * @description Converts a 1-based character offset into a line and column of the source.
+ * @param {string} source - The XML source.
+ * @param {number} offset - 1-based character offset, as reported by sax.
+ * @returns {SourceLocation}
+ */
+const locate = (source, offset) => {
+  const before = source.slice(0, Math.max(offset - 1, 0));
+  const lastBreak = before.lastIndexOf('\n');
+  return {
+    line: before.split('\n').length,
+    column: before.length - lastBreak,
+  };
+};
+
+/**
+ * @function parseXMLTree
+ * @description Parses XML with xml2js, keeping the children of every element in document order
+ * (under `$$`) and recording where each element starts in the source (under `#location`).
+ *
+ * @param {string} source - The XML source.
+ * @returns {{root: Object|null, rootName: string|null, error: FormError|null}}
+ */
+const parseXMLTree = (source) => {
+  const locations = [];
+  let parser;
+
+  // xml2js calls the tag name processors once per opening tag, in document order,
+  // which is the only point where the underlying sax parser knows the tag position.
+  const recordLocation = (name) => {
+    locations.push(locate(source, parser.saxParser.startTagPosition));
+    return name;
+  };
+
+  parser = new Parser({
+    explicitChildren: true,
+    preserveChildrenOrder: true,
+    tagNameProcessors: [recordLocation],
+  });
+
+  let outcome = { root: null, rootName: null, error: null };
+  parser.parseString(source, (err, result) => {
+    if (err) {
+      // sax reports "<reason>\nLine: <0-based line>\nColumn: <column>\nChar: <char>"
+      const [reason] = err.message.split('\n');
+      const line = err.message.match(/Line: (\d+)/);
+      const column = err.message.match(/Column: (\d+)/);
+      outcome.error = createError('malformed-xml', `Malformed XML: ${reason}`, {
+        ...(line && { line: Number(line[1]) + 1 }),
+        ...(column && { column: Number(column[1]) }),
+      });
+      return;
+    }
+
+    const rootName = result ? Object.keys(result)[0] : null;
+    const root = rootName ? result[rootName] : null;
+
+    // A pre-order walk visits the elements in the same order as their opening tags
+    let index = 0;
+    const annotate = (node) => {
+      node['#location'] = locations[index++];
+      (node.$$ || []).forEach(annotate);
+    };
+    if (root && typeof root === 'object') {
+      annotate(root);
+    }
+
+    outcome = { root, rootName, error: null };
+  });
+
+  return outcome;
+};
+
+/**
+ * @function childElements
+ * @description Returns the child elements of a parsed element with the given name, in document order.
+ * @param {Object} node - An element parsed by `parseXMLTree`.
+ * @param {string} name - The element name to look for.
+ * @returns {Array<Object>}
+ */
+const childElements = (node, name) =>
+  (node && node.$$ ? node.$$ : []).filter((child) => child['#name'] === name);
+
+/**
+ * @function normalizeOption
+ * @description Converts an `<option>` element parsed by xml2js into a `FieldOption`.
+ * @param {Object|string} option - The parsed `<option>` element.
+ * @returns {FieldOption}
+ */
+const normalizeOption = (option) => {
+  // xml2js gives a plain string for an option without attributes
+  if (typeof option === 'string') {
+    return { value: option, label: option };
+  }
+  const label = (option._ || '').trim();
+  const value = option.$?.value ?? label;
+  return { value, label: label || value };
+};
+
+/**
+ * @function readConstraints
+ * @description Reads the type specific attributes of a field into its `constraints`, with the `parseAttributes`
+ * of its type (see ./fieldTypes). `<repeat>` groups accept `min` (the fewest entries, default 0) and `max`
+ * (the most entries, default unlimited).
+ *
+ * @param {string} type - The field type.
+ * @param {Object} attributes - The raw attributes of the `<field>` element.
+ * @returns {Object} The constraints of the field.
+ */
+const readConstraints = (type, attributes) => {
+  if (type === 'repeat') {
+    return {
+      min: attributes.min !== undefined ? Number(attributes.min) : 0,
+      max: attributes.max !== undefined ? Number(attributes.max) : null,
+    };
+  }
+  const plugin = getFieldType(type);
+  return plugin && plugin.parseAttributes ? plugin.parseAttributes(attributes) : {};
+};
+
+/**
+ * @function validateConstraints
+ * @description Checks the constraints read by `readConstraints`, and the `default` value, with the
+ * `validateAttributes` of the field's type.
+ * @param {FieldDefinition} field - The normalized field.
+ * @param {Array<FieldDefinition>} fields - The fields the field may refer to.
+ * @returns {Array<string>} A message for every invalid attribute.
+ */
+const validateConstraints = (field, fields) => {
+  if (field.type === 'repeat') {
+    const problems = [];
+    const { constraints } = field;
+    if (!(Number.isInteger(constraints.min) && constraints.min >= 0)) {
+      problems.push(`"min" must be a whole number of 0 or more: "${field.attributes.min}"`);
+    }
+    if (constraints.max !== null && !(Number.isInteger(constraints.max) && constraints.max > 0)) {
+      problems.push(`"max" must be a positive whole number: "${field.attributes.max}"`);
+    } else if (constraints.max !== null && constraints.min > constraints.max) {
+      problems.push('"min" is greater than "max"');
+    }
+    return problems;
+  }
+  const plugin = getFieldType(field.type);
+  return plugin && plugin.validateAttributes ? plugin.validateAttributes(field, { fields }) : [];
+};
+
+/**
+ * @function readValidationRules
+ * @description Collects the validation rules of a field, from its `minLength`, `maxLength` and `pattern`
+ * attributes and from `<rule>` elements inside its `<validation>` child:
+ *
+ * ```xml
+ * <field id="employeeId" type="text" label="Employee ID" errorMessage="Enter your 6 digit employee ID">
+ *   <validation>
+ *     <rule type="required" message="Employee ID is required" />
+ *     <rule type="pattern" value="\d{6}" />
+ *   </validation>
+ * </field>
+ * ```
+ *
+ * A rule's own `message` wins over the field's `errorMessage`, which wins over the built-in message
+ * (see `messageFor`).
+ *
+ * @param {Object} field - The parsed `<field>` element.
+ * @returns {Array<ValidationRule>}
+ */
+const readValidationRules = (field) => {
+  const attributes = field.$ || {};
+
+  const fromAttributes = ATTRIBUTE_RULES
+    .filter((type) => attributes[type] !== undefined)
+    .map((type) => ({
+      type,
+      value: attributes[type],
+      message: null,
+      location: field['#location'] || null,
+    }));
+
+  const fromElements = childElements(field, 'validation')
+    .flatMap((validation) => childElements(validation, 'rule'))
+    .map((rule) => ({
+      type: rule.$?.type,
+      value: rule.$?.value,
+      message: rule.$?.message || null,
+      location: rule['#location'] || null,
+    }));
+
+  return [...fromAttributes, ...fromElements];
+};
+
+/**
+ * @function validateRules
+ * @description Checks the validation rules read by `readValidationRules` against the rules the field's type
+ * accepts, and the `min`/`max` values with the type's `validateRule`.
+ * @param {FieldDefinition} field - The normalized field.
+ * @returns {Array<{message: string, location: SourceLocation|null}>} A problem for every invalid rule.
+ */
+const validateRules = (field) => field.validations.reduce((problems, rule) => {
+  const problem = (message) => problems.push({ message, location: rule.location });
+  const plugin = getFieldType(field.type);
+
+  if (!VALIDATION_RULES.includes(rule.type)) {
+    problem(`unknown validation rule "${rule.type}". Supported rules: ${VALIDATION_RULES.join(', ')}`);
+    return problems;
+  }
+  const applies = rule.type === 'required'
+    ? plugin.readOnly !== true
+    : (plugin.rules || []).includes(rule.type);
+  if (!applies) {
+    problem(`the "${rule.type}" rule does not apply to ${field.type} fields`);
+    return problems;
+  }
+
+  switch (rule.type) {
+    case 'minLength':
+    case 'maxLength':
+      if (!/^\d+$/.test(rule.value || '')) {
+        problem(`"${rule.type}" must be a whole number: "${rule.value}"`);
+      }
+      break;
+    case 'pattern':
+      try {
+        new RegExp(rule.value || '');
+      } catch (error) {
+        problem(`"pattern" is not a valid regular expression: ${error.message}`);
+      }
+      break;
+    case 'min':
+    case 'max': {
+      const message = plugin.validateRule && plugin.validateRule(rule, field);
+      if (message) {
+        problem(message);
+      }
+      break;
+    }
+    default:
+      break;
+  }
+
+  return problems;
+}, []);
+
+/**
+ * @function readExpression
+ * @description Compiles an expression attribute. An expression that does not compile is kept with
+ * its `error`, to be reported by `validateFields`.
+ *
+ * @param {string|undefined} source - The attribute value.
+ * @returns {Object|null} The compiled expression, or `null` when the attribute is absent.
+ */
+const readExpression = (source) => {
+  if (source === undefined) {
+    return null;
+  }
+  try {
+    return compileExpression(source);
+  } catch (error) {
+    return { source, error };
+  }
+};
+
+/**
+ * @function readConditions
+ * @description Compiles the `showIf` and `requiredIf` attributes of a field.
+ *
+ * @param {Object} attributes - The raw attributes of the `<field>` element.
+ * @returns {Object} The compiled expressions keyed by attribute name.
+ */
+const readConditions = (attributes) =>
+  CONDITION_ATTRIBUTES.reduce((conditions, name) => {
+    conditions[name] = readExpression(attributes[name]);
+    return conditions;
+  }, {});
+
+/**
+ * @function readDefaultValue
+ * @description Reads the `default` attribute of a field with the `parseDefault` of its type.
+ * Types without one keep the text, which `validateDefaultValue` reports as unsupported.
+ *
+ * @param {string} type - The field type.
+ * @param {string|undefined} value - The attribute value.
+ * @returns {*}
+ */
+const readDefaultValue = (type, value) => {
+  if (value === undefined) {
+    return null;
+  }
+  const plugin = getFieldType(type);
+  return plugin && plugin.parseDefault ? plugin.parseDefault(value) : value;
+};
+
+/**
+ * @function validateDefaultValue
+ * @description Checks that the field's type accepts a `default` attribute and, for option fields, that
+ * it names options. Other type specific checks are done by the type's `validateAttributes`.
+ * @param {FieldDefinition} field - The normalized field.
+ * @returns {Array<string>} A message for every problem.
+ */
+const validateDefaultValue = (field) => {
+  const { defaultValue, type } = field;
+  const plugin = getFieldType(type);
+  if (defaultValue === null || !plugin) {
+    return [];
+  }
+  if (!plugin.parseDefault) {
+    return [`"default" is not supported on ${type} fields`];
+  }
+
+  if (plugin.options) {
+    const values = field.options.map((option) => option.value);
+    return (Array.isArray(defaultValue) ? defaultValue : [defaultValue])
+      .filter((value) => !values.includes(value))
+      .map((value) => `"default" is not one of the options: "${value}"`);
+  }
+  return [];
+};
+
+/**
+ * @function readStyle
+ * @description Reads the `style` attribute of a field: `;`-separated `name: value` hints (see `STYLE_HINTS`).
+ * @param {string|undefined} attribute - The attribute value.
+ * @returns {Object} Every hint written, over the defaults.
+ */
+const readStyle = (attribute) => (attribute || '').split(';').reduce((style, declaration) => {
+  const [name, ...value] = declaration.split(':');
+  if (name.trim()) {
+    style[name.trim()] = value.join(':').trim();
+  }
+  return style;
+}, { width: null, layout: 'stacked', options: 'vertical' });
+
+/**
+ * @function validateStyle
+ * @description Checks the hints read by `readStyle`.
+ * @param {FieldDefinition} field - The normalized field.
+ * @returns {Array<string>} A message for every invalid hint.
+ */
+const validateStyle = (field) => {
+  const { style, type } = field;
+  const problems = [];
+
+  Object.keys(style).forEach((name) => {
+    if (!Object.prototype.hasOwnProperty.call(STYLE_HINTS, name)) {
+      problems.push(`unknown style hint "${name}". Supported hints: ${Object.keys(STYLE_HINTS).join(', ')}`);
+    } else if (STYLE_HINTS[name] && !STYLE_HINTS[name].includes(style[name])) {
+      problems.push(`style "${name}" must be one of ${STYLE_HINTS[name].join(', ')}`);
+    }
+  });
+
+  if (style.width !== null) {
+    const percentage = /^\d+(\.\d+)?%$/.test(style.width) ? parseFloat(style.width) : NaN;
+    if (!(percentage > 0 && percentage <= 100)) {
+      problems.push(`style "width" must be a percentage greater than 0% and at most 100%: "${style.width}"`);
+    }
+  }
+  if (type === 'repeat' && style.layout !== 'stacked') {
+    problems.push('style "layout" is not supported on <repeat>');
+  }
+  if (style.options !== 'vertical' && !['radio', 'checkbox'].includes(type)) {
+    problems.push('style "options" only applies to radio and checkbox fields');
+  }
+  return problems;
+};
+
+/**
+ * @function normalizeField
+ * @description Converts a `<field>` element parsed by xml2js into a `FieldDefinition`.
+ * @param {Object} field - The parsed `<field>` element.
+ * @returns {FieldDefinition}
+ */
+const normalizeField = (field) => {
+  const attributes = field.$ || {};
+  const validations = readValidationRules(field);
+  return {
+    id: attributes.id,
+    type: attributes.type,
+    label: attributes.label || attributes.id || '',
+    hint: attributes.hint || null,
+    required: attributes.required === 'true' || validations.some((rule) => rule.type === 'required'),
+    options: childElements(field, 'option').map(normalizeOption),
+    constraints: readConstraints(attributes.type, attributes),
+    validations,
+    conditions: readConditions(attributes),
+    expression: readExpression(attributes.expr),
+    readOnly: getFieldType(attributes.type)?.readOnly === true
+      || attributes.readonly === 'true'
+      || attributes.expr !== undefined,
+    defaultValue: readDefaultValue(attributes.type, attributes.default),
+    style: readStyle(attributes.style),
+    attributes,
+    location: field['#location'] || null,
+  };
+};
+
+/**
+ * @function normalizeRepeat
+ * @description Converts a `<repeat>` element into the `FieldDefinition` of a repeatable group.
+ * The group has the type `repeat`, its value is an array with one object per entry, and it is
+ * required when `min` is greater than 0.
+ *
+ * @param {Object} repeat - The parsed `<repeat>` element.
+ * @param {Array<FieldDefinition>} fields - The fields of one entry.
+ * @returns {FieldDefinition}
+ */
+const normalizeRepeat = (repeat, fields) => {
+  const attributes = repeat.$ || {};
+  const constraints = readConstraints('repeat', attributes);
+  return {
+    id: attributes.id,
+    type: 'repeat',
+    label: attributes.label || attributes.id || '',
+    hint: attributes.hint || null,
+    required: constraints.min > 0,
+    options: [],
+    constraints,
+    validations: [],
+    conditions: readConditions(attributes),
+    expression: null,
+    readOnly: false,
+    defaultValue: null,
+    style: readStyle(attributes.style),
+    attributes,
+    location: repeat['#location'] || null,
+    fields,
+  };
+};
+
+/**
+ * @function layoutKey
+ * @description The key of a `<page>` or `<section>` in translations: its `id` attribute, or its kind and
+ * its 1-based position among the pages or sections of the form.
+ *
+ * @param {Object} node - The parsed `<page>` or `<section>` element.
+ * @param {string} kind - `page` or `section`.
+ * @param {number} position - 1-based position of the element among those of its kind, in document order.
+ * @returns {string}
+ */
+const layoutKey = (node, kind, position) => node.$?.id || `${kind}.${position}`;
+
+/**
+ * @function readLayout
+ * @description Reads the fields of a form together with their `<page>`, `<section>` and `<repeat>` grouping.
+ *
+ * - `<section title="...">` groups fields under a title. Sections cannot be nested.
+ * - `<page title="...">` makes the form a wizard with one step per page. Pages may contain sections,
+ *   and once a form has a page, every field and section must be inside one.
+ * - `<repeat id="...">` is a group of fields the user can enter any number of times (see `normalizeRepeat`).
+ *   It may only contain `<field>` elements; its fields are listed in the group, not in the form's `fields`.
+ *
+ * @param {Object} form - The parsed `<form>` element.
+ * @returns {{fields: Array<FieldDefinition>, pages: Array<PageDefinition>, paged: boolean, errors: Array<FormError>}}
+ */
+const readLayout = (form) => {
+  const fields = [];
+  const errors = [];
+  const structureError = (message, node) =>
+    errors.push(createError('invalid-structure', message, { ...node['#location'] }));
+  let sectionCount = 0;
+
+  const readItems = (node, container, target = fields) => (node.$$ || []).reduce((items, child) => {
+    switch (child['#name']) {
+      case 'field': {
+        const field = normalizeField(child);
+        target.push(field);
+        items.push({ kind: 'field', field });
+        break;
+      }
+      case 'repeat': {
+        if (container === 'repeat') {
+          structureError('<repeat> elements cannot be nested', child);
+          break;
+        }
+        const repeatFields = [];
+        readItems(child, 'repeat', repeatFields);
+        const repeat = normalizeRepeat(child, repeatFields);
+        target.push(repeat);
+        items.push({ kind: 'field', field: repeat });
+        break;
+      }
+      case 'section':
+        if (container === 'section') {
+          structureError('<section> elements cannot be nested', child);
+          break;
+        }
+        if (container === 'repeat') {
+          structureError('<section> elements cannot be inside a <repeat>', child);
+          break;
+        }
+        items.push({
+          kind: 'section',
+          key: layoutKey(child, 'section', ++sectionCount),
+          title: child.$?.title || null,
+          items: readItems(child, 'section'),
+        });
+        break;
+      case 'page':
+        if (container !== 'form') {
+          structureError(`<page> elements must be direct children of <form>, not of <${container}>`, child);
+        }
+        break;
+      default:
+        break;
+    }
+    return items;
+  }, []);
+
+  const pageElements = childElements(form, 'page');
+  if (pageElements.length === 0) {
+    return { fields, pages: [{ key: 'page.1', title: null, items: readItems(form, 'form') }], paged: false, errors };
+  }
+
+  // Content next to pages would belong to no step of the wizard
+  (form.$$ || [])
+    .filter((child) => ['field', 'section', 'repeat'].includes(child['#name']))
+    .forEach((child) => {
+      structureError(`<${child['#name']}> must be inside a <page> when the form uses pages`, child);
+    });
+
+  const pages = pageElements.map((page, index) => ({
+    key: layoutKey(page, 'page', index + 1),
+    title: page.$?.title || null,
+    items: readItems(page, 'page'),
+  }));
+
+  return { fields, pages, paged: true, errors };
+};
+
+/**
+ * @constant {Array<string>} SUBMIT_METHODS
+ * @description HTTP methods accepted for a submit target.
+ */
+export const SUBMIT_METHODS = ['POST', 'PUT', 'PATCH'];
+
+/**
+ * @constant {Array<string>} SUBMIT_FORMATS
+ * @description Payload formats accepted for a submit target.
+ */
+export const SUBMIT_FORMATS = ['json', 'multipart'];
+
+/**
+ * @function readSubmitTarget
+ * @description Reads where the form is submitted, from a `<submit>` element or from attributes of `<form>`:
+ *
+ * ```xml
+ * <submit url="https://example.com/forms" method="POST" format="multipart" timeout="30">
+ *   <header name="Authorization" value="Bearer token" />
+ * </submit>
+ * ```
+ *
+ * is equivalent to `<form action="https://example.com/forms" method="POST" format="multipart">`,
+ * except that headers can only be declared in `<submit>`. `timeout` is in seconds (default 30).
+ *
+ * @param {Object} form - The parsed `<form>` element.
+ * @returns {{submit: SubmitTarget|null, errors: Array<FormError>}}
+ */
+const readSubmitTarget = (form) => {
+  const errors = [];
+  const elements = childElements(form, 'submit');
+  const element = elements[0];
+  const formAttributes = form.$ || {};
+
+  elements.slice(1).forEach((extra) => {
+    errors.push(createError('invalid-structure', 'A form can only have one <submit> element', {
+      ...extra['#location'],
+    }));
+  });
+
+  if (!element && !formAttributes.action) {
+    return { submit: null, errors };
+  }
+
+  const attributes = element
+    ? element.$ || {}
+    : { url: formAttributes.action, method: formAttributes.method, format: formAttributes.format };
+  const where = { ...(element ? element['#location'] : form['#location']) };
+  const problem = (message) => errors.push(createError('invalid-attribute', message, where));
+
+  const submit = {
+    url: attributes.url || '',
+    method: (attributes.method || 'POST').toUpperCase(),
+    format: attributes.format || 'json',
+    headers: {},
+    timeout: (attributes.timeout !== undefined ? Number(attributes.timeout) : 30) * 1000,
+    successMessage: attributes.successMessage || null,
+  };
+
+  if (!/^https?:\/\/\S+$/.test(submit.url)) {
+    problem(`Submit target needs an http(s) "url", found "${submit.url}"`);
+  }
+  if (!SUBMIT_METHODS.includes(submit.method)) {
+    problem(`Submit "method" must be one of ${SUBMIT_METHODS.join(', ')}`);
+  }
+  if (!SUBMIT_FORMATS.includes(submit.format)) {
+    problem(`Submit "format" must be one of ${SUBMIT_FORMATS.join(', ')}`);
+  }
+  if (!(submit.timeout > 0)) {
+    problem(`Submit "timeout" must be a positive number of seconds: "${attributes.timeout}"`);
+  }
+
+  childElements(element, 'header').forEach((header) => {
+    const { name, value } = header.$ || {};
+    if (!name) {
+      errors.push(createError('invalid-attribute', '<header> is missing the "name" attribute', {
+        ...header['#location'],
+      }));
+      return;
+    }
+    submit.headers[name] = value || '';
+  });
+
+  return { submit, errors };
+};
+
+/**
+ * @function readTheme
+ * @description Reads the `<theme>` element of a form, which restyles the renderer for this form:
+ *
+ * ```xml
+ * <theme primaryColor="#e4002b" fontFamily="Georgia" fontSize="17" spacing="12" radius="4">
+ *   <dark primaryColor="#ff5c74" backgroundColor="#1a0f12" />
+ * </theme>
+ * ```
+ *
+ * Colour attributes are listed in `THEME_COLOR_ATTRIBUTES` and take a `#rgb`/`#rrggbb` hex or CSS colour name.
+ * `fontFamily` names a font available to the app, and `fontSize`, `spacing` and `radius` are in points
+ * (see `THEME_SIZE_ATTRIBUTES`). Colours of the optional `<dark>` child replace the others in dark mode.
+ *
+ * @param {Object} form - The parsed `<form>` element.
+ * @returns {{theme: Object|null, errors: Array<FormError>}} A partial theme for `resolveTheme` (see ./theme),
+ * or `null` when the form has no `<theme>`.
+ */
+const readTheme = (form) => {
+  const errors = [];
+  const elements = childElements(form, 'theme');
+  elements.slice(1).forEach((extra) => {
+    errors.push(createError('invalid-structure', 'A form can only have one <theme> element', {
+      ...extra['#location'],
+    }));
+  });
+
+  const readAttributes = (node, withFonts) => {
+    const where = { ...node['#location'] };
+    const supported = [
+      ...Object.keys(THEME_COLOR_ATTRIBUTES),
+      ...(withFonts ? ['fontFamily', ...Object.keys(THEME_SIZE_ATTRIBUTES)] : []),
+    ];
+    const theme = { colors: {} };
+
+    Object.entries(node.$ || {}).forEach(([name, value]) => {
+      const problem = (message) => errors.push(createError('invalid-attribute', `<${node['#name']}>: ${message}`, where));
+      if (!supported.includes(name)) {
+        problem(`unknown attribute "${name}". Supported attributes: ${supported.join(', ')}`);
+      } else if (THEME_COLOR_ATTRIBUTES[name]) {
+        if (COLOR_PATTERN.test(value)) {
+          theme.colors[THEME_COLOR_ATTRIBUTES[name]] = value;
+        } else {
+          problem(`"${name}" must be a hex colour such as #1a2b3c or a colour name: "${value}"`);
+        }
+      } else if (THEME_SIZE_ATTRIBUTES[name]) {
+        const { min, max } = THEME_SIZE_ATTRIBUTES[name];
+        const size = Number(value);
+        if (value.trim() !== '' && size >= min && size <= max) {
+          theme[name] = size;
+        } else {
+          problem(`"${name}" must be a number from ${min} to ${max}: "${value}"`);
+        }
+      } else if (value.trim()) {
+        theme[name] = value.trim();
+      }
+    });
+    return theme;
+  };
+
+  const element = elements[0];
+  if (!element) {
+    return { theme: null, errors };
+  }
+  const theme = readAttributes(element, true);
+  const darkElements = childElements(element, 'dark');
+  darkElements.slice(1).forEach((extra) => {
+    errors.push(createError('invalid-structure', 'A <theme> can only have one <dark> element', {
+      ...extra['#location'],
+    }));
+  });
+  if (darkElements.length > 0) {
+    theme.dark = readAttributes(darkElements[0], false);
+  }
+  return { theme, errors };
+};
+
+/**
+ * @function readDataValue
+ * @description Reads the value of a field from a `<value>` element of the `<data>` block, with the `parseValue`
+ * of its type (falling back to `parseDefault`, then to the text). An empty `<value />` gives the field's starting
+ * value; option values must name options of the field.
+ *
+ * @param {FieldDefinition} field - The field.
+ * @param {Object} node - The parsed `<value>` element.
+ * @returns {{value: *, problem: string|null}}
+ */
+const readDataValue = (field, node) => {
+  const text = (node._ || '').trim();
+  if (!text) {
+    return { value: readDefaultFieldValue(field), problem: null };
+  }
+  const plugin = getFieldType(field.type);
+  const parse = plugin.parseValue || plugin.parseDefault || ((raw) => raw);
+  let value;
+  try {
+    value = parse(text, field);
+  } catch (error) {
+    return { value: null, problem: error.message };
+  }
+
+  if (plugin.options) {
+    const values = field.options.map((option) => option.value);
+    const unknown = (Array.isArray(value) ? value : [value]).filter((selected) => !values.includes(selected));
+    if (unknown.length > 0) {
+      return { value: null, problem: `not one of the options: ${unknown.map((item) => `"${item}"`).join(', ')}` };
+    }
+  }
+  return { value, problem: null };
+};
+
+/**
+ * @function readData
+ * @description Reads the `<data>` element of a form, which pre-fills the form with existing values, e.g. to review
+ * or correct a previous submission:
+ *
+ * ```xml
+ * <data>
+ *   <value field="inspector">Ana Ruiz</value>
+ *   <value field="checks">brakes,lights</value>
+ *   <value field="items">
+ *     <entry><value field="part">Wiper</value><value field="qty">2</value></entry>
+ *   </value>
+ * </data>
+ * ```
+ *
+ * Values are written as in the `default` attribute (comma-separated options for `checkbox` fields), and
+ * `drawing` and `image` values as JSON (see `parseValue` in ./fieldTypes). A `<repeat>` group takes one `<entry>`
+ * per entry. Calculated fields cannot be pre-filled. Fields without a value start as usual.
+ *
+ * @param {Object} form - The parsed `<form>` element.
+ * @param {Array<FieldDefinition>} fields - The normalized fields.
+ * @returns {{data: Object|null, errors: Array<FormError>}} Values keyed by field id, or `null` when the form
+ * has no `<data>`.
+ */
+const readData = (form, fields) => {
+  const errors = [];
+  const elements = childElements(form, 'data');
+  elements.slice(1).forEach((extra) => {
+    errors.push(createError('invalid-structure', 'A form can only have one <data> element', {
+      ...extra['#location'],
+    }));
+  });
+
+  const readValues = (node, targetFields, prefix) => {
+    const fieldsById = new Map(targetFields.map((field) => [field.id, field]));
+    return childElements(node, 'value').reduce((values, valueNode) => {
+      const id = valueNode.$?.field;
+      const problem = (message) => errors.push(createError('invalid-data', message, {
+        ...(id && { fieldId: `${prefix}${id}` }),
+        ...valueNode['#location'],
+      }));
+      const field = fieldsById.get(id);
+
+      if (!id) {
+        problem('<value> is missing the "field" attribute');
+      } else if (!field) {
+        problem(`<value> refers to an unknown field "${prefix}${id}"`);
+      } else if (Object.prototype.hasOwnProperty.call(values, id)) {
+        problem(`Field "${prefix}${id}" has more than one <value>`);
+      } else if (field.expression) {
+        problem(`Field "${prefix}${id}" is calculated and cannot be pre-filled`);
+      } else if (field.type === 'repeat') {
+        values[id] = childElements(valueNode, 'entry')
+          .map((entry, index) => readValues(entry, field.fields, `${prefix}${id}.${index}.`));
+      } else if (getFieldType(field.type)) {
+        const { value, problem: invalid } = readDataValue(field, valueNode);
+        if (invalid) {
+          problem(`Field "${prefix}${id}": ${invalid}`);
+        } else {
+          values[id] = value;
+        }
+      }
+      return values;
+    }, {});
+  };
+
+  if (elements.length === 0) {
+    return { data: null, errors };
+  }
+  return { data: readValues(elements[0], fields, ''), errors };
+};
+
+/**
+ * @function listTextKeys
+ * @description Lists the keys of every text of a form that can be translated (see `readTranslations`).
+ *
+ * @param {Array<FieldDefinition>} fields - The normalized fields.
+ * @param {Array<PageDefinition>} pages - The layout of the form.
+ * @returns {Set<string>}
+ */
+const listTextKeys = (fields, pages) => {
+  const keys = new Set([
+    'title',
+    'submit.successMessage',
+    ...Object.keys(MESSAGES[DEFAULT_LANGUAGE]).map((key) => `ui.${key}`),
+  ]);
+
+  const addField = (field, prefix) => {
+    const path = `${prefix}${field.id}`;
+    keys.add(`${path}.label`);
+    keys.add(`${path}.hint`);
+    keys.add(`${path}.errorMessage`);
+    field.options.forEach((option) => keys.add(`${path}.option.${option.value}`));
+    field.validations.filter((rule) => rule.message).forEach((rule) => keys.add(`${path}.message.${rule.type}`));
+    (field.fields || []).forEach((child) => addField(child, `${path}.`));
+  };
+  fields.forEach((field) => addField(field, ''));
+
+  const addSections = (items) => items.filter((item) => item.kind === 'section').forEach((section) => {
+    keys.add(`${section.key}.title`);
+  });
+  pages.forEach((page) => {
+    keys.add(`${page.key}.title`);
+    addSections(page.items);
+  });
+
+  return keys;
+};
+
+/**
+ * @function readTranslations
+ * @description Reads the translated texts of a form. A text can be translated next to the text itself:
+ *
+ * ```xml
+ * <field id="fruit" type="radio" label="Fruit">
+ *   <label lang="es">Fruta</label>
+ *   <option value="apple">Apple<label lang="es">Manzana</label></option>
+ * </field>
+ * ```
+ *
+ * or in a `<translations>` block per language, where every `<text>` names the text it translates:
+ *
+ * ```xml
+ * <translations lang="es">
+ *   <text key="title">Inspección</text>
+ *   <text key="fruit.label">Fruta</text>
+ *   <text key="fruit.option.apple">Manzana</text>
+ *   <text key="ui.submit">Enviar inspección</text>
+ * </translations>
+ * ```
+ *
+ * Text keys, with the matching inline element in brackets:
+ * - `title`: the form title (`<title lang>` in `<form>`).
+ * - `<field>.label` (`<label lang>` in `<field>` or `<repeat>`), `<field>.hint` (`<hint lang>`) and
+ *   `<field>.errorMessage` (`<errorMessage lang>`). The fields of a `<repeat>` are named `<repeat>.<field>`.
+ * - `<field>.option.<value>`: an option label (`<label lang>` in `<option>`).
+ * - `<field>.message.<rule type>`: the `message` of a `<rule>` (`<message lang>` in `<rule>`).
+ * - `<page>.title` and `<section>.title`, with pages and sections named by `layoutKey` (`<title lang>`).
+ * - `submit.successMessage` (`<successMessage lang>` in `<submit>`).
+ * - `ui.<key>`: a built-in interface or validation message (see the `MESSAGES` of ./i18n).
+ *
+ * @param {Object} form - The parsed `<form>` element.
+ * @param {Set<string>} textKeys - The keys of the texts of the form (see `listTextKeys`).
+ * @returns {{translations: Object<string, Object<string, string>>, errors: Array<FormError>}}
+ */
+const readTranslations = (form, textKeys) => {
+  const translations = {};
+  const errors = [];
+  let pageCount = 0;
+  let sectionCount = 0;
+
+  const addText = (node, language, key) => {
+    const text = (node._ || '').trim();
+    if (text) {
+      (translations[language] || (translations[language] = {}))[key] = text;
+    }
+  };
+  const readInline = (node, name, key) => childElements(node, name).forEach((child) => {
+    if (!child.$?.lang) {
+      errors.push(createError('invalid-attribute', `<${name}> translation is missing the "lang" attribute`, {
+        ...child['#location'],
+      }));
+      return;
+    }
+    addText(child, child.$.lang, key);
+  });
+
+  // Pages and sections are counted in document order, as in `readLayout`
+  const readChildren = (node, prefix) => (node.$$ || []).forEach((child) => {
+    const path = `${prefix}${child.$?.id}`;
+    switch (child['#name']) {
+      case 'field':
+        readInline(child, 'label', `${path}.label`);
+        readInline(child, 'hint', `${path}.hint`);
+        readInline(child, 'errorMessage', `${path}.errorMessage`);
+        childElements(child, 'option').forEach((option) => {
+          readInline(option, 'label', `${path}.option.${normalizeOption(option).value}`);
+        });
+        childElements(child, 'validation')
+          .flatMap((validation) => childElements(validation, 'rule'))
+          .forEach((rule) => readInline(rule, 'message', `${path}.message.${rule.$?.type}`));
+        break;
+      case 'repeat':
+        readInline(child, 'label', `${path}.label`);
+        readInline(child, 'hint', `${path}.hint`);
+        readChildren(child, `${path}.`);
+        break;
+      case 'page':
+        readInline(child, 'title', `${layoutKey(child, 'page', ++pageCount)}.title`);
+        readChildren(child, prefix);
+        break;
+      case 'section':
+        readInline(child, 'title', `${layoutKey(child, 'section', ++sectionCount)}.title`);
+        readChildren(child, prefix);
+        break;
+      default:
+        break;
+    }
+  });
+
+  readInline(form, 'title', 'title');
+  childElements(form, 'submit').slice(0, 1).forEach((submit) => {
+    readInline(submit, 'successMessage', 'submit.successMessage');
+  });
+  readChildren(form, '');
+
+  childElements(form, 'translations').forEach((block) => {
+    const language = block.$?.lang;
+    if (!language) {
+      errors.push(createError('invalid-attribute', '<translations> is missing the "lang" attribute', {
+        ...block['#location'],
+      }));
+      return;
+    }
+    childElements(block, 'text').forEach((text) => {
+      const key = text.$?.key;
+      const where = { ...text['#location'] };
+      if (!key) {
+        errors.push(createError('invalid-attribute', '<text> is missing the "key" attribute', where));
+      } else if (!textKeys.has(key)) {
+        errors.push(createError('invalid-attribute', `<text> translates unknown text "${key}"`, where));
+      } else {
+        addText(text, language, key);
+      }
+    });
+  });
+
+  return { translations, errors };
+};
+
+/**
+ * @function validateFields
+ * @description Collects every problem found in the fields of a form, sorted by their position in the source.
+ *
+ * @param {Array<FieldDefinition>} fields - The normalized fields.
+ * @param {Array<FieldDefinition>} [outerFields=[]] - For the fields of a `<repeat>` group, the fields of the form,
+ * which their expressions may also refer to.
+ * @returns {Array<FormError>}
+ *
+ * @validationChecks
+ * - Every field has an `id` matching `FIELD_ID_PATTERN`, and no two fields share one. Fields of a `<repeat>` group
+ *   only need ids unique within the group.
+ * - Every field has a `label`.
+ * - Every field has a registered `type` (see `getFieldTypes` in ./fieldTypes).
+ * - Every field of an option type (`radio`, `checkbox`, `select`) has at least one `<option>`.
+ * - Type specific attributes and `default` values are valid (see `validateConstraints` and `validateDefaultValue`).
+ * - Validation rules are known, apply to the field type and have valid values (see `validateRules`).
+ * - `showIf`, `requiredIf` and `expr` expressions compile and only refer to other fields of the form.
+ * - Calculated fields do not depend on themselves through each other, and fields of types that cannot be
+ *   read-only (`drawing`, `image`) have no `readonly` or `expr`.
+ * - `style` hints are valid (see `validateStyle`).
+ * - `<repeat>` groups have valid `min` and `max` attributes, no `requiredIf`, and valid fields.
+ */
+const validateFields = (fields, outerFields = []) => {
+  const errors = [];
+  const seenIds = new Map();
+  const knownFields = [...fields, ...outerFields];
+
+  fields.forEach((field) => {
+    const where = { fieldId: field.id, ...field.location };
+    const kind = field.type === 'repeat' ? 'Repeat' : 'Field';
+    const name = field.id ? `${kind} "${field.id}"` : kind;
+
+    if (!field.id) {
+      errors.push(createError('missing-id', `${kind} is missing the required "id" attribute`, where));
+    } else if (!FIELD_ID_PATTERN.test(field.id) || field.id === '__proto__') {
+      const problem = field.id === '__proto__'
+        ? '"__proto__" cannot be used as an id'
+        : '"id" must start with a letter or "_" and hold only letters, digits and "_"';
+      errors.push(createError('invalid-attribute', `${name}: ${problem}`, where));
+    } else if (seenIds.has(field.id)) {
+      const first = seenIds.get(field.id).location || {};
+      const firstUse = (first.line && ` (first used on line ${first.line})`) || (first.path && ` (first used at ${first.path})`);
+      errors.push(createError('duplicate-id', `Duplicate field id "${field.id}"${firstUse || ''}`, where));
+    } else {
+      seenIds.set(field.id, field);
+    }
+
+    validateStyle(field).forEach((problem) => {
+      errors.push(createError('invalid-attribute', `${name}: ${problem}`, where));
+    });
+
+    if (field.type === 'repeat') {
+      validateConstraints(field, knownFields).forEach((problem) => {
+        errors.push(createError('invalid-attribute', `${name}: ${problem}`, where));
+      });
+      if (field.conditions.requiredIf) {
+        errors.push(createError(
+          'invalid-attribute',
+          `${name}: "requiredIf" is not supported on <repeat>; use "min" instead`,
+          where
+        ));
+      }
+      errors.push(...validateFields(field.fields, fields));
+      return;
+    }
+
+    if (!field.attributes.label) {
+      errors.push(createError('missing-label', `${name} is missing the "label" attribute`, where));
+    }
+
+    const plugin = getFieldType(field.type);
+    if (!field.type) {
+      errors.push(createError(
+        'invalid-type',
+        `${name} is missing the "type" attribute. Supported types: ${getFieldTypes().join(', ')}`,
+        where
+      ));
+    } else if (!plugin) {
+      errors.push(createError(
+        'invalid-type',
+        `${name} has unknown type "${field.type}". Supported types: ${getFieldTypes().join(', ')}`,
+        where
+      ));
+    }
+    if (!plugin) {
+      return;
+    }
+
+    if (plugin.options && field.options.length === 0) {
+      errors.push(createError(
+        'missing-options',
+        `${name} is a ${field.type} field without any <option>`,
+        where
+      ));
+    }
+
+    [...validateConstraints(field, knownFields), ...validateDefaultValue(field)].forEach((problem) => {
+      errors.push(createError('invalid-attribute', `${name}: ${problem}`, where));
+    });
+
+    if (plugin.readOnly === false && field.readOnly) {
+      errors.push(createError(
+        'invalid-attribute',
+        `${name}: "readonly" and "expr" are not supported on ${field.type} fields`,
+        where
+      ));
+    }
+
+    validateRules(field).forEach(({ message, location }) => {
+      errors.push(createError('invalid-attribute', `${name}: ${message}`, {
+        ...where,
+        ...location,
+      }));
+    });
+  });
+
+  const fieldIds = knownFields.map((field) => field.id);
+  const calculated = new Map(
+    fields.filter((field) => field.expression && !field.expression.error).map((field) => [field.id, field])
+  );
+  // Whether the value of field `id` is computed from field `target`, directly or through other calculated fields
+  const dependsOn = (id, target, seen = new Set()) => {
+    const source = calculated.get(id);
+    if (!source || seen.has(id)) {
+      return false;
+    }
+    seen.add(id);
+    return source.expression.references.some((reference) => reference === target || dependsOn(reference, target, seen));
+  };
+
+  fields.forEach((field) => {
+    const where = { fieldId: field.id, ...field.location };
+    const kind = field.type === 'repeat' ? 'Repeat' : 'Field';
+    const name = field.id ? `${kind} "${field.id}"` : kind;
+
+    [...CONDITION_ATTRIBUTES, 'expr'].forEach((attribute) => {
+      const condition = attribute === 'expr' ? field.expression : field.conditions[attribute];
+      // `requiredIf` on a repeat is already reported as unsupported
+      if (!condition || (field.type === 'repeat' && attribute === 'requiredIf')) {
+        return;
+      }
+      if (condition.error) {
+        errors.push(createError(
+          'invalid-attribute',
+          `${name}: "${attribute}" is not a valid expression: ${condition.error.message} (at character ${condition.error.position + 1})`,
+          where
+        ));
+        return;
+      }
+      condition.references.forEach((reference) => {
+        if (reference === field.id) {
+          errors.push(createError('invalid-attribute', `${name}: "${attribute}" cannot refer to the field itself`, where));
+        } else if (!fieldIds.includes(reference)) {
+          errors.push(createError('invalid-attribute', `${name}: "${attribute}" refers to unknown field "${reference}"`, where));
+        }
+      });
+    });
+
+    if (
+      calculated.has(field.id) &&
+      field.expression.references.some((reference) => reference !== field.id && dependsOn(reference, field.id))
+    ) {
+      errors.push(createError(
+        'invalid-attribute',
+        `${name}: "expr" depends on the field's own value through other calculated fields`,
+        where
+      ));
+    }
+  });
+
+  return errors.sort((a, b) => (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0));
+};
+
+/**
+ * @function formatFormError
+ * @description Formats a `FormError` as a single line, prefixed with its location when known.
+ * @param {FormError} error - The error to format.
+ * @returns {string}
+ */
+export const formatFormError = (error) => {
+  if (error.line) {
+    return `Line ${error.line}, column ${error.column}: ${error.message}`;
+  }
+  return error.path ? `${error.path}: ${error.message}` : error.message;
+};
+
+/**
+ * @function parseFormXML
+ * @description Parses an XML form definition into a normalized `FormDefinition`.
+ *
+ * @param {string} xmlInput - The XML string to be parsed.
+ * @returns {Promise<{definition: FormDefinition|null, errors: Array<FormError>}>}
+ * Resolves with the definition when the XML is valid, or with `definition: null` and every
+ * problem found, each with its line and column when known. The promise never rejects for invalid input.
+ *
+ * @validationChecks
+ * - Ensures the XML input is not empty.
+ * - Validates that the XML string is well-formed and can be parsed.
+ * - Ensures the root element is `<form>`.
+ * - Checks the form itself (see `parseFormElement`).
+ */
+export const parseFormXML = async (xmlInput) => {
+  // Checking for empty input
+  if (!xmlInput || xmlInput.trim() === '') {
+    return { definition: null, errors: [createError('empty', 'XML input cannot be empty')] };
+  }
+
+  // Stripping a byte order mark here keeps reported columns aligned with the text the user sees
+  const source = xmlInput.replace(/^\uFEFF/, '');
+  const { root, rootName, error } = parseXMLTree(source);
+  if (error) {
+    return { definition: null, errors: [error] };
+  }
+
+  if (rootName !== 'form') {
+    const found = rootName ? ` but found <${rootName}>` : '';
+    return {
+      definition: null,
+      errors: [createError('missing-form', `The root element must be <form>${found}`, {
+        ...(root && root['#location']),
+      })],
+    };
+  }
+
+  return parseFormElement(typeof root === 'object' ? root : {});
+};
+
+/**
+ * @function parseFormElement
+ * @description Reads a `<form>` element into a normalized `FormDefinition`. The element is given in the shape
+ * the XML parser produces, so that forms written in other formats can be read the same way (see ./formImport):
+ * every element is an object with its name in `#name`, its attributes in `$`, its child elements in `$$` and
+ * its text in `_`. The `#location` of an element is copied into the errors found in it: the parser sets its line
+ * and column, and importers may set the `path` of the element in their own source instead.
+ *
+ * @param {Object} form - The `<form>` element.
+ * @returns {{definition: FormDefinition|null, errors: Array<FormError>}} The definition when the form is valid,
+ * or `definition: null` and every problem found.
+ *
+ * @validationChecks
+ * - Checks the page and section structure (see `readLayout`) and the submit target (see `readSubmitTarget`).
+ * - Checks every `<field>` element (see `validateFields`).
+ * - Checks translations have a language and only translate texts the form has (see `readTranslations`).
+ * - Checks the `<theme>` element (see `readTheme`).
+ * - Checks the values of the `<data>` element (see `readData`).
+ */
+export const parseFormElement = (form) => {
+  const { fields, pages, paged, errors: layoutErrors } = readLayout(form);
+  const { submit, errors: submitErrors } = readSubmitTarget(form);
+  const { translations, errors: translationErrors } = readTranslations(form, listTextKeys(fields, pages));
+  const { theme, errors: themeErrors } = readTheme(form);
+  const { data, errors: dataErrors } = readData(form, fields);
+
+  const errors = [
+    ...layoutErrors,
+    ...submitErrors,
+    ...validateFields(fields),
+    ...translationErrors,
+    ...themeErrors,
+    ...dataErrors,
+  ].sort((a, b) => (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0));
+  if (errors.length > 0) {
+    return { definition: null, errors };
+  }
+
+  const language = form.$?.lang || DEFAULT_LANGUAGE;
+  return {
+    definition: {
+      id: form.$?.id || null,
+      title: form.$?.title || null,
+      fields,
+      pages,
+      paged,
+      submit,
+      theme,
+      language,
+      languages: [language, ...Object.keys(translations).filter((other) => other !== language)],
+      translations,
+      data,
+    },
+    errors: [],
+  };
+};
+
+/**
+ * @function localizeDefinition
+ * @description Returns the definition with its texts in the given language (see `readTranslations`).
+ * Texts without a translation keep the form's own text.
+ *
+ * @param {FormDefinition} definition - The parsed form definition.
+ * @param {string} language - One of the definition's `languages`.
+ * @returns {FormDefinition} The localized definition, or `definition` itself when it has no translations in `language`.
+ */
+export const localizeDefinition = (definition, language) => {
+  const texts = definition.translations[language];
+  if (!texts) {
+    return definition;
+  }
+  const translate = (key, text) => texts[key] || text;
+
+  const localizeField = (field, prefix) => {
+    const path = `${prefix}${field.id}`;
+    const errorMessage = translate(`${path}.errorMessage`, field.attributes.errorMessage);
+    return {
+      ...field,
+      label: translate(`${path}.label`, field.label),
+      hint: translate(`${path}.hint`, field.hint),
+      options: field.options.map((option) => ({
+        ...option,
+        label: translate(`${path}.option.${option.value}`, option.label),
+      })),
+      validations: field.validations.map((rule) => ({
+        ...rule,
+        message: rule.message && translate(`${path}.message.${rule.type}`, rule.message),
+      })),
+      attributes: errorMessage ? { ...field.attributes, errorMessage } : field.attributes,
+      ...(field.fields && { fields: field.fields.map((child) => localizeField(child, `${path}.`)) }),
+    };
+  };
+
+  const fields = definition.fields.map((field) => localizeField(field, ''));
+  const fieldsById = new Map(fields.map((field) => [field.id, field]));
+  const localizeItems = (items) => items.map((item) => (item.kind === 'field'
+    ? { ...item, field: fieldsById.get(item.field.id) }
+    : { ...item, title: translate(`${item.key}.title`, item.title), items: localizeItems(item.items) }));
+
+  return {
+    ...definition,
+    title: translate('title', definition.title),
+    fields,
+    pages: definition.pages.map((page) => ({
+      ...page,
+      title: translate(`${page.key}.title`, page.title),
+      items: localizeItems(page.items),
+    })),
+    submit: definition.submit && {
+      ...definition.submit,
+      successMessage: translate('submit.successMessage', definition.submit.successMessage),
+    },
+  };
+};
+
+/**
+ * @function getFormMessages
+ * @description Collects the built-in messages a form translates or rewords (its `ui.<key>` texts),
+ * as a message catalogue for `createTranslator` (see ./i18n).
+ *
+ * @param {FormDefinition} definition - The parsed form definition.
+ * @returns {Object<string, Object<string, string>>} Messages by language and message key.
+ */
+export const getFormMessages = (definition) =>
+  Object.entries(definition.translations).reduce((catalogue, [language, texts]) => {
+    catalogue[language] = Object.keys(texts)
+      .filter((key) => key.startsWith('ui.'))
+      .reduce((messages, key) => ({ ...messages, [key.slice('ui.'.length)]: texts[key] }), {});
+    return catalogue;
+  }, {});
+
+/**
+ * @function getLayoutFields
+ * @description Lists the fields placed in layout items, including those inside sections.
+ * @param {Array<LayoutItem>} items - The items of a page or section.
+ * @returns {Array<FieldDefinition>}
+ */
+export const getLayoutFields = (items) =>
+  items.flatMap((item) => (item.kind === 'field' ? [item.field] : getLayoutFields(item.items)));
+
+/**
+ * @function getVisiblePages
+ * @description Returns the pages to show for the given values. A page whose fields are all hidden
+ * by `showIf` is skipped; pages without any field are always shown.
+ *
+ * @param {FormDefinition} definition - The parsed form definition.
+ * @param {Object} values - The current form values.
+ * @returns {Array<PageDefinition>}
+ */
+export const getVisiblePages = (definition, values) => {
+  const hidden = getHiddenFieldIds(definition, values);
+  return definition.pages.filter((page) => {
+    const fields = getLayoutFields(page.items);
+    return fields.length === 0 || fields.some((field) => !hidden.has(field.id));
+  });
+};
+
+/**
+ * @function listFieldErrors
+ * @description Lists the errors of the given fields in the order the fields are shown, so the renderer can
+ * move focus to the first invalid field and tell screen reader users how many need attention. The fields of
+ * `<repeat>` entries are listed entry by entry.
+ *
+ * @param {Array<FieldDefinition>} fields - The fields, in display order (e.g. `getLayoutFields` of a page).
+ * @param {Object} errors - The errors returned by `validateFormValues`.
+ * @returns {Array<{path: string, message: string}>} The Formik path of every invalid field, with its message.
+ */
+export const listFieldErrors = (fields, errors) => fields.flatMap((field) => {
+  const error = errors[field.id];
+  if (!error) {
+    return [];
+  }
+  if (!Array.isArray(error)) {
+    return [{ path: field.id, message: error }];
+  }
+  return error.flatMap((entryErrors, index) => listFieldErrors(field.fields, entryErrors || {})
+    .map(({ path, message }) => ({ path: `${field.id}.${index}.${path}`, message })));
+});
+
+/**
+ * @function readDefaultFieldValue
+ * @description The value a field starts with, from the `defaultValue` of its type: by default its `default`
+ * attribute, or an empty string without one.
+ * @param {FieldDefinition} field - The field.
+ * @returns {*}
+ */
+const readDefaultFieldValue = (field) => {
+  const plugin = getFieldType(field.type);
+  const { defaultValue = '' } = plugin || {};
+  if (typeof defaultValue === 'function') {
+    return defaultValue(field);
+  }
+  return field.defaultValue !== null ? field.defaultValue : defaultValue;
+};
+
+/**
+ * @function readSavedFieldValue
+ * @description Reads a saved value of a field with the `restoreValue` of its type, e.g. turning a submitted number
+ * back into the text a `number` field edits.
+ * @param {FieldDefinition} field - The field.
+ * @param {*} value - The saved value.
+ * @returns {*} The value, or `undefined` when it does not fit the field.
+ */
+const readSavedFieldValue = (field, value) => {
+  const plugin = getFieldType(field.type);
+  return plugin && plugin.restoreValue ? plugin.restoreValue(value, field) : value;
+};
+
+/**
+ * @function readInitialValues
+ * @description Creates the initial values of a list of fields, before calculations (see `buildInitialValues`).
+ * Saved values that do not fit their field are replaced by its starting value.
+ * @param {Array<FieldDefinition>} fields - The fields.
+ * @param {Object} savedValues - Previously entered values, keyed by field id.
+ * @returns {Object} Values keyed by field id.
+ */
+const readInitialValues = (fields, savedValues) =>
+  fields.reduce((acc, field) => {
+    const saved = Object.prototype.hasOwnProperty.call(savedValues, field.id);
+    if (field.type === 'repeat') {
+      acc[field.id] = saved && Array.isArray(savedValues[field.id])
+        ? savedValues[field.id].map((entry) => readInitialValues(
+          field.fields,
+          entry && typeof entry === 'object' && !Array.isArray(entry) ? entry : {}
+        ))
+        : Array.from({ length: field.constraints.min }, () => buildRepeatEntry(field));
+      return acc;
+    }
+    const value = saved ? readSavedFieldValue(field, savedValues[field.id]) : undefined;
+    acc[field.id] = value !== undefined ? value : readDefaultFieldValue(field);
+    return acc;
+  }, {});
+
+/**
+ * @function buildInitialValues
+ * @description Creates the initial form values for a definition.
+ * Fields start with their `default` value; without one, with the default value of their type (e.g. an empty
+ * array for `checkbox` and `image` fields, an empty string for text), and `<repeat>` groups with `min` empty entries.
+ * The values of the form's `<data>` element (see `readData`) replace these, and saved values (e.g. existing data
+ * passed by the host app, or a draft) take precedence over both for the fields that still exist in the definition.
+ * Saved values are read with the `restoreValue` of their field type, so a submission can be opened again.
+ * Calculated values are then computed (see `applyCalculatedValues`).
+ * @param {FormDefinition} definition - The parsed form definition.
+ * @param {Object} [savedValues={}] - Previously entered values, keyed by field id.
+ * @returns {Object} Values keyed by field id.
+ */
+export const buildInitialValues = (definition, savedValues = {}) =>
+  applyCalculatedValues(definition, readInitialValues(definition.fields, { ...definition.data, ...savedValues }));
+
+/**
+ * @function buildRepeatEntry
+ * @description Creates the values of a new entry of a `<repeat>` group, with the `default` values of its fields.
+ * Its calculated values are computed once it is part of the form values.
+ * @param {FieldDefinition} repeat - The `repeat` group.
+ * @returns {Object} Values keyed by the ids of the group's fields.
+ */
+export const buildRepeatEntry = (repeat) => readInitialValues(repeat.fields, {});
+
+/**
+ * @function getEntryScope
+ * @description The values the expressions of a `<repeat>` entry are evaluated against: the form values,
+ * with the entry's own values taking precedence.
+ * @param {Object} values - The form values.
+ * @param {Object} entry - The values of the entry.
+ * @returns {Object}
+ */
+export const getEntryScope = (values, entry) => ({ ...values, ...entry });
+
+/**
+ * @function calculateValue
+ * @description Evaluates the `expr` of a field. Results that are not finite numbers become `''`,
+ * and numbers are rounded to the `decimals` of a `calculated` field.
+ * @param {FieldDefinition} field - A field with an `expression`.
+ * @param {Object} scope - The values the expression is evaluated against.
+ * @returns {*}
+ */
+const calculateValue = (field, scope) => {
+  const result = evaluateExpression(field.expression, scope);
+  if (typeof result === 'number') {
+    if (!Number.isFinite(result)) {
+      return '';
+    }
+    const { decimals } = field.constraints;
+    return field.type === 'calculated' && decimals !== null
+      ? Math.round(result * 10 ** decimals) / 10 ** decimals
+      : result;
+  }
+  return result === null || result === undefined ? '' : result;
+};
+
+/**
+ * @function calculateOnce
+ * @description Recomputes every calculated value of a list of fields once, from the values before the pass.
+ * @param {Array<FieldDefinition>} fields - The fields.
+ * @param {Object} values - Their values.
+ * @param {Object} scope - The values expressions are evaluated against.
+ * @returns {Object} The updated values, or `values` itself when nothing changed.
+ */
+const calculateOnce = (fields, values, scope) =>
+  fields.reduce((next, field) => {
+    const current = values[field.id];
+    if (field.type === 'repeat' && Array.isArray(current)) {
+      const entries = current.map((entry) =>
+        (entry ? calculateOnce(field.fields, entry, getEntryScope(scope, entry)) : entry)
+      );
+      return entries.some((entry, index) => entry !== current[index]) ? { ...next, [field.id]: entries } : next;
+    }
+    if (field.expression && !field.expression.error) {
+      const result = calculateValue(field, scope);
+      return result !== current ? { ...next, [field.id]: result } : next;
+    }
+    return next;
+  }, values);
+
+/**
+ * @function applyCalculatedValues
+ * @description Computes the value of every field with an `expr`, including those in `<repeat>` entries.
+ * Calculated fields may depend on each other, so passes repeat until the values are stable.
+ *
+ * @param {FormDefinition} definition - The parsed form definition.
+ * @param {Object} values - The form values.
+ * @returns {Object} The values with up-to-date calculated values, or `values` itself when they already were.
+ */
+export const applyCalculatedValues = (definition, values) => {
+  const countCalculated = (fields) => fields.reduce(
+    (count, field) => count + (field.type === 'repeat' ? countCalculated(field.fields) : Number(Boolean(field.expression))),
+    0
+  );
+  let current = values;
+
+  // Chains settle within one pass per calculated field; the bound also stops circular calculations
+  for (let pass = 0; pass <= countCalculated(definition.fields); pass++) {
+    const next = calculateOnce(definition.fields, current, current);
+    if (next === current) {
+      return current;
+    }
+    current = next;
+  }
+  return current;
+};
+
+/**
+ * @function getHiddenFieldIds
+ * @description Works out which fields are hidden by their `showIf` expression for the given values.
+ * A hidden field counts as empty in the expressions of other fields, so hiding a field also hides
+ * the fields that depend on it. Evaluation repeats until the result is stable.
+ *
+ * @param {FormDefinition} definition - The parsed form definition.
+ * @param {Object} values - The current form values.
+ * @returns {Set<string>} The ids of the hidden fields.
+ */
+export const getHiddenFieldIds = (definition, values) => {
+  const conditional = definition.fields.filter((field) => field.conditions.showIf);
+  let hidden = new Set();
+
+  // Chains settle within one pass per conditional field; the bound also stops circular conditions
+  for (let pass = 0; pass <= conditional.length; pass++) {
+    const scope = { ...values };
+    hidden.forEach((id) => {
+      scope[id] = '';
+    });
+
+    const next = new Set(
+      conditional
+        .filter((field) => !isTruthy(evaluateExpression(field.conditions.showIf, scope)))
+        .map((field) => field.id)
+    );
+    if (next.size === hidden.size && [...next].every((id) => hidden.has(id))) {
+      return next;
+    }
+    hidden = next;
+  }
+
+  return hidden;
+};
+
+/**
+ * @function isFieldRequired
+ * @description Whether a field is required for the given values, from `required` and `requiredIf`.
+ * @param {FieldDefinition} field - The field.
+ * @param {Object} values - The current form values.
+ * @returns {boolean}
+ */
+export const isFieldRequired = (field, values) =>
+  field.required ||
+  Boolean(field.conditions.requiredIf && isTruthy(evaluateExpression(field.conditions.requiredIf, values)));
+
+/**
+ * @function getSubmittedValues
+ * @description Returns the values to submit: the form values without those of hidden fields.
+ * Calculated values are brought up to date, drawings are converted to the format chosen by the field's
+ * `output` attribute, and every `<repeat>` group becomes an array with the submitted values of each entry.
+ * @param {FormDefinition} definition - The parsed form definition.
+ * @param {Object} values - The current form values.
+ * @returns {Object}
+ */
+export const getSubmittedValues = (definition, values) => {
+  const calculated = applyCalculatedValues(definition, values);
+  return collectSubmittedValues(definition.fields, calculated, calculated);
+};
+
+/**
+ * @function collectSubmittedValues
+ * @description Collects the submitted values of a list of fields (see `getSubmittedValues`).
+ * @param {Array<FieldDefinition>} fields - The fields.
+ * @param {Object} values - Their values.
+ * @param {Object} scope - The values `showIf` expressions are evaluated against.
+ * @returns {Object}
+ */
+const collectSubmittedValues = (fields, values, scope) => {
+  const hidden = getHiddenFieldIds({ fields }, scope);
+  const fieldsById = new Map(fields.map((field) => [field.id, field]));
+
+  return Object.keys(values).reduce((submitted, id) => {
+    if (hidden.has(id)) {
+      return submitted;
+    }
+    const field = fieldsById.get(id);
+    if (field && field.type === 'repeat' && Array.isArray(values[id])) {
+      submitted[id] = values[id].map((entry) => collectSubmittedValues(field.fields, entry, getEntryScope(scope, entry)));
+    } else {
+      const plugin = field && getFieldType(field.type);
+      submitted[id] = plugin && plugin.submitValue ? plugin.submitValue(values[id], field) : values[id];
+    }
+    return submitted;
+  }, {});
+};
+
+/**
+ * @function listChanges
+ * @description Compares the values of a list of fields (see `getChangedFields`).
+ * @param {Array<FieldDefinition>} fields - The fields.
+ * @param {Object} initial - Their initial values.
+ * @param {Object} values - Their current values.
+ * @param {string} prefix - The path of the entry the fields belong to, or `''`.
+ * @returns {Array<FieldChange>}
+ */
+const listChanges = (fields, initial, values, prefix) => fields.flatMap((field) => {
+  const path = `${prefix}${field.id}`;
+  const from = initial[field.id];
+  const to = values[field.id];
+  if (field.type === 'repeat') {
+    const before = Array.isArray(from) ? from : [];
+    const after = Array.isArray(to) ? to : [];
+    return Array.from({ length: Math.max(before.length, after.length) }, (_, index) => {
+      if (index >= before.length || index >= after.length) {
+        return [{ path: `${path}.${index}`, label: field.label, from: before[index], to: after[index] }];
+      }
+      return listChanges(field.fields, before[index], after[index], `${path}.${index}.`);
+    }).flat();
+  }
+  // Calculated and read-only values are not changed by the user
+  if (field.readOnly) {
+    return [];
+  }
+  const same = JSON.stringify(from === undefined ? '' : from) === JSON.stringify(to === undefined ? '' : to);
+  return same ? [] : [{ path, label: field.label, from, to }];
+});
+
+/**
+ * @function getChangedFields
+ * @description Lists the fields whose value differs from the value the form was opened with, e.g. the corrections
+ * made while reviewing a submission pre-filled with `<data>` or saved values. Read-only fields are left out.
+ *
+ * @param {FormDefinition} definition - The parsed form definition.
+ * @param {Object} initialValues - The values the form was opened with (see `buildInitialValues`).
+ * @param {Object} values - The current form values.
+ * @returns {Array<FieldChange>} The changes, in document order.
+ */
+export const getChangedFields = (definition, initialValues, values) =>
+  listChanges(definition.fields, initialValues, values, '');
+
+/**
+ * @function messageFor
+ * @description Picks the error message of a failed check: the rule's own message, then the field's
+ * `errorMessage` attribute, then the built-in fallback.
+ *
+ * @param {FieldDefinition} field - The field being validated.
+ * @param {string} fallback - The built-in message.
+ * @param {ValidationRule} [rule] - The rule being checked, if any.
+ * @returns {string}
+ */
+const messageFor = (field, fallback, rule) =>
+  (rule && rule.message) || field.attributes.errorMessage || fallback;
+
+/**
+ * @function applyValidationRules
+ * @description Adds the `minLength`, `maxLength` and `pattern` rules of a field to its Yup rule.
+ * Lengths count characters, or selected options for array values (e.g. `checkbox` fields). Empty values are left to `required`.
+ *
+ * @param {Yup.Schema} rule - The Yup rule built for the field type.
+ * @param {FieldDefinition} field - The field being validated.
+ * @param {function} translate - Translates the built-in messages (see ./i18n).
+ * @returns {Yup.Schema}
+ */
+const applyValidationRules = (rule, field, translate) => {
+  const unit = rule.type === 'array' ? 'Options' : 'Characters';
+
+  return field.validations.reduce((current, validation) => {
+    switch (validation.type) {
+      case 'minLength': {
+        const length = Number(validation.value);
+        return current.test(
+          'minLength',
+          messageFor(field, translate(`tooFew${unit}`, { label: field.label, length }), validation),
+          (value) => !value || value.length === 0 || value.length >= length
+        );
+      }
+      case 'maxLength': {
+        const length = Number(validation.value);
+        return current.test(
+          'maxLength',
+          messageFor(field, translate(`tooMany${unit}`, { label: field.label, length }), validation),
+          (value) => !value || value.length <= length
+        );
+      }
+      case 'pattern': {
+        const pattern = new RegExp(`^(?:${validation.value})$`);
+        return current.test(
+          'pattern',
+          messageFor(field, translate('patternMismatch', { label: field.label }), validation),
+          function matchesPattern(value) {
+            // Number fields are cast before the tests run, so the typed text is checked instead
+            const text = this.originalValue !== undefined ? this.originalValue : value;
+            return text === undefined || text === null || text === '' || pattern.test(String(text));
+          }
+        );
+      }
+      default:
+        return current;
+    }
+  }, rule);
+};
+
+/**
+ * @function buildFieldRule
+ * @description Creates the Yup rule of a single field: the base rule of its type (see `buildSchema` in ./fieldTypes),
+ * its validation rules (see `applyValidationRules`), and `required` when the field is required. Fields of
+ * read-only types such as `calculated` cannot be changed by the user, so only their base rule applies.
+ *
+ * @param {FieldDefinition} field - The normalized field.
+ * @param {function} translate - Translates the built-in messages (see ./i18n).
+ * @returns {Yup.Schema}
+ */
+const buildFieldRule = (field, translate) => {
+  const plugin = getFieldType(field.type) || {};
+  const message = (fallback, rule) => messageFor(field, fallback, rule);
+  let rule = plugin.buildSchema ? plugin.buildSchema(field, { translate, message }) : Yup.mixed();
+  if (plugin.readOnly === true) {
+    return rule;
+  }
+
+  rule = applyValidationRules(rule, field, translate);
+  if (!field.required) {
+    return rule;
+  }
+  const requiredRule = field.validations.find((validation) => validation.type === 'required');
+  const isEmpty = plugin.isEmpty || isEmptyValue;
+  return rule.test(
+    'required',
+    message(translate('required', { label: field.label }), requiredRule),
+    (value) => !isEmpty(value)
+  );
+};
+
+/**
+ * @function buildRepeatRule
+ * @description Creates the Yup rule of a `<repeat>` group: the number of entries is checked against
+ * `min` and `max`, and every entry is validated against the group's fields, with its own `showIf`
+ * and `requiredIf` results.
+ *
+ * @param {FieldDefinition} repeat - The `repeat` group.
+ * @param {Object} [values] - The current form values. Without them, conditions are not applied.
+ * @param {function} translate - Translates the built-in messages (see ./i18n).
+ * @returns {Yup.Schema}
+ */
+const buildRepeatRule = (repeat, values, translate) => {
+  const { min, max } = repeat.constraints;
+  let rule = Yup.array().of(
+    Yup.lazy((entry) => buildValidationSchema(repeat, values && getEntryScope(values, entry), translate))
+  );
+  if (min > 0) {
+    rule = rule.min(min, messageFor(repeat, translate('tooFewEntries', { label: repeat.label, count: min })));
+  }
+  if (max !== null) {
+    rule = rule.max(max, messageFor(repeat, translate('tooManyEntries', { label: repeat.label, count: max })));
+  }
+  return rule;
+};
+
+/**
+ * @function buildValidationSchema
+ * @description Creates the Yup validation schema for a definition.
+ * Every field, required or not, gets the rule built by `buildFieldRule`. When `values` are given,
+ * `showIf` and `requiredIf` are applied: hidden fields get no rule, and `requiredIf` fields are
+ * required while their expression is true.
+ *
+ * @param {FormDefinition} definition - The parsed form definition.
+ * @param {Object} [values] - The current form values. Without them, conditions are not applied.
+ * @param {function} [translate=defaultTranslate] - Translates the built-in messages (see ./i18n).
+ * @returns {Yup.ObjectSchema} The schema validating the form values.
+ */
+export const buildValidationSchema = (definition, values, translate = defaultTranslate) => {
+  const hidden = values ? getHiddenFieldIds(definition, values) : new Set();
+
+  return Yup.object().shape(
+    definition.fields.reduce((schema, field) => {
+      if (hidden.has(field.id)) {
+        return schema;
+      }
+      if (field.type === 'repeat') {
+        schema[field.id] = buildRepeatRule(field, values, translate);
+        return schema;
+      }
+      const required = values ? isFieldRequired(field, values) : field.required;
+      schema[field.id] = buildFieldRule({ ...field, required }, translate);
+      return schema;
+    }, {})
+  );
+};
+
+/**
+ * @function validateFormValues
+ * @description Validates form values against their definition, applying `showIf` and `requiredIf`.
+ * The result has the shape Formik expects from its `validate` prop.
+ *
+ * @param {FormDefinition} definition - The parsed form definition.
+ * @param {Object} values - The form values.
+ * @param {function} [translate=defaultTranslate] - Translates the built-in messages (see ./i18n).
+ * @returns {Promise<Object>} The first error message of every invalid field, keyed by field id.
+ * The errors of a `<repeat>` group are an array with an object of messages for each invalid entry,
+ * or a single message when the number of entries is wrong.
+ */
+export const validateFormValues = async (definition, values, translate = defaultTranslate) => {
+  try {
+    await buildValidationSchema(definition, values, translate).validate(values, { abortEarly: false });
+    return {};
+  } catch (error) {
+    if (error.name !== 'ValidationError') {
+      throw error;
+    }
+    const failures = error.inner.length > 0 ? error.inner : [error];
+    return failures.reduce((errors, failure) => {
+      // Errors of checkbox items are reported on the field itself
+      const id = (failure.path || '').replace(/\[\d+\]$/, '');
+      const [, repeatId, index, fieldId] = id.match(/^([^[]+)\[(\d+)\]\.(.+)$/) || [];
+      if (repeatId) {
+        // Errors of repeat entries take precedence over the message about the number of entries
+        if (!Array.isArray(errors[repeatId])) {
+          errors[repeatId] = [];
+        }
+        const entryErrors = errors[repeatId][index] || (errors[repeatId][index] = {});
+        if (!entryErrors[fieldId]) {
+          entryErrors[fieldId] = failure.message;
+        }
+      } else if (!errors[id]) {
+        errors[id] = failure.message;
+      }
+      return errors;
+    }, {});
+  }
+};
@@ -0,0 +1,252 @@
+import { ATTRIBUTE_RULES } from './formDefinition';
+import { DEFAULT_LANGUAGE } from './i18n';
+import { THEME_COLOR_ATTRIBUTES } from './theme';
+
+/**
+ * @module formExport
+ * @description Writes a `FormDefinition` back in the XML format of ./formDefinition, e.g. to keep a form imported
+ * from JSON Schema or XForms (see ./formImport) as XML, or to store a form as JSON (see `exportFormJSON`).
+ * Reading the exported form gives the same definition.
+ *
+ * Translations are written as `<translations>` blocks, whether the source had them inline or in blocks.
+ *
+ * @uses ./formDefinition
+ * @uses ./i18n
+ * @uses ./theme
+ */
+
+/**
+ * @function element
+ * @description Builds an element of the element tree `exportFormJSON` returns. Attributes without a value are
+ * left out, and the others are written as text.
+ *
+ * @param {string} name - The element name.
+ * @param {Object} [attributes={}] - The attributes.
+ * @param {Array<Object|null>} [children=[]] - The child elements; `null` entries are skipped.
+ * @param {string} [text] - The text of the element.
+ * @returns {Object}
+ */
+const element = (name, attributes = {}, children = [], text) => {
+  const written = Object.entries(attributes).filter(([, value]) => value !== undefined && value !== null);
+  const elements = [
+    ...(text !== undefined && text !== null && text !== '' ? [{ type: 'text', text: String(text) }] : []),
+    ...children.filter(Boolean),
+  ];
+  return {
+    type: 'element',
+    name,
+    ...(written.length > 0 && {
+      attributes: Object.fromEntries(written.map(([key, value]) => [key, String(value)])),
+    }),
+    ...(elements.length > 0 && { elements }),
+  };
+};
+
+/**
+ * @function writeTheme
+ * @param {Object|null} theme - The partial theme of the form (see `readTheme` in ./formDefinition).
+ * @returns {Object|null} The `<theme>` element.
+ */
+const writeTheme = (theme) => {
+  if (!theme) {
+    return null;
+  }
+  const colorAttributes = (colors = {}) => Object.entries(THEME_COLOR_ATTRIBUTES).reduce((attributes, [name, key]) => {
+    attributes[name] = colors[key];
+    return attributes;
+  }, {});
+  const { colors, dark, ...rest } = theme;
+  return element('theme', { ...colorAttributes(colors), ...rest }, [
+    dark ? element('dark', colorAttributes(dark.colors)) : null,
+  ]);
+};
+
+/**
+ * @function writeSubmit
+ * @param {SubmitTarget|null} submit - The submit target of the form.
+ * @returns {Object|null} The `<submit>` element.
+ */
+const writeSubmit = (submit) => {
+  if (!submit) {
+    return null;
+  }
+  return element('submit', {
+    url: submit.url,
+    method: submit.method,
+    format: submit.format,
+    timeout: submit.timeout !== 30000 ? submit.timeout / 1000 : undefined,
+    successMessage: submit.successMessage,
+  }, Object.entries(submit.headers).map(([name, value]) => element('header', { name, value })));
+};
+
+/**
+ * @function writeField
+ * @description Writes a field, or a `<repeat>` group with its fields. The rules read from `minLength`,
+ * `maxLength` and `pattern` attributes come first in `validations` (see `readValidationRules`) and are written
+ * back by the attributes alone.
+ *
+ * @param {FieldDefinition} field - The field.
+ * @returns {Object} The `<field>` or `<repeat>` element.
+ */
+const writeField = (field) => {
+  // The attributes that name a field come first, whatever order the source gave them in
+  const { id, type, label } = field.attributes;
+  const attributes = { id, type, label, ...field.attributes };
+  if (field.type === 'repeat') {
+    return element('repeat', attributes, field.fields.map(writeField));
+  }
+  const attributeRules = ATTRIBUTE_RULES.filter((rule) => field.attributes[rule] !== undefined).length;
+  const rules = field.validations.slice(attributeRules);
+  return element('field', attributes, [
+    ...field.options.map((option) => element('option', { value: option.value }, [], option.label)),
+    rules.length > 0
+      ? element('validation', {}, rules.map((rule) => element('rule', {
+        type: rule.type,
+        value: rule.value,
+        message: rule.message,
+      })))
+      : null,
+  ]);
+};
+
+/**
+ * @function writeItems
+ * @description Writes the fields and sections of a page, counting sections in document order as
+ * `layoutKey` does so that only ids the source gave are written.
+ *
+ * @param {Array<LayoutItem>} items - The layout items.
+ * @param {{sections: number}} counter - The number of sections written so far.
+ * @returns {Array<Object>}
+ */
+const writeItems = (items, counter) => items.map((item) => {
+  if (item.kind === 'field') {
+    return writeField(item.field);
+  }
+  counter.sections += 1;
+  return element('section', {
+    id: item.key !== `section.${counter.sections}` ? item.key : undefined,
+    title: item.title,
+  }, writeItems(item.items, counter));
+});
+
+/**
+ * @function writeDataValue
+ * @description Writes a pre-filled value as the text of a `<value>` element, the way `readDataValue` reads it:
+ * lists of options separated by commas, drawings and photos as JSON.
+ *
+ * @param {*} value - The value.
+ * @returns {string}
+ */
+const writeDataValue = (value) => {
+  if (Array.isArray(value) && value.every((item) => typeof item === 'string')) {
+    return value.join(',');
+  }
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * @function writeData
+ * @param {Object} values - Pre-filled values keyed by field id.
+ * @param {Array<FieldDefinition>} fields - The fields the values belong to.
+ * @returns {Array<Object>} The `<value>` elements.
+ */
+const writeData = (values, fields) => fields
+  .filter((field) => values[field.id] !== undefined && values[field.id] !== null && values[field.id] !== '')
+  .map((field) => {
+    const value = values[field.id];
+    if (field.type === 'repeat') {
+      return element('value', { field: field.id }, (Array.isArray(value) ? value : [])
+        .map((entry) => element('entry', {}, writeData(entry || {}, field.fields))));
+    }
+    return element('value', { field: field.id }, [], writeDataValue(value));
+  });
+
+/**
+ * @function exportFormJSON
+ * @description Writes a form definition as the element tree of its XML, the JSON form format read by
+ * `parseFormJSON` (see ./formImport). It is the tree the `xml-js` package gives for the XML with
+ * `xml2js(xml, { compact: false })`.
+ *
+ * @param {FormDefinition} definition - The parsed form definition.
+ * @returns {Object} A document whose `elements` hold the `<form>` element.
+ */
+export const exportFormJSON = (definition) => {
+  const counter = { sections: 0 };
+  const content = definition.paged
+    ? definition.pages.map((page, index) => element('page', {
+      id: page.key !== `page.${index + 1}` ? page.key : undefined,
+      title: page.title,
+    }, writeItems(page.items, counter)))
+    : writeItems(definition.pages[0] ? definition.pages[0].items : [], counter);
+
+  const form = element('form', {
+    id: definition.id,
+    title: definition.title,
+    lang: definition.language !== DEFAULT_LANGUAGE ? definition.language : undefined,
+  }, [
+    writeTheme(definition.theme),
+    writeSubmit(definition.submit),
+    ...content,
+    ...Object.entries(definition.translations).map(([language, texts]) => element('translations', { lang: language },
+      Object.entries(texts).map(([key, text]) => element('text', { key }, [], text)))),
+    definition.data ? element('data', {}, writeData(definition.data, definition.fields)) : null,
+  ]);
+  return { declaration: { attributes: { version: '1.0', encoding: 'UTF-8' } }, elements: [form] };
+};
+
+/**
+ * @function escapeXML
+ * @description Escapes text for XML element content and double-quoted attribute values. Line breaks in
+ * attributes are written as character references, which XML would otherwise read as spaces.
+ *
+ * @param {*} text
+ * @param {boolean} [attribute=false] - Whether the text is an attribute value.
+ * @returns {string}
+ */
+const escapeXML = (text, attribute = false) => {
+  const escaped = String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+  return attribute
+    ? escaped.replace(/"/g, '&quot;').replace(/\n/g, '&#10;').replace(/\r/g, '&#13;').replace(/\t/g, '&#9;')
+    : escaped;
+};
+
+/**
+ * @function writeElement
+ * @description Serializes an element of the tree built by `exportFormJSON`, indenting child elements.
+ * An element with text only keeps it on its own line.
+ *
+ * @param {Object} node - The element.
+ * @param {string} indent - The indentation of the element.
+ * @returns {string}
+ */
+const writeElement = (node, indent) => {
+  const attributes = Object.entries(node.attributes || {})
+    .map(([name, value]) => ` ${name}="${escapeXML(value, true)}"`)
+    .join('');
+  const children = node.elements || [];
+  if (children.length === 0) {
+    return `${indent}<${node.name}${attributes} />`;
+  }
+  const text = children.filter((child) => child.type === 'text').map((child) => escapeXML(child.text)).join('');
+  const elements = children.filter((child) => child.type === 'element');
+  if (elements.length === 0) {
+    return `${indent}<${node.name}${attributes}>${text}</${node.name}>`;
+  }
+  const inner = elements.map((child) => writeElement(child, `${indent}  `)).join('\n');
+  return `${indent}<${node.name}${attributes}>${text}\n${inner}\n${indent}</${node.name}>`;
+};
+
+/**
+ * @function exportFormXML
+ * @description Writes a form definition as an XML form, which `parseFormXML` reads back into the same definition.
+ *
+ * @param {FormDefinition} definition - The parsed form definition.
+ * @returns {string} The XML document.
+ */
+export const exportFormXML = (definition) => {
+  const [form] = exportFormJSON(definition).elements;
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${writeElement(form, '')}\n`;
+};
@@ -0,0 +1,843 @@
+import { DOMParser } from 'xmldom';
+import { FIELD_ID_PATTERN, parseFormXML, parseFormElement } from './formDefinition';
+
+/**
+ * @module formImport
+ * @description Reads forms written in other formats into the same `FormDefinition` as XML forms
+ * (see ./formDefinition), so they render, validate and submit like any other form:
+ * - `json`: the XML format written as JSON (see `parseFormJSON`).
+ * - `json-schema`: a JSON Schema with an optional UI schema (see `parseFormJSONSchema`).
+ * - `xforms`: a subset of XForms, as written by ODK and XLSForm (see `parseFormXForms`).
+ *
+ * Each importer builds the `<form>` element the form would have in XML and reads it with `parseFormElement`,
+ * so imported forms are checked the same way. Problems are reported as `FormError`s: those of JSON sources carry
+ * the JSON pointer of the problem in `path`, those of XForms its line and column. To keep an imported form as
+ * XML, write it with `exportFormXML` (see ./formExport).
+ *
+ * @uses xmldom
+ * @uses ./formDefinition
+ */
+
+/**
+ * @constant {Array<string>} FORM_FORMATS
+ * @description The formats `parseFormSource` reads: `xml`, `json`, `json-schema` and `xforms`.
+ */
+export const FORM_FORMATS = ['xml', 'json', 'json-schema', 'xforms'];
+
+/**
+ * @function importError
+ * @description Builds a `FormError` found while converting a form.
+ * @param {string} code - The error code.
+ * @param {string} message - The error message.
+ * @param {Object} [location] - The `path`, or the `line` and `column`, of the problem.
+ * @returns {Object}
+ */
+const importError = (code, message, location = {}) => ({ code, message, ...location });
+
+/**
+ * @function element
+ * @description Builds an element in the shape `parseFormElement` reads. Attributes without a value are left out,
+ * and the others are written as text, as they would be in XML.
+ *
+ * @param {string} name - The element name.
+ * @param {Object} [attributes={}] - The attributes.
+ * @param {Array<Object|null>} [children=[]] - The child elements; `null` entries are skipped.
+ * @param {Object} [options]
+ * @param {string} [options.text] - The text of the element.
+ * @param {Object} [options.location] - The `path`, or `line` and `column`, of the element in its source.
+ * @returns {Object}
+ */
+const element = (name, attributes = {}, children = [], { text, location } = {}) => ({
+  '#name': name,
+  $: Object.entries(attributes).reduce((written, [key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      written[key] = String(value);
+    }
+    return written;
+  }, {}),
+  $$: children.filter(Boolean),
+  ...(text !== undefined && { _: text }),
+  ...(location && { '#location': location }),
+});
+
+/**
+ * @function readJSON
+ * @description Parses JSON text, or passes an already parsed value through.
+ * @param {string|Object} source - The JSON text or value.
+ * @returns {{value: *, errors: Array<FormError>}}
+ */
+const readJSON = (source) => {
+  if (typeof source !== 'string') {
+    return { value: source, errors: [] };
+  }
+  if (source.trim() === '') {
+    return { value: null, errors: [importError('empty', 'JSON input cannot be empty')] };
+  }
+  try {
+    return { value: JSON.parse(source), errors: [] };
+  } catch (error) {
+    return { value: null, errors: [importError('malformed-json', `Malformed JSON: ${error.message}`)] };
+  }
+};
+
+/**
+ * @function isObject
+ * @param {*} value
+ * @returns {boolean} Whether the value is a plain JSON object.
+ */
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * @function withImportErrors
+ * @description Reads a built `<form>` element, reporting the problems of the conversion before those of the form.
+ * @param {Object} form - The `<form>` element.
+ * @param {Array<FormError>} errors - The problems found while converting the form.
+ * @returns {{definition: FormDefinition|null, errors: Array<FormError>}}
+ */
+const withImportErrors = (form, errors) => {
+  const result = parseFormElement(form);
+  return errors.length > 0 ? { definition: null, errors: [...errors, ...result.errors] } : result;
+};
+
+/**
+ * @function parseFormJSON
+ * @description Parses a form written as JSON: the element tree of the XML form, in the format of the `xml-js`
+ * package (`xml2js(xml, { compact: false })`), which `exportFormJSON` (see ./formExport) writes:
+ *
+ * ```json
+ * { "elements": [{ "type": "element", "name": "form", "attributes": { "id": "visit", "title": "Visit" },
+ *   "elements": [{ "type": "element", "name": "field", "attributes": { "id": "name", "type": "text", "label": "Name" } }]
+ * }] }
+ * ```
+ *
+ * Every element has a `name`, and may have `attributes` and `elements`: child elements, and `text` (or `cdata`)
+ * entries holding its text. The `<form>` element may also be given on its own.
+ *
+ * @param {string|Object} source - The JSON text or value.
+ * @returns {Promise<{definition: FormDefinition|null, errors: Array<FormError>}>} Like `parseFormXML`.
+ */
+export const parseFormJSON = async (source) => {
+  const { value, errors } = readJSON(source);
+  if (errors.length > 0) {
+    return { definition: null, errors };
+  }
+
+  const readElement = (node, path) => {
+    if (!isObject(node) || typeof node.name !== 'string') {
+      errors.push(importError('invalid-structure', 'An element needs a "name"', { path }));
+      return null;
+    }
+    const entries = Array.isArray(node.elements) ? node.elements : [];
+    const text = entries
+      .filter((entry) => isObject(entry) && (entry.type === 'text' || entry.type === 'cdata'))
+      .map((entry) => String(entry.text ?? entry.cdata ?? ''))
+      .join('');
+    const children = entries.map((entry, index) => (isObject(entry) && entry.type !== 'element'
+      ? null
+      : readElement(entry, `${path}/elements/${index}`)));
+    return element(node.name, isObject(node.attributes) ? node.attributes : {}, children, {
+      text: text || undefined,
+      location: { path },
+    });
+  };
+
+  // A document holds the root element, with the declaration and comments, in its `elements`
+  const rootIndex = isObject(value) && !value.name && Array.isArray(value.elements)
+    ? value.elements.findIndex((entry) => isObject(entry) && entry.type === 'element')
+    : -1;
+  const root = rootIndex === -1 ? value : value.elements[rootIndex];
+  const form = readElement(root, rootIndex === -1 ? '' : `/elements/${rootIndex}`);
+  if (!form) {
+    return { definition: null, errors };
+  }
+  if (form['#name'] !== 'form') {
+    return {
+      definition: null,
+      errors: [importError('missing-form', `The root element must be "form" but found "${form['#name']}"`, {
+        ...form['#location'],
+      })],
+    };
+  }
+  return withImportErrors(form, errors);
+};
+
+/**
+ * @constant {Object<string, string>} SCHEMA_WIDGETS
+ * @description The field types of the `ui:widget`s understood in UI schemas. `signature` is not a widget of
+ * JSON Schema form libraries, but names a `drawing` field here.
+ */
+const SCHEMA_WIDGETS = {
+  text: 'text',
+  textarea: 'textarea',
+  email: 'email',
+  tel: 'phone',
+  updown: 'number',
+  range: 'number',
+  radio: 'radio',
+  select: 'select',
+  checkboxes: 'checkbox',
+  date: 'datetime',
+  time: 'datetime',
+  datetime: 'datetime',
+  file: 'image',
+  signature: 'drawing',
+};
+
+/**
+ * @constant {Object<string, string>} SCHEMA_DATE_MODES
+ * @description The `datetime` mode of the date and time `format`s and widgets of JSON Schema.
+ */
+const SCHEMA_DATE_MODES = {
+  date: 'date',
+  time: 'time',
+  'date-time': 'datetime',
+  datetime: 'datetime',
+};
+
+/**
+ * @constant {Array<string>} UNSUPPORTED_SCHEMA_KEYWORDS
+ * @description Keywords whose meaning cannot be carried over to a form definition.
+ */
+const UNSUPPORTED_SCHEMA_KEYWORDS = ['allOf', 'not', 'if', 'dependencies', 'dependentSchemas', 'dependentRequired', 'patternProperties'];
+
+/**
+ * @function parseFormJSONSchema
+ * @description Parses a form described by a JSON Schema, laid out by an optional UI schema in the format of
+ * react-jsonschema-form. The schema is an object whose properties become the fields of the form:
+ * - `string` properties become `text` fields, or `email` and `datetime` fields by their `format` (`email`, `date`,
+ *   `time`, `date-time`) and `image` fields for `data-url`. `minLength`, `maxLength` and `pattern` carry over.
+ * - `number` and `integer` properties become `number` fields, with `minimum`, `maximum` and `multipleOf` as
+ *   `min`, `max` and `step`.
+ * - `boolean` properties become `radio` fields with the options `true` and `false`.
+ * - Properties with an `enum` (labelled by the UI schema's `ui:enumNames`), or a `oneOf`/`anyOf` of `const` values
+ *   with a `title`, become `select` fields, or `radio` fields with the `radio` widget.
+ * - `array` properties of such options become `checkbox` fields, arrays of `data-url` strings `image` fields,
+ *   and arrays of objects `<repeat>` groups, with `minItems` and `maxItems` as their limits.
+ * - `object` properties become sections of the form. Their properties are fields of the form like the others,
+ *   so their names must be unique in the whole form.
+ *
+ * The names of the properties that become fields are their ids, so they must be valid ids (see `FIELD_ID_PATTERN`
+ * in ./formDefinition); other names are reported with the code `invalid-structure`.
+ *
+ * `title` sets the label of a field, `description` its hint, `default` its default value and `readOnly` makes it
+ * read-only; the names in `required` are required. `$ref`s to the schema's own `definitions` or `$defs` are followed.
+ *
+ * The UI schema, keyed by property name like the schema, may set `ui:widget` (see `SCHEMA_WIDGETS`; `hidden`
+ * leaves the property out), `ui:title`, `ui:help`, `ui:readonly`, `ui:options.rows` of a textarea, and
+ * `ui:order` to order the properties of an object. The schema's `$id` and `title` are the id and title of the form.
+ *
+ * @param {string|Object} schema - The JSON Schema, as JSON text or a value. A value with a `schema` key is read
+ * as a schema bundled with its `uiSchema`.
+ * @param {string|Object} [uiSchema={}] - The UI schema, as JSON text or a value.
+ * @returns {Promise<{definition: FormDefinition|null, errors: Array<FormError>}>} Like `parseFormXML`. Keywords
+ * the form cannot express are reported with the code `unsupported`.
+ */
+export const parseFormJSONSchema = async (schema, uiSchema = {}) => {
+  const { value: read, errors } = readJSON(schema);
+  const { value: readUI, errors: uiErrors } = readJSON(uiSchema);
+  if (errors.length > 0 || uiErrors.length > 0) {
+    return { definition: null, errors: [...errors, ...uiErrors] };
+  }
+  const bundled = isObject(read) && isObject(read.schema);
+  const root = bundled ? read.schema : read;
+  const rootUI = (bundled ? read.uiSchema : readUI) || {};
+  const rootPath = bundled ? '/schema' : '';
+
+  const problem = (code, message, path) => errors.push(importError(code, message, { path: path || '/' }));
+
+  // Follows `$ref`s to the schema's own definitions
+  const resolve = (node, path, seen = []) => {
+    if (!isObject(node) || typeof node.$ref !== 'string') {
+      return { node, path };
+    }
+    const match = node.$ref.match(/^#(\/(?:definitions|\$defs)\/.+)$/);
+    if (!match || seen.includes(node.$ref)) {
+      problem('unsupported', `Only references to the schema's own "definitions" or "$defs" are supported: "${node.$ref}"`, path);
+      return { node: null, path };
+    }
+    const target = match[1].split('/').slice(1)
+      .map((part) => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((current, part) => (isObject(current) ? current[part] : undefined), root);
+    if (!isObject(target)) {
+      problem('invalid-structure', `"${node.$ref}" refers to nothing`, path);
+      return { node: null, path };
+    }
+    return resolve(target, `${rootPath}${match[1]}`, [...seen, node.$ref]);
+  };
+
+  const readOptions = (node, ui) => {
+    if (Array.isArray(node.enum)) {
+      const names = Array.isArray(ui['ui:enumNames']) ? ui['ui:enumNames'] : [];
+      return node.enum.map((value, index) => ({ value: String(value), label: String(names[index] ?? value) }));
+    }
+    const choices = node.oneOf || node.anyOf;
+    if (Array.isArray(choices) && choices.every((choice) => isObject(choice) && choice.const !== undefined)) {
+      return choices.map((choice) => ({ value: String(choice.const), label: String(choice.title ?? choice.const) }));
+    }
+    return null;
+  };
+
+  const optionElements = (options) =>
+    options.map((option) => element('option', { value: option.value }, [], { text: option.label }));
+
+  const writeDefault = (value) => {
+    if (value === undefined || value === null || isObject(value)) {
+      return undefined;
+    }
+    return Array.isArray(value) ? value.join(',') : String(value);
+  };
+
+  const readProperty = (name, schemaNode, ui, required, schemaPath, container) => {
+    const { node, path } = resolve(schemaNode, schemaPath);
+    if (!isObject(node) || ui['ui:widget'] === 'hidden') {
+      return [];
+    }
+    UNSUPPORTED_SCHEMA_KEYWORDS.filter((keyword) => node[keyword] !== undefined).forEach((keyword) => {
+      problem('unsupported', `"${keyword}" is not supported`, path);
+    });
+
+    const types = (Array.isArray(node.type) ? node.type : [node.type]).filter((type) => type !== 'null');
+    const type = types[0] || (node.properties ? 'object' : node.items ? 'array' : 'string');
+    const widget = ui['ui:widget'];
+    const attributes = {
+      id: name,
+      label: ui['ui:title'] || node.title || name,
+      hint: ui['ui:help'] || node.description,
+      required: required ? 'true' : undefined,
+      readonly: node.readOnly === true || ui['ui:readonly'] === true ? 'true' : undefined,
+      default: writeDefault(node.default),
+    };
+    const location = { path };
+
+    if (type === 'object') {
+      if (container !== 'form') {
+        problem('unsupported', 'Objects can only be nested one level deep, as sections of the form', path);
+        return [];
+      }
+      return [element('section', { title: attributes.label }, readProperties(node, ui, path, 'section'), { location })];
+    }
+    if (!FIELD_ID_PATTERN.test(name) || name === '__proto__') {
+      problem('invalid-structure', `Property "${name}" cannot be a field id: use letters, digits and "_", starting with a letter or "_"`, schemaPath);
+      return [];
+    }
+
+    if (type === 'array') {
+      const { node: items, path: itemsPath } = resolve(node.items, `${path}/items`);
+      const itemOptions = isObject(items) ? readOptions(items, ui.items || {}) || readOptions(items, ui) : null;
+      if (isObject(items) && (items.type === 'object' || items.properties)) {
+        if (container === 'repeat') {
+          problem('unsupported', 'Arrays of objects cannot be nested', path);
+          return [];
+        }
+        return [element('repeat', {
+          id: name,
+          label: attributes.label,
+          hint: attributes.hint,
+          min: node.minItems,
+          max: node.maxItems,
+        }, readProperties(items, ui.items || {}, itemsPath, 'repeat'), { location })];
+      }
+      if (itemOptions) {
+        return [element('field', {
+          ...attributes,
+          type: 'checkbox',
+          minLength: node.minItems,
+          maxLength: node.maxItems,
+        }, optionElements(itemOptions), { location })];
+      }
+      if (isObject(items) && (items.format === 'data-url' || widget === 'file')) {
+        return [element('field', { ...attributes, type: 'image', maxCount: node.maxItems || 10, default: undefined }, [], { location })];
+      }
+      problem('unsupported', 'Arrays must hold options, objects or "data-url" files', path);
+      return [];
+    }
+
+    const options = readOptions(node, ui);
+    let fieldType = SCHEMA_WIDGETS[widget];
+    if (widget !== undefined && !fieldType) {
+      problem('unsupported', `Unknown "ui:widget": "${widget}". Supported widgets: ${Object.keys(SCHEMA_WIDGETS).join(', ')}, hidden`, path);
+    }
+    if (type === 'boolean') {
+      return [element('field', { ...attributes, type: widget === 'select' ? 'select' : 'radio' }, optionElements(
+        options || [{ value: 'true', label: 'Yes' }, { value: 'false', label: 'No' }]
+      ), { location })];
+    }
+    if (options) {
+      return [element('field', { ...attributes, type: fieldType === 'radio' ? 'radio' : 'select' }, optionElements(options), {
+        location,
+      })];
+    }
+    if (type === 'number' || type === 'integer') {
+      return [element('field', {
+        ...attributes,
+        type: 'number',
+        min: node.minimum,
+        max: node.maximum,
+        step: node.multipleOf ?? (type === 'integer' ? 1 : undefined),
+      }, [], { location })];
+    }
+    if (type !== 'string') {
+      problem('unsupported', `Unknown type "${type}"`, path);
+      return [];
+    }
+
+    if (!fieldType) {
+      fieldType = node.format === 'email' ? 'email'
+        : SCHEMA_DATE_MODES[node.format] ? 'datetime'
+          : node.format === 'data-url' ? 'image'
+            : 'text';
+    }
+    const typeAttributes = {
+      datetime: { mode: SCHEMA_DATE_MODES[node.format] || SCHEMA_DATE_MODES[widget] || 'date' },
+      textarea: { rows: isObject(ui['ui:options']) ? ui['ui:options'].rows : undefined },
+      image: { maxCount: 1, default: undefined },
+      drawing: { default: undefined },
+    }[fieldType];
+    return [element('field', {
+      ...attributes,
+      type: fieldType,
+      minLength: node.minLength,
+      maxLength: node.maxLength,
+      pattern: node.pattern,
+      ...typeAttributes,
+    }, [], { location })];
+  };
+
+  const readProperties = (node, ui, path, container) => {
+    const properties = isObject(node.properties) ? node.properties : {};
+    const required = Array.isArray(node.required) ? node.required : [];
+    const names = Object.keys(properties);
+    let order = names;
+    if (Array.isArray(ui['ui:order'])) {
+      const listed = ui['ui:order'].filter((name) => name !== '*' && names.includes(name));
+      const rest = names.filter((name) => !listed.includes(name));
+      const wildcard = ui['ui:order'].indexOf('*');
+      order = wildcard === -1 ? [...listed, ...rest] : [...listed.slice(0, wildcard), ...rest, ...listed.slice(wildcard)];
+    }
+    return order.flatMap((name) => readProperty(
+      name,
+      properties[name],
+      isObject(ui[name]) ? ui[name] : {},
+      required.includes(name),
+      `${path}/properties/${name.replace(/~/g, '~0').replace(/\//g, '~1')}`,
+      container
+    ));
+  };
+
+  const { node: rootNode } = resolve(root, rootPath);
+  if (!isObject(rootNode) || !isObject(rootNode.properties)) {
+    return {
+      definition: null,
+      errors: [importError('missing-form', 'The schema must describe an object with "properties"', { path: rootPath || '/' })],
+    };
+  }
+  const form = element('form', {
+    id: rootNode.$id,
+    title: rootUI['ui:title'] || rootNode.title,
+  }, readProperties(rootNode, rootUI, rootPath, 'form'), { location: { path: rootPath || '/' } });
+  return withImportErrors(form, errors);
+};
+
+/**
+ * @constant {Object<string, Object>} XFORMS_TYPES
+ * @description The field attributes of the `<bind>` types of XForms `<input>` controls.
+ */
+const XFORMS_TYPES = {
+  string: { type: 'text' },
+  int: { type: 'number', step: '1' },
+  integer: { type: 'number', step: '1' },
+  decimal: { type: 'number' },
+  date: { type: 'datetime', mode: 'date' },
+  time: { type: 'datetime', mode: 'time' },
+  dateTime: { type: 'datetime', mode: 'datetime' },
+};
+
+/**
+ * @constant {Array<string>} XFORMS_DRAWING_APPEARANCES
+ * @description Appearances of image `<upload>` controls drawn on the screen rather than photographed.
+ */
+const XFORMS_DRAWING_APPEARANCES = ['signature', 'draw', 'annotate'];
+
+/**
+ * @function lastStep
+ * @description The last step of an XPath, which names the field of a `ref` or `nodeset`.
+ * @param {string} path - e.g. `/data/household/name`.
+ * @returns {string}
+ */
+const lastStep = (path) => path.split('/').filter(Boolean).pop() || '';
+
+/**
+ * @function translateXPath
+ * @description Translates the XPath expression of a `relevant` or `calculate` bind into an expression of
+ * ./expressions: paths become the ids of their fields, `=` becomes `==`, `div` and `mod` become `/` and `%`,
+ * and `selected(path, 'value')` becomes `contains(field, 'value')`. Other XPath functions are kept, and reported
+ * by the form's checks when the expression language does not have them.
+ *
+ * @param {string} xpath - The XPath expression.
+ * @param {string} self - The id of the field the expression belongs to, for `.`.
+ * @returns {string}
+ */
+const translateXPath = (xpath, self) => xpath
+  // Quoted strings are kept as they are
+  .split(/('[^']*'|"[^"]*")/)
+  .map((part, index) => (index % 2 === 1 ? part : part
+    .replace(/\bselected\s*\(/g, 'contains(')
+    .replace(/\btrue\(\)/g, 'true')
+    .replace(/\bfalse\(\)/g, 'false')
+    .replace(/\s+div\s+/g, ' / ')
+    .replace(/\s+mod\s+/g, ' % ')
+    .replace(/(?:\.\.\/|\/)?[A-Za-z_][\w.-]*(?:\/[A-Za-z_][\w.-]*)+|\.\.\/[A-Za-z_][\w.-]*/g, lastStep)
+    .replace(/(^|[^.\w])\.(?![\w.])/g, `$1${self}`)
+    .replace(/([^!<>=])=(?!=)/g, '$1==')))
+  .join('');
+
+/**
+ * @function translateConstraint
+ * @description Translates the XPath `constraint` of a bind into validation attributes. Only constraints made of
+ * `regex(., 'pattern')`, `string-length(.)` and `.` compared with numbers, joined by `and`, can be translated.
+ *
+ * @param {string} constraint - The XPath constraint.
+ * @returns {Object|null} The attributes, or `null` when the constraint cannot be translated.
+ */
+const translateConstraint = (constraint) => {
+  const attributes = {};
+  const translated = constraint.split(/\s+and\s+/).every((part) => {
+    const text = part.trim().replace(/^\((.*)\)$/, '$1').trim();
+    const regex = text.match(/^regex\(\s*\.\s*,\s*(['"])(.*)\1\s*\)$/);
+    if (regex) {
+      attributes.pattern = regex[2];
+      return true;
+    }
+    const comparison = text.match(/^(\.|string-length\(\s*\.\s*\))\s*(>=|<=|&gt;=|&lt;=)\s*(-?\d+(?:\.\d+)?)$/);
+    if (!comparison) {
+      return false;
+    }
+    const lower = comparison[2].includes('>') || comparison[2].includes('gt');
+    const name = comparison[1] === '.' ? (lower ? 'min' : 'max') : (lower ? 'minLength' : 'maxLength');
+    attributes[name] = comparison[3];
+    return true;
+  });
+  return translated ? attributes : null;
+};
+
+/**
+ * @function parseFormXForms
+ * @description Parses a form written in a subset of XForms 1.0, as produced by ODK Build and XLSForm:
+ *
+ * - The `<h:title>` is the form title, and the root element of the `<instance>` gives the form `id` and, in the
+ *   text of its children, the `default` values of the fields.
+ * - Controls of the body become fields named by the last step of their `ref`: `<input>` (`text`, or `textarea`
+ *   with the `multiline` appearance; `number` and `datetime` by the type of its bind), `<select1>` (`radio`, or
+ *   `select` with the `minimal` appearance), `<select>` (`checkbox`), `<range>` (`number`) and `<upload>` of
+ *   images (`image`, or `drawing` with the `signature`, `draw` or `annotate` appearance).
+ * - `<group>`s with a label become sections, and `<repeat>`s repeatable groups.
+ * - Binds set `required="true()"`, `readonly="true()"`, `relevant` (as `showIf`) and `calculate` (as `expr`),
+ *   with their XPath translated (see `translateXPath`), and `constraint` (see `translateConstraint`) with its
+ *   `jr:constraintMsg` as the `errorMessage`.
+ * - Labels, hints and option labels may come from the `<itext>` translations, the default one (or the first)
+ *   giving the form's texts and the others its translations. Languages written as `English (en)` are named by
+ *   the code in brackets.
+ *
+ * Controls of other kinds, `itemset`s and binds of other types are reported with the code `unsupported`. Names
+ * that are not valid field ids, such as `first-name`, are reported at their control by the checks of the form.
+ * Binds without a control, such as the `meta` block of ODK forms, are left out.
+ *
+ * @param {string} xml - The XForms document.
+ * @returns {Promise<{definition: FormDefinition|null, errors: Array<FormError>}>} Like `parseFormXML`.
+ */
+export const parseFormXForms = async (xml) => {
+  if (!xml || xml.trim() === '') {
+    return { definition: null, errors: [importError('empty', 'XML input cannot be empty')] };
+  }
+  const errors = [];
+  const parseErrors = [];
+  // xmldom only warns about mismatched tags and unquoted attributes, which a well-formed form never has
+  const parser = new DOMParser({
+    locator: {},
+    errorHandler: {
+      warning: (message) => parseErrors.push(message),
+      error: (message) => parseErrors.push(message),
+      fatalError: (message) => parseErrors.push(message),
+    },
+  });
+  const document = parser.parseFromString(xml.replace(/^﻿/, ''), 'text/xml');
+  const root = document && document.documentElement;
+  if (parseErrors.length > 0 || !root) {
+    // xmldom ends its messages with the position: "...\n@#[line:3,col:5]"
+    const [message = 'No root element'] = parseErrors;
+    const position = message.match(/\[line:(\d+),col:(\d+)\]/);
+    return {
+      definition: null,
+      errors: [importError('malformed-xml', `Malformed XML: ${message.split('\n')[0].replace(/^\[xmldom \w+\]\s*/, '')}`, {
+        ...(position && { line: Number(position[1]), column: Number(position[2]) }),
+      })],
+    };
+  }
+
+  const locate = (node) => (node.lineNumber ? { line: node.lineNumber, column: node.columnNumber } : {});
+  const children = (node, name) => Array.from(node ? node.childNodes : [])
+    .filter((child) => child.nodeType === 1 && (!name || child.localName === name));
+  const child = (node, name) => children(node, name)[0] || null;
+  const textOf = (node) => (node ? node.textContent.trim() : '');
+  const problem = (code, message, node) => errors.push(importError(code, message, locate(node)));
+
+  if (root.localName !== 'html') {
+    return {
+      definition: null,
+      errors: [importError('missing-form', `The root element must be <h:html> but found <${root.tagName}>`, locate(root))],
+    };
+  }
+  const head = child(root, 'head');
+  const body = child(root, 'body');
+  const model = child(head, 'model');
+  const instanceRoot = children(child(model, 'instance'))[0];
+  if (!model || !body || !instanceRoot) {
+    return {
+      definition: null,
+      errors: [importError('missing-form', 'An XForms document needs a <model> with an <instance>, and a <h:body>', locate(root))],
+    };
+  }
+
+  // The default values of the instance, by path
+  const instanceValues = {};
+  const readInstance = (node, path) => children(node).forEach((item) => {
+    const itemPath = `${path}/${item.localName}`;
+    if (children(item).length === 0) {
+      instanceValues[itemPath] = textOf(item);
+    }
+    readInstance(item, itemPath);
+  });
+  readInstance(instanceRoot, `/${instanceRoot.localName}`);
+
+  const binds = children(model, 'bind').reduce((byPath, bind) => {
+    byPath[bind.getAttribute('nodeset')] = bind;
+    return byPath;
+  }, {});
+
+  // Translated texts by language and itext id
+  const translationNodes = children(child(model, 'itext'), 'translation');
+  const languageOf = (node) => {
+    const lang = node.getAttribute('lang') || '';
+    const code = lang.match(/\(([^)]+)\)/);
+    return code ? code[1] : lang;
+  };
+  const defaultTranslation = translationNodes.find((node) => /^true/.test(node.getAttribute('default') || ''))
+    || translationNodes[0];
+  const itexts = translationNodes.reduce((byLanguage, node) => {
+    byLanguage[languageOf(node)] = children(node, 'text').reduce((texts, text) => {
+      const value = children(text, 'value').find((candidate) => !candidate.getAttribute('form'));
+      texts[text.getAttribute('id')] = textOf(value);
+      return texts;
+    }, {});
+    return byLanguage;
+  }, {});
+  const language = defaultTranslation ? languageOf(defaultTranslation) : undefined;
+  const otherLanguages = Object.keys(itexts).filter((other) => other !== language);
+  const translations = Object.fromEntries(otherLanguages.map((other) => [other, []]));
+
+  // The text of a <label> or <hint>, recording its translations under `key`
+  const readText = (node, key) => {
+    if (!node) {
+      return undefined;
+    }
+    const reference = (node.getAttribute('ref') || '').match(/^jr:itext\(\s*['"](.+)['"]\s*\)$/);
+    if (!reference) {
+      return textOf(node);
+    }
+    otherLanguages.forEach((other) => {
+      const translated = itexts[other][reference[1]];
+      if (translated) {
+        translations[other].push(element('text', { key }, [], { text: translated }));
+      }
+    });
+    return itexts[language]?.[reference[1]] ?? '';
+  };
+
+  const readControl = (node, prefix) => {
+    const ref = node.getAttribute('ref') || node.getAttribute('nodeset') || '';
+    const id = lastStep(ref);
+    const bind = binds[ref];
+    const bindType = bind ? (bind.getAttribute('type') || 'string').replace(/^xsd:/, '') : 'string';
+    const appearance = node.getAttribute('appearance') || '';
+    const location = locate(node);
+    const key = `${prefix}${id}`;
+    const attributes = {
+      id,
+      label: readText(child(node, 'label'), `${key}.label`),
+      hint: readText(child(node, 'hint'), `${key}.hint`),
+      default: instanceValues[ref],
+    };
+
+    if (bind) {
+      const attribute = (name) => bind.getAttribute(name) || undefined;
+      if (/^true\(\)$/.test(attribute('required') || '')) {
+        attributes.required = 'true';
+      }
+      if (/^true\(\)$/.test(attribute('readonly') || '')) {
+        attributes.readonly = 'true';
+      }
+      if (attribute('relevant')) {
+        attributes.showIf = translateXPath(attribute('relevant'), id);
+      }
+      if (attribute('calculate')) {
+        attributes.expr = translateXPath(attribute('calculate'), id);
+      }
+      if (attribute('constraint')) {
+        const rules = translateConstraint(attribute('constraint'));
+        if (rules) {
+          Object.assign(attributes, rules);
+        } else {
+          problem('unsupported', `Field "${key}": the constraint "${attribute('constraint')}" cannot be translated`, bind);
+        }
+      }
+      attributes.errorMessage = attribute('jr:constraintMsg');
+    }
+
+    const readItems = () => {
+      if (child(node, 'itemset')) {
+        problem('unsupported', `Field "${key}": <itemset> choices are not supported`, child(node, 'itemset'));
+      }
+      return children(node, 'item').map((item) => {
+        const value = textOf(child(item, 'value'));
+        return element('option', { value }, [], { text: readText(child(item, 'label'), `${key}.option.${value}`) || value });
+      });
+    };
+
+    switch (node.localName) {
+      case 'input': {
+        const typeAttributes = XFORMS_TYPES[bindType];
+        if (!typeAttributes) {
+          problem('unsupported', `Field "${key}": the "${bindType}" type is not supported`, node);
+          return null;
+        }
+        const type = typeAttributes.type === 'text' && appearance.includes('multiline') ? 'textarea' : typeAttributes.type;
+        return element('field', { ...attributes, ...typeAttributes, type }, [], { location });
+      }
+      case 'select1':
+        return element('field', { ...attributes, type: appearance.includes('minimal') ? 'select' : 'radio' }, readItems(), { location });
+      case 'select':
+        return element('field', {
+          ...attributes,
+          type: 'checkbox',
+          // The instance lists the selected values separated by spaces
+          default: attributes.default && attributes.default.split(/\s+/).join(','),
+        }, readItems(), { location });
+      case 'range':
+        return element('field', {
+          ...attributes,
+          type: 'number',
+          min: node.getAttribute('start') || undefined,
+          max: node.getAttribute('end') || undefined,
+          step: node.getAttribute('step') || undefined,
+        }, [], { location });
+      case 'upload':
+        if (!/^image\//.test(node.getAttribute('mediatype') || '')) {
+          problem('unsupported', `Field "${key}": only image uploads are supported`, node);
+          return null;
+        }
+        return element('field', {
+          ...attributes,
+          default: undefined,
+          type: XFORMS_DRAWING_APPEARANCES.some((name) => appearance.includes(name)) ? 'drawing' : 'image',
+        }, [], { location });
+      default:
+        problem('unsupported', `<${node.tagName}> controls are not supported`, node);
+        return null;
+    }
+  };
+
+  const readRepeat = (node, label, prefix) => {
+    const ref = node.getAttribute('nodeset') || '';
+    const id = lastStep(ref);
+    const bind = binds[ref];
+    return element('repeat', {
+      id,
+      label: label ?? readText(child(node, 'label'), `${prefix}${id}.label`),
+      showIf: bind && bind.getAttribute('relevant') ? translateXPath(bind.getAttribute('relevant'), id) : undefined,
+    }, readBody(node, 'repeat', `${prefix}${id}.`), { location: locate(node) });
+  };
+
+  // Sections cannot be nested, so the content of a group inside a section (or a repeat) joins it
+  const readBody = (node, container, prefix = '') => children(node).flatMap((control) => {
+    if (['label', 'hint'].includes(control.localName)) {
+      return [];
+    }
+    if (control.localName === 'repeat') {
+      return [readRepeat(control, undefined, prefix)];
+    }
+    if (control.localName !== 'group') {
+      return [readControl(control, prefix)];
+    }
+    const ref = control.getAttribute('ref') || '';
+    const repeat = children(control, 'repeat').find((candidate) => candidate.getAttribute('nodeset') === ref);
+    if (repeat) {
+      return [readRepeat(repeat, readText(child(control, 'label'), `${prefix}${lastStep(ref)}.label`), prefix)];
+    }
+    if (container !== 'form' || !child(control, 'label')) {
+      return readBody(control, container, prefix);
+    }
+    const sectionKey = control.getAttribute('id') || undefined;
+    return [element('section', {
+      id: sectionKey,
+      title: sectionKey ? readText(child(control, 'label'), `${sectionKey}.title`) : textOf(child(control, 'label')),
+    }, readBody(control, 'section', prefix), { location: locate(control) })];
+  });
+
+  const content = readBody(body, 'form');
+  const form = element('form', {
+    id: instanceRoot.getAttribute('id') || undefined,
+    title: textOf(child(head, 'title')) || undefined,
+    lang: language,
+  }, [
+    ...content,
+    ...otherLanguages
+      .filter((other) => translations[other].length > 0)
+      .map((other) => element('translations', { lang: other }, translations[other])),
+  ], { location: locate(root) });
+  return withImportErrors(form, errors);
+};
+
+/**
+ * @function detectFormFormat
+ * @description Guesses the format of a form source: XForms for XML with an `<h:html>` root, XML for other XML,
+ * a JSON Schema for JSON with `properties` or a `schema` (see `parseFormJSONSchema`), and the JSON form format
+ * for other JSON.
+ *
+ * @param {string} source - The form source.
+ * @returns {string} One of `FORM_FORMATS`.
+ */
+export const detectFormFormat = (source) => {
+  const text = (source || '').replace(/^﻿/, '').trim();
+  if (!/^[{[]/.test(text)) {
+    return /^(<\?xml[^>]*\?>\s*)?(<!--[\s\S]*?-->\s*)*<(\w+:)?html[\s>]/.test(text) ? 'xforms' : 'xml';
+  }
+  try {
+    const value = JSON.parse(text);
+    return isObject(value) && (isObject(value.properties) || isObject(value.schema) || value.$schema) ? 'json-schema' : 'json';
+  } catch (error) {
+    return 'json';
+  }
+};
+
+/**
+ * @function parseFormSource
+ * @description Parses a form in any of `FORM_FORMATS`, e.g. a file picked by the user.
+ *
+ * @param {string} source - The form source.
+ * @param {string} [format] - One of `FORM_FORMATS`; guessed from the source by default (see `detectFormFormat`).
+ * @returns {Promise<{definition: FormDefinition|null, errors: Array<FormError>, format: string}>} Like
+ * `parseFormXML`, with the format the source was read as.
+ */
+export const parseFormSource = async (source, format = detectFormFormat(source)) => {
+  const parsers = {
+    xml: parseFormXML,
+    json: parseFormJSON,
+    'json-schema': parseFormJSONSchema,
+    xforms: parseFormXForms,
+  };
+  if (!parsers[format]) {
+    throw new Error(`Unknown form format "${format}". Supported formats: ${FORM_FORMATS.join(', ')}`);
+  }
+  const result = await parsers[format](source);
+  return { ...result, format };
+};
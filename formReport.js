@@ -0,0 +1,190 @@
+import { getFieldType, formatFieldValue } from './fieldTypes';
+import { defaultTranslate, isRTLLanguage } from './i18n';
+import { getLayoutFields } from './formDefinition';
+
+/**
+ * @module formReport
+ * @description Renders a submitted form as a self-contained HTML report: the form title, the time the report was
+ * made, and every answered field under its page and section titles, with option labels rather than option values
+ * and drawings and photos embedded as images (see `reportImages` in ./fieldTypes).
+ *
+ * The report loads nothing from the network, so it can be printed to PDF and shared from the device
+ * (see ./reportExport).
+ *
+ * @uses ./fieldTypes
+ * @uses ./formDefinition
+ * @uses ./i18n
+ */
+
+/**
+ * @function escapeHTML
+ * @description Escapes text for HTML element content and double-quoted attribute values.
+ * @param {*} text
+ * @returns {string}
+ */
+export const escapeHTML = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * @constant {string} REPORT_STYLE
+ * @description The style sheet of reports, sized for A4 and US Letter pages.
+ */
+const REPORT_STYLE = `
+  body { font-family: -apple-system, Roboto, "Helvetica Neue", Arial, sans-serif; font-size: 12pt; color: #1a1a1a; margin: 24px; }
+  h1 { font-size: 20pt; margin: 0 0 4px; }
+  h2 { font-size: 15pt; margin: 24px 0 8px; border-bottom: 2px solid #1a1a1a; padding-bottom: 4px; }
+  h3 { font-size: 13pt; margin: 16px 0 6px; }
+  .generated { color: #555; font-size: 10pt; margin: 0 0 16px; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 8px; }
+  th, td { text-align: start; vertical-align: top; padding: 6px 8px; border-bottom: 1px solid #ddd; }
+  th { width: 35%; font-weight: 600; }
+  td { white-space: pre-wrap; }
+  tr, img { page-break-inside: avoid; }
+  .entry { margin-inline-start: 12px; }
+  .entry-title { font-weight: 600; margin: 8px 0 2px; }
+  .empty { color: #888; }
+  img { max-width: 100%; max-height: 240px; border: 1px solid #ddd; margin: 2px 4px 2px 0; background: white; }
+`;
+
+/**
+ * @function renderAnswer
+ * @description The answer cell of a field: its images when its type shows some, its formatted text otherwise,
+ * or a dash when it has no answer.
+ *
+ * @param {Object} field - The field.
+ * @param {*} value - Its submitted value.
+ * @param {Object} options - `translate` and `locale`.
+ * @returns {string} HTML.
+ */
+const renderAnswer = (field, value, { translate, locale }) => {
+  const plugin = getFieldType(field.type);
+  const images = plugin && plugin.reportImages ? plugin.reportImages(value, field, { translate }) : [];
+  if (images.length > 0) {
+    return images
+      .map((image) => `<img src="${escapeHTML(image.uri)}" alt="${escapeHTML(image.label)}" />`)
+      .join('');
+  }
+  const text = formatFieldValue(field, value, { translate, locale });
+  return text ? escapeHTML(text) : '<span class="empty">—</span>';
+};
+
+/**
+ * @function renderFields
+ * @description The rows of the answered fields among the given ones. Fields left out of the values (e.g. hidden
+ * by `showIf`) are skipped, and every entry of a `<repeat>` group gets a table of its own.
+ *
+ * @param {Array<Object>} fields - The fields, in display order.
+ * @param {Object} values - The submitted values.
+ * @param {Object} options - `translate` and `locale`.
+ * @returns {string} HTML.
+ */
+const renderFields = (fields, values, options) => {
+  let rows = '';
+  let html = '';
+  const flushRows = () => {
+    if (rows) {
+      html += `<table>${rows}</table>`;
+      rows = '';
+    }
+  };
+
+  fields
+    .filter((field) => Object.prototype.hasOwnProperty.call(values, field.id))
+    .forEach((field) => {
+      const value = values[field.id];
+      if (field.type !== 'repeat') {
+        rows += `<tr><th>${escapeHTML(field.label)}</th><td>${renderAnswer(field, value, options)}</td></tr>`;
+        return;
+      }
+      flushRows();
+      const entries = Array.isArray(value) ? value : [];
+      html += `<h3>${escapeHTML(field.label)}</h3>`;
+      if (entries.length === 0) {
+        html += '<p class="empty">—</p>';
+      }
+      entries.forEach((entry, index) => {
+        const title = options.translate('entryTitle', { label: field.label, number: index + 1 });
+        html += `<div class="entry"><p class="entry-title">${escapeHTML(title)}</p>`
+          + `${renderFields(field.fields, entry || {}, options)}</div>`;
+      });
+    });
+
+  flushRows();
+  return html;
+};
+
+/**
+ * @function renderItems
+ * @description Renders the fields and titled sections of a page. Sections without an answered field are left out.
+ *
+ * @param {Array<Object>} items - Layout items of a page or section (see `LayoutItem` in ./formDefinition).
+ * @param {Object} values - The submitted values.
+ * @param {Object} options - `translate` and `locale`.
+ * @returns {string} HTML.
+ */
+const renderItems = (items, values, options) => {
+  let html = '';
+  let fields = [];
+  items.forEach((item) => {
+    if (item.kind === 'field') {
+      fields.push(item.field);
+      return;
+    }
+    html += renderFields(fields, values, options);
+    fields = [];
+    const content = renderFields(getLayoutFields(item.items), values, options);
+    if (content) {
+      html += `${item.title ? `<h3>${escapeHTML(item.title)}</h3>` : ''}${content}`;
+    }
+  });
+  return html + renderFields(fields, values, options);
+};
+
+/**
+ * @function buildReportHTML
+ * @description Builds the HTML report of a submitted form.
+ *
+ * @param {Object} definition - The form definition (see `FormDefinition` in ./formDefinition), localized into the
+ * language of the report (see `localizeDefinition`).
+ * @param {Object} values - The submitted values (see `getSubmittedValues` in ./formDefinition), as `XMLForm`'s
+ * `onSubmit` receives them or as they were sent in a JSON payload.
+ * @param {Object} [options]
+ * @param {function} [options.translate=defaultTranslate] - Translates the report's own texts (see ./i18n).
+ * @param {string} [options.locale] - The locale dates are shown in.
+ * @param {string} [options.language] - The language of the report, which sets its text direction.
+ * @param {Date} [options.generatedAt=new Date()] - The time printed on the report.
+ * @returns {string} A complete HTML document.
+ */
+export const buildReportHTML = (definition, values, {
+  translate = defaultTranslate,
+  locale,
+  language = definition.language,
+  generatedAt = new Date(),
+} = {}) => {
+  const options = { translate, locale };
+  const title = definition.title || translate('untitledForm');
+
+  const body = definition.pages.map((page) => {
+    const content = renderItems(page.items, values, options);
+    return definition.paged && page.title && content ? `<h2>${escapeHTML(page.title)}</h2>${content}` : content;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHTML(language)}" dir="${isRTLLanguage(language) ? 'rtl' : 'ltr'}">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapeHTML(title)}</title>
+<style>${REPORT_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<p class="generated">${escapeHTML(translate('reportGenerated', { date: generatedAt.toLocaleString(locale) }))}</p>
+${body}
+</body>
+</html>
+`;
+};
@@ -0,0 +1,301 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { parseFormXML } from './formDefinition';
+import { submitFormValues, isRetryableError } from './formSubmission';
+import { deleteStoredImages } from './imageCapture';
+
+/**
+ * @module formStorage
+ * @description Persists half-filled forms as drafts and keeps finished submissions that could not be sent
+ * in an outbox, so that nothing is lost when the app is closed or the device is offline.
+ *
+ * Drafts and outbox entries store the XML of their form next to the values, so they can be reopened
+ * or sent without the original file. The photos in their values are deleted from the device once the draft is
+ * discarded, or the submission sent or discarded (see `deleteStoredImages` in ./imageCapture).
+ *
+ * @uses @react-native-async-storage/async-storage
+ * @uses ./imageCapture
+ */
+
+const DRAFT_KEY_PREFIX = 'xmlform:draft:';
+const OUTBOX_KEY = 'xmlform:outbox';
+const FAILED_KEY = 'xmlform:failed';
+const LANGUAGE_KEY = 'xmlform:language';
+
+/**
+ * @typedef {Object} Draft
+ * @property {string} formKey - Key of the form (see `getFormKey`).
+ * @property {string|null} title - Title of the form, shown in the drafts list.
+ * @property {string} xml - The XML source of the form.
+ * @property {Object} values - The Formik values when the draft was saved.
+ * @property {number} page - Index of the wizard page the user was on.
+ * @property {string} updatedAt - When the draft was last saved, as an ISO 8601 instant.
+ */
+
+/**
+ * @typedef {Object} OutboxEntry
+ * @property {string} id - Unique id of the entry.
+ * @property {string} formKey - Key of the form (see `getFormKey`).
+ * @property {string|null} title - Title of the form.
+ * @property {string} xml - The XML source of the form, parsed again to find the submit target.
+ * @property {Object} values - The values to submit (hidden fields already left out).
+ * @property {string} createdAt - When the form was submitted, as an ISO 8601 instant.
+ * @property {number} attempts - How many times sending was retried from the outbox.
+ * @property {string|null} lastError - Message of the last failed attempt.
+ * @property {string} [failedAt] - For failed submissions (see `readFailedSubmissions`), when the entry was
+ * given up on, as an ISO 8601 instant.
+ */
+
+/**
+ * @function hashString
+ * @description djb2 hash of a string, in base 36.
+ * @param {string} text
+ * @returns {string}
+ */
+const hashString = (text) => {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+};
+
+/**
+ * @function getFormKey
+ * @description Key under which the drafts of a form are stored: the `id` of the `<form>` element,
+ * or a hash of the XML for forms without one.
+ *
+ * @param {Object} definition - The parsed form definition.
+ * @param {string} xml - The XML source of the form.
+ * @returns {string}
+ */
+export const getFormKey = (definition, xml) => definition.id || `xml-${hashString(xml)}`;
+
+/**
+ * @function saveDraft
+ * @description Saves (or replaces) the draft of a form.
+ * @param {Object} draft - The draft, without `updatedAt`.
+ * @returns {Promise<void>}
+ */
+export const saveDraft = async ({ formKey, title, xml, values, page }) => {
+  const draft = { formKey, title, xml, values, page, updatedAt: new Date().toISOString() };
+  await AsyncStorage.setItem(DRAFT_KEY_PREFIX + formKey, JSON.stringify(draft));
+};
+
+/**
+ * @function loadDraft
+ * @description Reads the draft of a form.
+ * @param {string} formKey - Key of the form.
+ * @returns {Promise<Draft|null>} The draft, or `null` when the form has none.
+ */
+export const loadDraft = async (formKey) => {
+  const stored = await AsyncStorage.getItem(DRAFT_KEY_PREFIX + formKey);
+  return stored ? JSON.parse(stored) : null;
+};
+
+/**
+ * @function listDrafts
+ * @description Reads every saved draft, most recently saved first. Drafts that cannot be read are left out,
+ * so that one corrupt draft does not hide the others.
+ * @returns {Promise<Array<Draft>>}
+ */
+export const listDrafts = async () => {
+  const keys = (await AsyncStorage.getAllKeys()).filter((key) => key.startsWith(DRAFT_KEY_PREFIX));
+  const entries = await AsyncStorage.multiGet(keys);
+  return entries
+    .flatMap(([key, stored]) => {
+      try {
+        const draft = stored ? JSON.parse(stored) : null;
+        return draft && typeof draft.updatedAt === 'string' ? [draft] : [];
+      } catch (error) {
+        console.error(`Error reading the draft ${key}:`, error);
+        return [];
+      }
+    })
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+/**
+ * @function deleteDraft
+ * @description Removes the draft of a form, if any, and deletes the photos in its values.
+ * @param {string} formKey - Key of the form.
+ * @param {Object} [options]
+ * @param {boolean} [options.keepImages=false] - Whether to keep the photos, e.g. because the values were moved
+ * to the outbox or a report of them is still to be shared.
+ * @returns {Promise<void>}
+ */
+export const deleteDraft = async (formKey, { keepImages = false } = {}) => {
+  const draft = keepImages ? null : await loadDraft(formKey);
+  await AsyncStorage.removeItem(DRAFT_KEY_PREFIX + formKey);
+  if (draft) {
+    await deleteStoredImages(draft.values);
+  }
+};
+
+/**
+ * @function loadLanguagePreference
+ * @description Reads the language the user picked in the app, overriding the device language.
+ * @returns {Promise<string|null>} The language tag, or `null` to follow the device language.
+ */
+export const loadLanguagePreference = () => AsyncStorage.getItem(LANGUAGE_KEY);
+
+/**
+ * @function saveLanguagePreference
+ * @description Stores the language the user picked, or clears it to follow the device language again.
+ * @param {string|null} language - The language tag, or `null`.
+ * @returns {Promise<void>}
+ */
+export const saveLanguagePreference = (language) =>
+  (language ? AsyncStorage.setItem(LANGUAGE_KEY, language) : AsyncStorage.removeItem(LANGUAGE_KEY));
+
+/**
+ * @function readOutbox
+ * @description Reads the pending submissions, oldest first.
+ * @returns {Promise<Array<OutboxEntry>>}
+ */
+export const readOutbox = async () => {
+  const stored = await AsyncStorage.getItem(OUTBOX_KEY);
+  return stored ? JSON.parse(stored) : [];
+};
+
+const writeOutbox = (entries) => AsyncStorage.setItem(OUTBOX_KEY, JSON.stringify(entries));
+
+// The last change to the outbox or the failed submissions; each change reads and writes them after it is done
+let storedQueueChange = Promise.resolve();
+
+/**
+ * @function changeStoredQueues
+ * @description Runs a read-modify-write of the outbox and the failed submissions once the changes started before
+ * it are done, so that none of them overwrites another, e.g. a submission enqueued while the outbox is flushed.
+ *
+ * @param {function(): Promise<*>} change - Reads, changes and writes the stored entries.
+ * @returns {Promise<*>} What the change returns.
+ */
+const changeStoredQueues = (change) => {
+  const result = storedQueueChange.then(change);
+  storedQueueChange = result.catch(() => {});
+  return result;
+};
+
+/**
+ * @function readFailedSubmissions
+ * @description Reads the submissions that will never be sent as they are: those the server rejected
+ * (see `isRetryableError` in ./formSubmission) and those whose form can no longer be read. They are kept,
+ * with the error in `lastError`, so the user can see what was not sent, until discarded.
+ * @returns {Promise<Array<OutboxEntry>>} The failed submissions, oldest first.
+ */
+export const readFailedSubmissions = async () => {
+  const stored = await AsyncStorage.getItem(FAILED_KEY);
+  return stored ? JSON.parse(stored) : [];
+};
+
+/**
+ * @function deleteFailedSubmission
+ * @description Removes a failed submission once the user has dealt with it, and deletes the photos in its values.
+ * @param {string} id - Id of the entry.
+ * @returns {Promise<void>}
+ */
+export const deleteFailedSubmission = async (id) => {
+  const entries = await changeStoredQueues(async () => {
+    const stored = await readFailedSubmissions();
+    await AsyncStorage.setItem(FAILED_KEY, JSON.stringify(stored.filter((entry) => entry.id !== id)));
+    return stored;
+  });
+  await deleteStoredImages(entries.filter((entry) => entry.id === id).map((entry) => entry.values));
+};
+
+/**
+ * @function enqueueSubmission
+ * @description Adds a submission to the outbox, to be sent by a later `flushOutbox`.
+ *
+ * @param {Object} submission
+ * @param {string} submission.formKey - Key of the form.
+ * @param {string|null} submission.title - Title of the form.
+ * @param {string} submission.xml - The XML source of the form.
+ * @param {Object} submission.values - The values to submit (hidden fields already left out).
+ * @param {string|null} [submission.lastError] - Why the submission could not be sent right away.
+ * @returns {Promise<OutboxEntry>} The stored entry.
+ */
+export const enqueueSubmission = async ({ formKey, title, xml, values, lastError = null }) => {
+  const entry = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    formKey,
+    title,
+    xml,
+    values,
+    createdAt: new Date().toISOString(),
+    attempts: 0,
+    lastError,
+  };
+  await changeStoredQueues(async () => writeOutbox([...(await readOutbox()), entry]));
+  return entry;
+};
+
+// The flush in progress, shared by concurrent callers so that no entry is sent twice
+let activeFlush = null;
+
+/**
+ * @function flushOutbox
+ * @description Tries to send every pending submission, in the order they were made.
+ * Sent entries are removed from the outbox, with their photos, and failures worth retrying (see `isRetryableError` in ./formSubmission)
+ * stay with their attempt count and error updated. Entries the server rejected, or whose form can no longer be
+ * read, would fail the same way every time, so they are moved to the failed submissions (see `readFailedSubmissions`).
+ * Calls made while a flush is running wait for that flush instead of starting another.
+ *
+ * @param {Object} [options]
+ * @param {function} [options.handler] - Submit handler of the host app, passed to `submitFormValues`.
+ * @returns {Promise<{sent: number, pending: number, failed: number}>} How many entries were sent, how many remain,
+ * and how many were moved to the failed submissions.
+ */
+export const flushOutbox = ({ handler } = {}) => {
+  if (!activeFlush) {
+    activeFlush = sendOutboxEntries(handler).finally(() => {
+      activeFlush = null;
+    });
+  }
+  return activeFlush;
+};
+
+const sendOutboxEntries = async (handler) => {
+  const entries = await readOutbox();
+  const sentIds = new Set();
+  const failures = new Map();
+  const rejections = new Map();
+
+  for (const entry of entries) {
+    const { definition, errors } = await parseFormXML(entry.xml);
+    if (errors.length > 0) {
+      rejections.set(entry.id, errors[0].message);
+      continue;
+    }
+    try {
+      await submitFormValues(definition, entry.values, { handler });
+      sentIds.add(entry.id);
+    } catch (error) {
+      (isRetryableError(error) ? failures : rejections).set(entry.id, error.message);
+    }
+  }
+
+  // Re-reading so that entries enqueued while sending are kept
+  const { pending, failed } = await changeStoredQueues(async () => {
+    const stored = await readOutbox();
+    const failedAt = new Date().toISOString();
+    const rejected = stored
+      .filter((entry) => rejections.has(entry.id))
+      .map((entry) => ({ ...entry, attempts: entry.attempts + 1, lastError: rejections.get(entry.id), failedAt }));
+    const remaining = stored
+      .filter((entry) => !sentIds.has(entry.id) && !rejections.has(entry.id))
+      .map((entry) => (failures.has(entry.id)
+        ? { ...entry, attempts: entry.attempts + 1, lastError: failures.get(entry.id) }
+        : entry));
+
+    // Storing the failed entries first, so that none is lost if writing the outbox fails
+    if (rejected.length > 0) {
+      await AsyncStorage.setItem(FAILED_KEY, JSON.stringify([...(await readFailedSubmissions()), ...rejected]));
+    }
+    await writeOutbox(remaining);
+    return { pending: remaining.length, failed: rejected.length };
+  });
+  await deleteStoredImages(entries.filter((entry) => sentIds.has(entry.id)).map((entry) => entry.values));
+
+  return { sent: sentIds.size, pending, failed };
+};
@@ -0,0 +1,251 @@
+import * as FileSystem from 'expo-file-system';
+import { isImageValue } from './imageCapture';
+
+/**
+ * @module formSubmission
+ * @description Sends submitted form values to the target declared in the form definition
+ * (see `SubmitTarget` in ./formDefinition), or to a submit handler supplied by the host app.
+ *
+ * @uses expo-file-system
+ * @uses ./imageCapture
+ */
+
+/**
+ * @class SubmissionError
+ * @description Error raised when a submission does not succeed. Submit handlers of the host app throw one with
+ * `retryable: false` (or a 4xx `status`) to reject the values for good, rather than have them retried from the outbox.
+ * @property {number|null} status - The HTTP status of the response, or `null` when no response was received.
+ * @property {boolean} retryable - Whether sending the values again later may succeed. By default: no response was
+ * received (offline, timeout, or a failing submit handler), the request timed out on the server (408), was rate
+ * limited (429) or hit a server error (5xx). Other 4xx responses are rejections of the values themselves.
+ */
+export class SubmissionError extends Error {
+  constructor(message, status = null, { retryable } = {}) {
+    super(message);
+    this.name = 'SubmissionError';
+    this.status = status;
+    this.retryable = retryable ?? (status === null || status === 408 || status === 429 || status >= 500);
+  }
+}
+
+/**
+ * @function isRetryableError
+ * @description Whether a failed submission may succeed if sent again later (see `SubmissionError`).
+ * Errors other than `SubmissionError`s are taken to be retryable.
+ *
+ * @param {Error} error - The error thrown by `submitFormValues`.
+ * @returns {boolean}
+ */
+export const isRetryableError = (error) => !(error instanceof SubmissionError) || error.retryable;
+
+/**
+ * @constant {RegExp} PNG_DATA_URL
+ * @description Matches PNG data URLs, as produced by drawing fields.
+ */
+const PNG_DATA_URL = /^data:image\/png;base64,(.+)$/;
+
+/**
+ * @constant {RegExp} SVG_DOCUMENT
+ * @description Matches SVG documents, as produced by drawing fields with `output="svg"`.
+ */
+const SVG_DOCUMENT = /^<svg[\s>]/;
+
+/**
+ * @function writeFilePart
+ * @description Writes drawing data to the cache directory so it can be attached as a multipart file.
+ * React Native only uploads file parts from a file URI.
+ *
+ * @param {string} fieldId - The part name of the drawing, used in the file name.
+ * @param {string} contents - The file contents: base64 PNG data, or SVG text.
+ * @param {string} type - `image/png` or `image/svg+xml`.
+ * @returns {Promise<Object>} The file part (`uri`, `name` and `type`).
+ */
+const writeFilePart = async (fieldId, contents, type) => {
+  const png = type === 'image/png';
+  const name = `${fieldId}.${png ? 'png' : 'svg'}`;
+  const uri = `${FileSystem.cacheDirectory}submission-${Date.now()}-${name}`;
+  await FileSystem.writeAsStringAsync(uri, contents, {
+    encoding: png ? FileSystem.EncodingType.Base64 : FileSystem.EncodingType.UTF8,
+  });
+  return { uri, name, type };
+};
+
+/**
+ * @function embedImage
+ * @description Reads an image of an `image` field into a JSON-friendly object with a base64 data URL.
+ * @param {Object} image - The image (see `ImageValue` in ./imageCapture).
+ * @returns {Promise<Object>} `fileName`, `mimeType`, `width`, `height` and `data`.
+ */
+const embedImage = async ({ uri, fileName, mimeType, width, height }) => {
+  const base64 = await FileSystem.readAsStringAsync(uri, { encoding: FileSystem.EncodingType.Base64 });
+  return { fileName, mimeType, width, height, data: `data:${mimeType};base64,${base64}` };
+};
+
+/**
+ * @function isEntry
+ * @description Whether an array item is an entry of a `<repeat>` group (a plain object of values)
+ * rather than an image or an option value.
+ * @param {*} item
+ * @returns {boolean}
+ */
+const isEntry = (item) => Boolean(item) && typeof item === 'object' && !Array.isArray(item) && !isImageValue(item);
+
+/**
+ * @function encodeJSONValues
+ * @description Prepares values for a JSON payload: images are embedded as base64 data URLs,
+ * including those in the entries of `<repeat>` groups.
+ * @param {Object} values - The values to send.
+ * @returns {Promise<Object>}
+ */
+const encodeJSONValues = async (values) => {
+  const encoded = {};
+  for (const [id, value] of Object.entries(values)) {
+    if (Array.isArray(value) && value.some(isImageValue)) {
+      encoded[id] = await Promise.all(value.map(embedImage));
+    } else if (Array.isArray(value) && value.some(isEntry)) {
+      encoded[id] = await Promise.all(value.map((entry) => (isEntry(entry) ? encodeJSONValues(entry) : entry)));
+    } else {
+      encoded[id] = value;
+    }
+  }
+  return encoded;
+};
+
+/**
+ * @function appendPart
+ * @description Appends a value to a multipart body. The values of a `<repeat>` entry are sent
+ * under bracketed names, such as `items[0][name]`.
+ * @param {FormData} body - The multipart body.
+ * @param {string} name - The part name.
+ * @param {*} value - The value.
+ * @returns {Promise<void>}
+ */
+const appendPart = async (body, name, value) => {
+  const png = typeof value === 'string' ? value.match(PNG_DATA_URL) : null;
+  if (png) {
+    body.append(name, await writeFilePart(name, png[1], 'image/png'));
+  } else if (typeof value === 'string' && SVG_DOCUMENT.test(value)) {
+    body.append(name, await writeFilePart(name, value, 'image/svg+xml'));
+  } else if (Array.isArray(value)) {
+    for (const [index, item] of value.entries()) {
+      if (isEntry(item)) {
+        for (const [id, entryValue] of Object.entries(item)) {
+          await appendPart(body, `${name}[${index}][${id}]`, entryValue);
+        }
+      } else {
+        body.append(
+          name,
+          isImageValue(item) ? { uri: item.uri, name: item.fileName, type: item.mimeType } : String(item)
+        );
+      }
+    }
+  } else if (value && typeof value === 'object') {
+    body.append(name, JSON.stringify(value));
+  } else {
+    body.append(name, value === null || value === undefined ? '' : String(value));
+  }
+};
+
+/**
+ * @function buildRequestBody
+ * @description Encodes the values in the target's payload format.
+ * - `json`: a JSON object of the values; images are embedded as base64 data URLs.
+ * - `multipart`: one part per value; arrays repeat their key, images, PNG data URLs and SVG documents become
+ *   file parts, and other objects (such as stroke data) are sent as JSON text. Entries of `<repeat>` groups
+ *   are sent field by field under bracketed names (see `appendPart`).
+ *
+ * @param {Object} target - The submit target.
+ * @param {Object} values - The values to send.
+ * @returns {Promise<{body: string|FormData, headers: Object}>}
+ */
+const buildRequestBody = async (target, values) => {
+  if (target.format === 'json') {
+    return {
+      body: JSON.stringify(await encodeJSONValues(values)),
+      headers: { 'Content-Type': 'application/json' },
+    };
+  }
+
+  const body = new FormData();
+  for (const [id, value] of Object.entries(values)) {
+    await appendPart(body, id, value);
+  }
+
+  // The multipart boundary is added by fetch, so no Content-Type is set here
+  return { body, headers: {} };
+};
+
+/**
+ * @function sendToTarget
+ * @description Sends the values to an HTTP submit target. Any 2xx response counts as success.
+ *
+ * @param {Object} target - The submit target.
+ * @param {Object} values - The values to send.
+ * @returns {Promise<Response>} The HTTP response.
+ * @throws {SubmissionError} On a network error, a timeout or a non-2xx response, and when the values cannot be
+ * encoded (not retryable).
+ */
+const sendToTarget = async (target, values) => {
+  let request;
+  try {
+    request = await buildRequestBody(target, values);
+  } catch (error) {
+    // Such as a photo that was deleted from the device: sending again would fail the same way
+    throw new SubmissionError(`Could not prepare the values to send: ${error.message}`, null, { retryable: false });
+  }
+  const { body, headers } = request;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), target.timeout);
+
+  let response;
+  try {
+    response = await fetch(target.url, {
+      method: target.method,
+      headers: { Accept: 'application/json', ...headers, ...target.headers },
+      body,
+      signal: controller.signal,
+    });
+  } catch (error) {
+    throw new SubmissionError(
+      error.name === 'AbortError'
+        ? `The server did not respond within ${target.timeout / 1000} seconds`
+        : `Could not reach the server: ${error.message}`
+    );
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!response.ok) {
+    throw new SubmissionError(`The server rejected the submission (HTTP ${response.status})`, response.status);
+  }
+  return response;
+};
+
+/**
+ * @function submitFormValues
+ * @description Submits form values. A `handler` supplied by the host app takes precedence over the
+ * target declared in the XML.
+ *
+ * @param {Object} definition - The parsed form definition.
+ * @param {Object} values - The values to submit (hidden fields already left out).
+ * @param {Object} [options]
+ * @param {function} [options.handler] - `async (values, definition) => void`. Errors it throws are rethrown as
+ * `SubmissionError`s, retryable unless the handler threw a `SubmissionError` that is not.
+ * @returns {Promise<void>}
+ * @throws {SubmissionError} When the submission fails, or when the form has neither handler nor target.
+ */
+export const submitFormValues = async (definition, values, { handler } = {}) => {
+  if (handler) {
+    try {
+      await handler(values, definition);
+    } catch (error) {
+      throw error instanceof SubmissionError ? error : new SubmissionError(error.message);
+    }
+    return;
+  }
+
+  if (!definition.submit) {
+    throw new SubmissionError('This form has no submit target');
+  }
+  await sendToTarget(definition.submit, values);
+};
@@ -0,0 +1,463 @@
+/**
+ * @module i18n
+ * @description Built-in interface and validation messages, language matching and right-to-left detection.
+ *
+ * Messages are looked up by key in message catalogues (`{ [language]: { [key]: text } }`). Texts may contain
+ * `{name}` placeholders, and a key with a `_one` variant uses it when the `count` placeholder is 1.
+ * Lookups fall back from the language (`es-MX`) to its base language (`es`) and then to English, so a
+ * catalogue only needs the keys it changes.
+ */
+
+/**
+ * @constant {string} DEFAULT_LANGUAGE
+ * @description Language of the built-in messages, used when no better match is available.
+ */
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * @constant {Array<string>} RTL_LANGUAGES
+ * @description Base languages written right to left.
+ */
+export const RTL_LANGUAGES = ['ar', 'he', 'iw', 'fa', 'ur', 'ps', 'yi'];
+
+/**
+ * @constant {Object<string, string>} LANGUAGE_NAMES
+ * @description Names of common languages in the language itself, for the language picker.
+ * Other languages are shown by their code.
+ */
+export const LANGUAGE_NAMES = {
+  ar: 'العربية',
+  de: 'Deutsch',
+  en: 'English',
+  es: 'Español',
+  fa: 'فارسی',
+  fr: 'Français',
+  he: 'עברית',
+  hi: 'हिन्दी',
+  it: 'Italiano',
+  nl: 'Nederlands',
+  pl: 'Polski',
+  pt: 'Português',
+  ru: 'Русский',
+  tr: 'Türkçe',
+  uk: 'Українська',
+  ur: 'اردو',
+  vi: 'Tiếng Việt',
+  zh: '中文',
+};
+
+/**
+ * @constant {Object<string, Object<string, string>>} MESSAGES
+ * @description The built-in message catalogue. Every key the renderer uses has an English text;
+ * other languages may leave keys out.
+ */
+export const MESSAGES = {
+  en: {
+    // Home screen
+    appTitle: 'XML Form Renderer',
+    loadFromFile: 'Render Form from XML File',
+    loadFromInput: 'Render Form from XML Input',
+    problemsFound: '{count} problems found',
+    outboxWaiting_one: '{count} submission waiting to be sent',
+    outboxWaiting: '{count} submissions waiting to be sent',
+    sendNow: 'Send now',
+    drafts: 'Drafts',
+    draft: 'Draft',
+    untitledForm: 'Untitled form',
+    savedAt: 'Saved {date}',
+    discard: 'Discard',
+    discardDraftTitle: 'Discard Draft?',
+    discardDraftMessage: 'The answers saved in this draft will be lost.',
+    draftNotDeletedTitle: 'Draft Not Deleted',
+    failedSubmissions: 'Not sent',
+    failedAt: 'Failed {date}: {error}',
+    discardFailedTitle: 'Discard Submission?',
+    discardFailedMessage: 'These answers were not sent and will be lost.',
+    failedNotDiscardedTitle: 'Submission Not Discarded',
+    language: 'Language',
+    deviceLanguage: 'Device language',
+    outboxTitle: 'Outbox',
+    outboxPartlySent: '{sent} sent, {pending} still waiting. They will be retried automatically.',
+    outboxSent: '{sent} sent. The outbox is empty.',
+    outboxNotSentTitle: 'Outbox Not Sent',
+    outboxRejected_one: '{count} submission was rejected and moved to "Not sent".',
+    outboxRejected: '{count} submissions were rejected and moved to "Not sent".',
+    resumeDraftTitle: 'Resume Draft?',
+    resumeDraftMessage: 'You have unsent answers for this form, saved {date}.',
+    startOver: 'Start Over',
+    resume: 'Resume',
+
+    // Form screen
+    customFormTitle: 'Custom XML Form',
+    fileFormTitle: 'XML File Form',
+    xmlPlaceholder: 'Enter XML or JSON here...',
+    parseXML: 'Parse Custom XML',
+    submit: 'Submit',
+    submitting: 'Submitting…',
+    next: 'Next',
+    back: 'Back',
+    close: 'Close',
+    pageProgress: 'Step {page} of {pages}',
+    addEntry: '+ Add {label}',
+    removeEntry: 'Remove',
+    entryTitle: '{label} {number}',
+    yes: 'Yes',
+    no: 'No',
+
+    // Submission
+    formSubmittedTitle: 'Form Submitted',
+    submittedMessage: 'Your answers were sent successfully.',
+    savedToOutboxTitle: 'Saved to Outbox',
+    offlineMessage: 'You are offline. Your answers will be sent automatically when you are back online.',
+    queuedMessage: '{error}. Your answers were saved and will be sent again automatically.',
+    submissionFailedTitle: 'Submission Failed',
+    backToForm: 'Back to Form',
+    retry: 'Retry',
+    retryNow: 'Retry Now',
+    ok: 'OK',
+    cancel: 'Cancel',
+
+    // Reports
+    shareReport: 'Share Report',
+    reportGenerated: 'Generated {date}',
+    reportNotSharedTitle: 'Report Not Shared',
+
+    // Field inputs
+    selectOption: 'Select an option',
+    none: 'None',
+    selectDate: 'Select date',
+    selectTime: 'Select time',
+    selectDatetime: 'Select date and time',
+    clear: 'Clear',
+    done: 'Done',
+    openDrawing: 'Open Drawing Canvas',
+    edit: 'Edit',
+    review: 'Review',
+    resign: 'Re-sign',
+    eraser: 'Eraser',
+    undo: 'Undo',
+    redo: 'Redo',
+    save: 'Save',
+    error: 'Error',
+    drawingSaveFailed: 'Could not save drawing',
+    backgroundNotLoadedTitle: 'Background Not Loaded',
+    backgroundNotLoadedMessage: '{error}. You can still draw on a blank canvas.',
+    takePhoto: 'Take Photo',
+    chooseFromLibrary: 'Choose from Library',
+    imageCount: '{count} of {max} images',
+    imageNotAdded: 'Image Not Added',
+    imagesNotAdded: '{count} Images Not Added',
+    cameraAccessNeeded: 'Camera access is needed to take a photo. You can allow it in the device settings.',
+    libraryAccessNeeded: 'Photo library access is needed to choose an image. You can allow it in the device settings.',
+    imageTooLarge: 'The image is {size} KB after compression; the limit is {limit} KB',
+    typeInstead: 'Type Instead',
+    drawInstead: 'Draw Instead',
+    typedSignaturePlaceholder: 'Type your full name',
+
+    // Screen readers
+    requiredField: '{label}, required',
+    fieldsNeedAttention_one: '{count} field needs attention. {error}',
+    fieldsNeedAttention: '{count} fields need attention. First: {error}',
+    clearField: 'Clear {label}',
+    closeOptions: 'Close options',
+    drawingCanvas: 'Drawing area',
+    drawingCanvasHint: 'Draw with one finger, or choose Type Instead to type your signature',
+    drawingOf: 'Drawing of {label}',
+    typedSignatureOf: 'Signature of {label}, typed as {name}',
+    penColor: 'Pen colour {color}',
+    black: 'black',
+    blue: 'blue',
+    red: 'red',
+    green: 'green',
+    penWidth: 'Pen width {width}',
+    photoOf: '{label}, photo {number} of {count}',
+    removePhoto: 'Remove photo {number}',
+    movePhotoEarlier: 'Move photo {number} earlier',
+    movePhotoLater: 'Move photo {number} later',
+    removeEntryOf: 'Remove {entry}',
+    discardDraftOf: 'Discard the draft of {title}',
+    discardFailedOf: 'Discard the unsent answers of {title}',
+
+    // Validation
+    required: '{label} is required',
+    invalidDate: '{label} must be a valid date',
+    invalidTime: '{label} must be a valid time',
+    invalidDatetime: '{label} must be a valid date and time',
+    tooEarly: '{label} must not be earlier than {bound}',
+    tooLate: '{label} must not be later than {bound}',
+    notANumber: '{label} must be a number',
+    tooSmall: '{label} must be at least {min}',
+    tooLarge: '{label} must be at most {max}',
+    step: '{label} must be in steps of {step}',
+    stepFrom: '{label} must be in steps of {step} from {base}',
+    tooFewCharacters: '{label} must have at least {length} characters',
+    tooManyCharacters: '{label} must have at most {length} characters',
+    tooFewOptions: '{label} must have at least {length} options',
+    tooManyOptions: '{label} must have at most {length} options',
+    patternMismatch: '{label} is not in the expected format',
+    invalidEmail: '{label} must be a valid email address',
+    invalidPhone: '{label} must be a valid phone number',
+    phoneDigits: '{label} must contain between 7 and 15 digits',
+    tooManyImages: '{label} can have at most {max} images',
+    tooFewEntries_one: '{label} needs at least {count} entry',
+    tooFewEntries: '{label} needs at least {count} entries',
+    tooManyEntries_one: '{label} can have at most {count} entry',
+    tooManyEntries: '{label} can have at most {count} entries',
+  },
+  es: {
+    appTitle: 'Formularios XML',
+    loadFromFile: 'Abrir formulario desde un archivo XML',
+    loadFromInput: 'Abrir formulario desde texto XML',
+    problemsFound: 'Se encontraron {count} problemas',
+    outboxWaiting_one: '{count} envío pendiente',
+    outboxWaiting: '{count} envíos pendientes',
+    sendNow: 'Enviar ahora',
+    drafts: 'Borradores',
+    draft: 'Borrador',
+    untitledForm: 'Formulario sin título',
+    savedAt: 'Guardado el {date}',
+    discard: 'Descartar',
+    discardDraftTitle: '¿Descartar el borrador?',
+    discardDraftMessage: 'Se perderán las respuestas guardadas en este borrador.',
+    draftNotDeletedTitle: 'No se eliminó el borrador',
+    failedSubmissions: 'No enviados',
+    failedAt: 'Falló el {date}: {error}',
+    discardFailedTitle: '¿Descartar el envío?',
+    discardFailedMessage: 'Estas respuestas no se enviaron y se perderán.',
+    failedNotDiscardedTitle: 'No se descartó el envío',
+    language: 'Idioma',
+    deviceLanguage: 'Idioma del dispositivo',
+    outboxTitle: 'Bandeja de salida',
+    outboxPartlySent: '{sent} enviados, {pending} pendientes. Se reintentarán automáticamente.',
+    outboxSent: '{sent} enviados. La bandeja de salida está vacía.',
+    outboxNotSentTitle: 'No se envió la bandeja de salida',
+    outboxRejected_one: '{count} envío fue rechazado y se movió a «No enviados».',
+    outboxRejected: '{count} envíos fueron rechazados y se movieron a «No enviados».',
+    resumeDraftTitle: '¿Continuar el borrador?',
+    resumeDraftMessage: 'Tiene respuestas sin enviar para este formulario, guardadas el {date}.',
+    startOver: 'Empezar de nuevo',
+    resume: 'Continuar',
+
+    customFormTitle: 'Formulario XML personalizado',
+    fileFormTitle: 'Formulario de archivo XML',
+    xmlPlaceholder: 'Escriba el XML o JSON aquí...',
+    parseXML: 'Procesar XML',
+    submit: 'Enviar',
+    submitting: 'Enviando…',
+    next: 'Siguiente',
+    back: 'Atrás',
+    close: 'Cerrar',
+    pageProgress: 'Paso {page} de {pages}',
+    addEntry: '+ Añadir {label}',
+    removeEntry: 'Quitar',
+    entryTitle: '{label} {number}',
+    yes: 'Sí',
+    no: 'No',
+
+    formSubmittedTitle: 'Formulario enviado',
+    submittedMessage: 'Sus respuestas se enviaron correctamente.',
+    savedToOutboxTitle: 'Guardado en la bandeja de salida',
+    offlineMessage: 'No hay conexión. Sus respuestas se enviarán automáticamente cuando vuelva a estar en línea.',
+    queuedMessage: '{error}. Sus respuestas se guardaron y se volverán a enviar automáticamente.',
+    submissionFailedTitle: 'Error al enviar',
+    backToForm: 'Volver al formulario',
+    retry: 'Reintentar',
+    retryNow: 'Reintentar ahora',
+    ok: 'Aceptar',
+    cancel: 'Cancelar',
+
+    shareReport: 'Compartir informe',
+    reportGenerated: 'Generado el {date}',
+    reportNotSharedTitle: 'No se compartió el informe',
+
+    selectOption: 'Seleccione una opción',
+    none: 'Ninguna',
+    selectDate: 'Seleccione la fecha',
+    selectTime: 'Seleccione la hora',
+    selectDatetime: 'Seleccione la fecha y la hora',
+    clear: 'Borrar',
+    done: 'Listo',
+    openDrawing: 'Abrir lienzo de dibujo',
+    edit: 'Editar',
+    review: 'Revisar',
+    resign: 'Volver a firmar',
+    eraser: 'Borrador',
+    undo: 'Deshacer',
+    redo: 'Rehacer',
+    save: 'Guardar',
+    error: 'Error',
+    drawingSaveFailed: 'No se pudo guardar el dibujo',
+    backgroundNotLoadedTitle: 'No se cargó el fondo',
+    backgroundNotLoadedMessage: '{error}. Puede dibujar sobre un lienzo en blanco.',
+    takePhoto: 'Tomar foto',
+    chooseFromLibrary: 'Elegir de la galería',
+    imageCount: '{count} de {max} imágenes',
+    imageNotAdded: 'No se añadió la imagen',
+    imagesNotAdded: 'No se añadieron {count} imágenes',
+    cameraAccessNeeded: 'Se necesita acceso a la cámara para tomar una foto. Puede permitirlo en los ajustes del dispositivo.',
+    libraryAccessNeeded: 'Se necesita acceso a la galería para elegir una imagen. Puede permitirlo en los ajustes del dispositivo.',
+    imageTooLarge: 'La imagen ocupa {size} KB después de comprimirla; el límite es {limit} KB',
+    typeInstead: 'Escribir en su lugar',
+    drawInstead: 'Dibujar en su lugar',
+    typedSignaturePlaceholder: 'Escriba su nombre completo',
+
+    requiredField: '{label}, obligatorio',
+    fieldsNeedAttention_one: '{count} campo necesita atención. {error}',
+    fieldsNeedAttention: '{count} campos necesitan atención. El primero: {error}',
+    clearField: 'Borrar {label}',
+    closeOptions: 'Cerrar las opciones',
+    drawingCanvas: 'Área de dibujo',
+    drawingCanvasHint: 'Dibuje con un dedo, o elija Escribir en su lugar para escribir su firma',
+    drawingOf: 'Dibujo de {label}',
+    typedSignatureOf: 'Firma de {label}, escrita como {name}',
+    penColor: 'Color del trazo {color}',
+    black: 'negro',
+    blue: 'azul',
+    red: 'rojo',
+    green: 'verde',
+    penWidth: 'Grosor del trazo {width}',
+    photoOf: '{label}, foto {number} de {count}',
+    removePhoto: 'Quitar la foto {number}',
+    movePhotoEarlier: 'Mover la foto {number} antes',
+    movePhotoLater: 'Mover la foto {number} después',
+    removeEntryOf: 'Quitar {entry}',
+    discardDraftOf: 'Descartar el borrador de {title}',
+    discardFailedOf: 'Descartar las respuestas no enviadas de {title}',
+
+    required: '{label} es obligatorio',
+    invalidDate: '{label} debe ser una fecha válida',
+    invalidTime: '{label} debe ser una hora válida',
+    invalidDatetime: '{label} debe ser una fecha y hora válidas',
+    tooEarly: '{label} no puede ser anterior a {bound}',
+    tooLate: '{label} no puede ser posterior a {bound}',
+    notANumber: '{label} debe ser un número',
+    tooSmall: '{label} debe ser como mínimo {min}',
+    tooLarge: '{label} debe ser como máximo {max}',
+    step: '{label} debe ir en incrementos de {step}',
+    stepFrom: '{label} debe ir en incrementos de {step} a partir de {base}',
+    tooFewCharacters: '{label} debe tener al menos {length} caracteres',
+    tooManyCharacters: '{label} debe tener como máximo {length} caracteres',
+    tooFewOptions: '{label} debe tener al menos {length} opciones',
+    tooManyOptions: '{label} debe tener como máximo {length} opciones',
+    patternMismatch: '{label} no tiene el formato esperado',
+    invalidEmail: '{label} debe ser un correo electrónico válido',
+    invalidPhone: '{label} debe ser un número de teléfono válido',
+    phoneDigits: '{label} debe tener entre 7 y 15 dígitos',
+    tooManyImages: '{label} puede tener como máximo {max} imágenes',
+    tooFewEntries_one: '{label} necesita al menos {count} elemento',
+    tooFewEntries: '{label} necesita al menos {count} elementos',
+    tooManyEntries_one: '{label} puede tener como máximo {count} elemento',
+    tooManyEntries: '{label} puede tener como máximo {count} elementos',
+  },
+};
+
+/**
+ * @function getBaseLanguage
+ * @description The base language of a language tag, e.g. `es` for `es-MX`.
+ * @param {string} language - A BCP 47 language tag.
+ * @returns {string}
+ */
+export const getBaseLanguage = (language) => String(language).split(/[-_]/)[0].toLowerCase();
+
+/**
+ * @function isRTLLanguage
+ * @description Whether a language is written right to left.
+ * @param {string} language - A BCP 47 language tag.
+ * @returns {boolean}
+ */
+export const isRTLLanguage = (language) => RTL_LANGUAGES.includes(getBaseLanguage(language));
+
+/**
+ * @function getLanguageName
+ * @description The name of a language for the language picker (see `LANGUAGE_NAMES`).
+ * @param {string} language - A BCP 47 language tag.
+ * @returns {string}
+ */
+export const getLanguageName = (language) => {
+  const name = LANGUAGE_NAMES[getBaseLanguage(language)];
+  if (!name) {
+    return language;
+  }
+  return language.includes('-') || language.includes('_') ? `${name} (${language})` : name;
+};
+
+/**
+ * @function resolveLanguage
+ * @description Picks the language to use: the first preferred language that is available, matching
+ * either exactly or by base language (so `es-MX` picks `es`, and `es` picks `es-ES`).
+ *
+ * @param {Array<string|null>} preferred - Language tags in order of preference (e.g. a manual choice, then the device locales).
+ * @param {Array<string>} available - The languages that can be shown.
+ * @param {string} [fallback=DEFAULT_LANGUAGE] - Used when no preferred language is available.
+ * @returns {string}
+ */
+export const resolveLanguage = (preferred, available, fallback = DEFAULT_LANGUAGE) => {
+  for (const tag of preferred.filter(Boolean)) {
+    const exact = available.find((language) => language.toLowerCase() === tag.toLowerCase());
+    if (exact) {
+      return exact;
+    }
+    const sameBase = available.find((language) => getBaseLanguage(language) === getBaseLanguage(tag));
+    if (sameBase) {
+      return sameBase;
+    }
+  }
+  return fallback;
+};
+
+/**
+ * @function resolveLocale
+ * @description The locale dates are shown in: the device locale of the language shown, so that dates keep the
+ * device's regional format (e.g. `en-GB`) while the device language is shown, or the language itself otherwise.
+ *
+ * @param {string} language - The language shown.
+ * @param {Array<string>} deviceLocales - The device locales, in order of preference.
+ * @returns {string}
+ */
+export const resolveLocale = (language, deviceLocales) =>
+  deviceLocales.find((tag) => getBaseLanguage(tag) === getBaseLanguage(language)) || language;
+
+/**
+ * @function createTranslator
+ * @description Creates the function that looks up messages in a language.
+ *
+ * @param {string} [language=DEFAULT_LANGUAGE] - The language to translate to.
+ * @param {Array<Object>} [catalogues=[]] - Message catalogues that take precedence over `MESSAGES`,
+ * most important first (e.g. a form's own texts, then the host app's).
+ * @returns {function} `translate(key, params)`, returning the message with its placeholders filled in,
+ * or the key itself when no catalogue has it. Its `language` property is the language.
+ */
+export const createTranslator = (language = DEFAULT_LANGUAGE, catalogues = []) => {
+  const sources = [...catalogues, MESSAGES];
+  const languages = [...new Set([language, getBaseLanguage(language), DEFAULT_LANGUAGE])];
+
+  const lookup = (key, count) => {
+    for (const candidate of languages) {
+      for (const variant of count === 1 ? [`${key}_one`, key] : [key]) {
+        const source = sources.find((catalogue) => catalogue[candidate] && catalogue[candidate][variant] !== undefined);
+        if (source) {
+          return source[candidate][variant];
+        }
+      }
+    }
+    return undefined;
+  };
+
+  const translate = (key, params = {}) => {
+    const template = lookup(key, params.count);
+    if (template === undefined) {
+      return key;
+    }
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      (params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder)
+    );
+  };
+  translate.language = language;
+  return translate;
+};
+
+/**
+ * @constant {function} defaultTranslate
+ * @description Translator for the built-in English messages, used when no translator is given.
+ */
+export const defaultTranslate = createTranslator(DEFAULT_LANGUAGE);
@@ -0,0 +1,204 @@
+import * as ImagePicker from 'expo-image-picker';
+import * as ImageManipulator from 'expo-image-manipulator';
+import * as FileSystem from 'expo-file-system';
+
+/**
+ * @module imageCapture
+ * @description Takes photos or picks images for `image` fields, applying the field's resize,
+ * compression and size constraints (see `readConstraints` in ./formDefinition).
+ *
+ * Processed images are copied to the app's document directory, so drafts and queued submissions
+ * that refer to them survive the cache being cleared. The OS never purges that directory, so they are deleted
+ * with `deleteStoredImages` once nothing refers to them: once submitted, with a discarded draft, and when a form
+ * is closed after they were removed from it. Removing an image from a field does not delete its file, since the
+ * form's initial values or its saved draft may still point to it.
+ *
+ * @uses expo-image-picker
+ * @uses expo-image-manipulator
+ * @uses expo-file-system
+ */
+
+const IMAGE_DIRECTORY = `${FileSystem.documentDirectory}form-images/`;
+
+/**
+ * @typedef {Object} ImageValue
+ * @property {string} uri - Local file URI of the processed JPEG.
+ * @property {string} fileName - File name used when the image is uploaded.
+ * @property {string} mimeType - Always `image/jpeg`.
+ * @property {number} width - Width in pixels, after resizing.
+ * @property {number} height - Height in pixels, after resizing.
+ * @property {number} size - File size in bytes.
+ */
+
+/**
+ * @class ImageCaptureError
+ * @description Error raised when an image cannot be added to a field.
+ * @property {string} code - One of `cancelled`, `permission-denied`, `too-large` or `failed`.
+ * @property {Object} params - Details for a translated message: the `source` of `permission-denied`,
+ * and the `size` and `limit` in KB of `too-large`.
+ */
+export class ImageCaptureError extends Error {
+  constructor(code, message, params = {}) {
+    super(message);
+    this.name = 'ImageCaptureError';
+    this.code = code;
+    this.params = params;
+  }
+}
+
+/**
+ * @function isImageValue
+ * @description Whether a value is an image taken or picked for an `image` field.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isImageValue = (value) =>
+  Boolean(value) && typeof value === 'object' && typeof value.uri === 'string' && typeof value.mimeType === 'string';
+
+/**
+ * @function listImages
+ * @description Finds the images anywhere in a value, such as the values of a form with its `<repeat>` entries.
+ * @param {*} value
+ * @returns {Array<ImageValue>}
+ */
+export const listImages = (value) => {
+  if (isImageValue(value)) {
+    return [value];
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap(listImages);
+  }
+  return value && typeof value === 'object' ? Object.values(value).flatMap(listImages) : [];
+};
+
+/**
+ * @function listStoredImages
+ * @description Finds the images stored by `processAsset` in a value. Images from elsewhere, e.g. pre-filled from
+ * a form's `<data>`, are left out.
+ * @param {*} value
+ * @returns {Array<string>} The file URIs of the images.
+ */
+const listStoredImages = (value) =>
+  listImages(value).map((image) => image.uri).filter((uri) => uri.startsWith(IMAGE_DIRECTORY));
+
+/**
+ * @function deleteStoredImages
+ * @description Deletes the files of the images taken or picked for `image` fields found in a value: a single image,
+ * the values of a form, or a list of those. A file that cannot be deleted is left behind rather than failing
+ * the submission or discard that triggered the cleanup.
+ * @param {*} value
+ * @param {*} [keep] - A value whose images are still needed and must not be deleted.
+ * @returns {Promise<void>}
+ */
+export const deleteStoredImages = async (value, keep) => {
+  const kept = new Set(listStoredImages(keep));
+  const uris = [...new Set(listStoredImages(value))].filter((uri) => !kept.has(uri));
+  await Promise.all(uris.map((uri) => FileSystem.deleteAsync(uri, { idempotent: true }).catch(() => {})));
+};
+
+/**
+ * @function getResizeActions
+ * @description Manipulator actions scaling an image down to fit `maxWidth` × `maxHeight`, keeping its aspect ratio.
+ * @param {Object} asset - The picked asset (`width` and `height`).
+ * @param {Object} constraints - The field constraints.
+ * @returns {Array<Object>} A single resize action, or none when the image already fits.
+ */
+const getResizeActions = ({ width, height }, { maxWidth, maxHeight }) => {
+  const scale = Math.min(
+    maxWidth ? maxWidth / width : 1,
+    maxHeight ? maxHeight / height : 1
+  );
+  return scale < 1 ? [{ resize: { width: Math.round(width * scale), height: Math.round(height * scale) } }] : [];
+};
+
+/**
+ * @function processAsset
+ * @description Resizes and compresses a picked asset to JPEG, checks its size and stores it.
+ * @param {Object} asset - An asset returned by the image picker.
+ * @param {Object} constraints - The field constraints.
+ * @param {string} fieldId - The field the image is added to, used in the file name.
+ * @returns {Promise<ImageValue>}
+ * @throws {ImageCaptureError} When the processed image is larger than `maxSizeKB`.
+ */
+const processAsset = async (asset, constraints, fieldId) => {
+  const result = await ImageManipulator.manipulateAsync(
+    asset.uri,
+    getResizeActions(asset, constraints),
+    { compress: constraints.quality, format: ImageManipulator.SaveFormat.JPEG }
+  );
+  const { size } = await FileSystem.getInfoAsync(result.uri, { size: true });
+
+  if (constraints.maxSizeKB && size > constraints.maxSizeKB * 1024) {
+    const params = { size: Math.ceil(size / 1024), limit: constraints.maxSizeKB };
+    throw new ImageCaptureError(
+      'too-large',
+      `The image is ${params.size} KB after compression; the limit is ${params.limit} KB`,
+      params
+    );
+  }
+
+  await FileSystem.makeDirectoryAsync(IMAGE_DIRECTORY, { intermediates: true });
+  const fileName = `${fieldId}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.jpg`;
+  const uri = IMAGE_DIRECTORY + fileName;
+  await FileSystem.moveAsync({ from: result.uri, to: uri });
+
+  return { uri, fileName, mimeType: 'image/jpeg', width: result.width, height: result.height, size };
+};
+
+/**
+ * @function captureImages
+ * @description Takes a photo with the camera or picks images from the library for an `image` field.
+ *
+ * @param {Object} field - The normalized `image` field.
+ * @param {string} source - `camera` or `library`.
+ * @param {number} remaining - How many more images the field accepts; the library allows picking up to this many.
+ * @returns {Promise<{images: Array<ImageValue>, errors: Array<ImageCaptureError>}>} The processed images, and an
+ * error for every picked image that was left out (too large, or failed to process).
+ * @throws {ImageCaptureError} When the user cancels, permission is denied, or the camera or library cannot be opened.
+ */
+export const captureImages = async (field, source, remaining) => {
+  const permission = source === 'camera'
+    ? await ImagePicker.requestCameraPermissionsAsync()
+    : await ImagePicker.requestMediaLibraryPermissionsAsync();
+  if (!permission.granted) {
+    throw new ImageCaptureError(
+      'permission-denied',
+      source === 'camera'
+        ? 'Camera access is needed to take a photo. You can allow it in the device settings.'
+        : 'Photo library access is needed to choose an image. You can allow it in the device settings.',
+      { source }
+    );
+  }
+
+  let result;
+  try {
+    const options = {
+      mediaTypes: ['images'],
+      allowsMultipleSelection: source === 'library' && remaining > 1,
+      selectionLimit: remaining,
+      quality: 1,
+    };
+    result = source === 'camera'
+      ? await ImagePicker.launchCameraAsync(options)
+      : await ImagePicker.launchImageLibraryAsync(options);
+  } catch (error) {
+    throw new ImageCaptureError('failed', `Could not open the ${source}: ${error.message}`);
+  }
+
+  if (result.canceled || !result.assets || result.assets.length === 0) {
+    throw new ImageCaptureError('cancelled', 'No image was selected');
+  }
+
+  const images = [];
+  const errors = [];
+  for (const asset of result.assets.slice(0, remaining)) {
+    try {
+      images.push(await processAsset(asset, field.constraints, field.id));
+    } catch (error) {
+      errors.push(error instanceof ImageCaptureError
+        ? error
+        : new ImageCaptureError('failed', `Could not process the image: ${error.message}`));
+    }
+  }
+  return { images, errors };
+};
@@ -0,0 +1,81 @@
+import * as FileSystem from 'expo-file-system';
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import { isImageValue } from './imageCapture';
+import { buildReportHTML } from './formReport';
+
+/**
+ * @module reportExport
+ * @description Prints the report of a submitted form (see ./formReport) to a PDF file on the device and shares it,
+ * e.g. to email a signed copy to the customer. Everything happens on the device, with no network access.
+ *
+ * @uses expo-file-system
+ * @uses expo-print
+ * @uses expo-sharing
+ * @uses ./imageCapture
+ * @uses ./formReport
+ */
+
+/**
+ * @function embedImages
+ * @description Replaces the file URIs of the photos in the values with data URLs, so the report does not
+ * depend on the print engine being allowed to read the app's files. `<repeat>` entries are embedded too.
+ *
+ * @param {Array<Object>} fields - The fields of the values.
+ * @param {Object} values - Submitted values.
+ * @returns {Promise<Object>}
+ */
+const embedImages = async (fields, values) => {
+  const embedded = { ...values };
+  for (const field of fields) {
+    const value = values[field.id];
+    if (field.type === 'repeat' && Array.isArray(value)) {
+      embedded[field.id] = await Promise.all(value.map((entry) => embedImages(field.fields, entry || {})));
+    } else if (Array.isArray(value) && value.some(isImageValue)) {
+      embedded[field.id] = await Promise.all(value.map(async (image) => {
+        if (!isImageValue(image) || image.uri.startsWith('data:')) {
+          return image;
+        }
+        const base64 = await FileSystem.readAsStringAsync(image.uri, { encoding: FileSystem.EncodingType.Base64 });
+        return { ...image, uri: `data:${image.mimeType};base64,${base64}` };
+      }));
+    }
+  }
+  return embedded;
+};
+
+/**
+ * @function createReportPDF
+ * @description Prints the report of a submitted form to a PDF file in the app's cache directory.
+ *
+ * @param {Object} definition - The form definition, localized into the language of the report.
+ * @param {Object} values - The submitted values.
+ * @param {Object} [options] - The options of `buildReportHTML` (see ./formReport).
+ * @returns {Promise<{uri: string, html: string}>} The file URI of the PDF, and the HTML it was printed from.
+ */
+export const createReportPDF = async (definition, values, options = {}) => {
+  const html = buildReportHTML(definition, await embedImages(definition.fields, values), options);
+  const { uri } = await Print.printToFileAsync({ html });
+  return { uri, html };
+};
+
+/**
+ * @function shareReport
+ * @description Prints the report of a submitted form to PDF and opens the system share sheet with it, from which
+ * the user can email, message or save the file.
+ *
+ * @param {Object} definition - The form definition, localized into the language of the report.
+ * @param {Object} values - The submitted values.
+ * @param {Object} [options] - The options of `buildReportHTML` (see ./formReport), and `dialogTitle`, the title
+ * of the share sheet on Android.
+ * @returns {Promise<string>} The file URI of the PDF.
+ * @throws {Error} When the device cannot share files.
+ */
+export const shareReport = async (definition, values, { dialogTitle, ...options } = {}) => {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+  const { uri } = await createReportPDF(definition, values, options);
+  await Sharing.shareAsync(uri, { mimeType: 'application/pdf', UTI: 'com.adobe.pdf', dialogTitle });
+  return uri;
+};
@@ -0,0 +1,167 @@
+/**
+ * @module theme
+ * @description Colours, fonts and sizes of the renderer, for light and dark mode.
+ *
+ * A theme is a plain object (see `Theme`). The host app and the `<theme>` element of a form pass
+ * partial themes that are merged over the built-in theme of the current colour scheme by `resolveTheme`.
+ * Components build their styles from the resolved theme, so nothing here depends on React Native.
+ *
+ * Text colours of the built-in themes have a contrast of at least 4.5:1 with the backgrounds they are used on
+ * (WCAG 2.1 AA); colours set by the host app or a form should keep to the same.
+ */
+
+/**
+ * @typedef {Object} ThemeColors
+ * @property {string} primary - Buttons, links, selection marks and progress.
+ * @property {string} onPrimary - Text on `primary` backgrounds.
+ * @property {string} background - Behind everything, on the home screen.
+ * @property {string} surface - Forms, cards and sheets.
+ * @property {string} surfaceMuted - Read-only values and repeat entries.
+ * @property {string} text - Labels and values.
+ * @property {string} textMuted - Secondary text such as dates and counters.
+ * @property {string} placeholder - Placeholders of empty inputs.
+ * @property {string} border - Input and card borders.
+ * @property {string} divider - Separators between list items.
+ * @property {string} selected - Background of selected options.
+ * @property {string} neutral - Secondary buttons and the progress track.
+ * @property {string} error - Validation errors and destructive actions.
+ * @property {string} errorSurface - Background of the form problems list.
+ * @property {string} success - The parse button of the custom XML screen.
+ * @property {string} warning - Text of the outbox bar.
+ * @property {string} warningSurface - Background of the outbox bar.
+ * @property {string} disabled - Disabled controls.
+ * @property {string} backdrop - Dimmed background behind sheets and the drawing canvas.
+ */
+
+/**
+ * @typedef {Object} Theme
+ * @property {string} colorScheme - `light` or `dark`.
+ * @property {ThemeColors} colors
+ * @property {string|undefined} fontFamily - Font of all text; the platform font when undefined.
+ * @property {number} fontSize - Size of body text; titles and small print are scaled from it.
+ * @property {number} spacing - Base spacing; paddings and margins are multiples of it.
+ * @property {number} radius - Corner radius of inputs and buttons.
+ */
+
+/**
+ * @constant {Theme} LIGHT_THEME
+ */
+export const LIGHT_THEME = {
+  colorScheme: 'light',
+  colors: {
+    primary: '#0066cc',
+    onPrimary: '#ffffff',
+    background: '#f5f5f5',
+    surface: '#ffffff',
+    surfaceMuted: '#f2f2f2',
+    text: '#333333',
+    textMuted: '#666666',
+    placeholder: '#767676',
+    border: '#dddddd',
+    divider: '#eeeeee',
+    selected: '#e6f2ff',
+    neutral: '#e9ecef',
+    error: '#c82333',
+    errorSurface: '#fdecea',
+    success: '#1e7e34',
+    warning: '#856404',
+    warningSurface: '#fff3cd',
+    disabled: '#cccccc',
+    backdrop: 'rgba(0,0,0,0.5)',
+  },
+  fontFamily: undefined,
+  fontSize: 16,
+  spacing: 10,
+  radius: 8,
+};
+
+/**
+ * @constant {Theme} DARK_THEME
+ */
+export const DARK_THEME = {
+  ...LIGHT_THEME,
+  colorScheme: 'dark',
+  colors: {
+    primary: '#4da3ff',
+    onPrimary: '#121212',
+    background: '#121212',
+    surface: '#1e1e1e',
+    surfaceMuted: '#2a2a2a',
+    text: '#e8e8e8',
+    textMuted: '#a0a0a0',
+    placeholder: '#8a8a8a',
+    border: '#3a3a3a',
+    divider: '#2c2c2c',
+    selected: '#16324f',
+    neutral: '#2f2f2f',
+    error: '#ff6b6b',
+    errorSurface: '#3b1d1f',
+    success: '#2e9e4f',
+    warning: '#f5d27a',
+    warningSurface: '#3d3420',
+    disabled: '#555555',
+    backdrop: 'rgba(0,0,0,0.7)',
+  },
+};
+
+/**
+ * @constant {RegExp} COLOR_PATTERN
+ * @description Colours accepted in form XML: `#rgb` or `#rrggbb` hex, or a CSS colour name.
+ */
+export const COLOR_PATTERN = /^(#[0-9a-f]{3}|#[0-9a-f]{6}|[a-z]+)$/i;
+
+/**
+ * @constant {Object<string, string>} THEME_COLOR_ATTRIBUTES
+ * @description Colour attributes of the `<theme>` element (and its `<dark>` child), with the colour each one sets.
+ */
+export const THEME_COLOR_ATTRIBUTES = {
+  primaryColor: 'primary',
+  onPrimaryColor: 'onPrimary',
+  backgroundColor: 'background',
+  surfaceColor: 'surface',
+  textColor: 'text',
+  borderColor: 'border',
+  errorColor: 'error',
+};
+
+/**
+ * @constant {Object<string, {min: number, max: number}>} THEME_SIZE_ATTRIBUTES
+ * @description Numeric attributes of the `<theme>` element, with their accepted range.
+ */
+export const THEME_SIZE_ATTRIBUTES = {
+  fontSize: { min: 10, max: 32 },
+  spacing: { min: 0, max: 40 },
+  radius: { min: 0, max: 40 },
+};
+
+/**
+ * @function mergeTheme
+ * @description Applies a partial theme over a theme. The `dark` overrides of the partial theme apply
+ * only to a dark theme.
+ *
+ * @param {Theme} theme - The theme to change.
+ * @param {Object} [overrides] - A partial theme: any of `colors`, `fontFamily`, `fontSize`, `spacing` and `radius`,
+ * and `dark`, a partial theme used in dark mode only.
+ * @returns {Theme}
+ */
+const mergeTheme = (theme, overrides) => {
+  if (!overrides) {
+    return theme;
+  }
+  const { dark, colors, ...sizes } = overrides;
+  const defined = Object.fromEntries(Object.entries(sizes).filter(([, value]) => value !== undefined));
+  const merged = { ...theme, ...defined, colors: { ...theme.colors, ...colors } };
+  return theme.colorScheme === 'dark' ? mergeTheme(merged, dark) : merged;
+};
+
+/**
+ * @function resolveTheme
+ * @description Builds the theme for a colour scheme: the built-in theme of the scheme, with every
+ * partial theme applied in order, so later ones win (e.g. the host app's theme, then the form's).
+ *
+ * @param {string|null} colorScheme - `dark`, or anything else for light.
+ * @param {...Object} overrides - Partial themes (see `mergeTheme`); `null` and `undefined` are skipped.
+ * @returns {Theme}
+ */
+export const resolveTheme = (colorScheme, ...overrides) =>
+  overrides.reduce(mergeTheme, colorScheme === 'dark' ? DARK_THEME : LIGHT_THEME);
@@ -0,0 +1,183 @@
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+
+/**
+ * @constant {number} MAX_XML_FILE_SIZE
+ * @description Largest XML file (in bytes) accepted from the document picker.
+ * Form definitions are small; anything bigger is almost certainly the wrong file.
+ */
+export const MAX_XML_FILE_SIZE = 1024 * 1024;
+
+/**
+ * @constant {Array<string>} XML_MIME_TYPES
+ * @description MIME types offered by the document picker: XML forms, XForms, and forms in JSON or JSON Schema
+ * (see ./formImport). Some Android file providers report `.xml` files as `text/plain`, so that type is allowed too.
+ */
+const XML_MIME_TYPES = ['text/xml', 'application/xml', 'application/xhtml+xml', 'application/json', 'text/plain'];
+
+/**
+ * @constant {Array<string>} UTF8_COMPATIBLE_ENCODINGS
+ * @description Encoding names that may appear in the XML declaration of a file that decodes as UTF-8.
+ */
+const UTF8_COMPATIBLE_ENCODINGS = ['utf-8', 'utf8', 'us-ascii', 'ascii'];
+
+/**
+ * @class XMLFileError
+ * @description Error raised when an XML file cannot be loaded from the device.
+ * @property {string} code - One of `cancelled`, `too-large`, `encoding` or `read-failed`.
+ */
+export class XMLFileError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'XMLFileError';
+    this.code = code;
+  }
+}
+
+/**
+ * @function base64ToBytes
+ * @description Converts a base64 string (as returned by `expo-file-system`) into a byte array.
+ * @param {string} base64 - The base64 encoded file contents.
+ * @returns {Uint8Array} The decoded bytes.
+ */
+const base64ToBytes = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+/**
+ * @function decodeUTF8
+ * @description Strictly decodes UTF-8 bytes into a string. A leading byte order mark is skipped.
+ * @param {Uint8Array} bytes - The raw file contents.
+ * @returns {string|null} The decoded text, or `null` if the bytes are not valid UTF-8.
+ */
+const decodeUTF8 = (bytes) => {
+  let i = bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf ? 3 : 0;
+  let text = '';
+
+  while (i < bytes.length) {
+    const byte = bytes[i];
+    let extra;
+    let codePoint;
+
+    if (byte < 0x80) {
+      extra = 0;
+      codePoint = byte;
+    } else if (byte >= 0xc2 && byte <= 0xdf) {
+      extra = 1;
+      codePoint = byte & 0x1f;
+    } else if (byte >= 0xe0 && byte <= 0xef) {
+      extra = 2;
+      codePoint = byte & 0x0f;
+    } else if (byte >= 0xf0 && byte <= 0xf4) {
+      extra = 3;
+      codePoint = byte & 0x07;
+    } else {
+      return null;
+    }
+
+    if (i + extra >= bytes.length) {
+      return null;
+    }
+    for (let j = 1; j <= extra; j++) {
+      const next = bytes[i + j];
+      if ((next & 0xc0) !== 0x80) {
+        return null;
+      }
+      codePoint = (codePoint << 6) | (next & 0x3f);
+    }
+
+    // Rejecting overlong encodings, UTF-16 surrogates and out-of-range code points
+    if (
+      (extra === 2 && codePoint < 0x800) ||
+      (extra === 3 && (codePoint < 0x10000 || codePoint > 0x10ffff)) ||
+      (codePoint >= 0xd800 && codePoint <= 0xdfff)
+    ) {
+      return null;
+    }
+
+    text += String.fromCodePoint(codePoint);
+    i += extra + 1;
+  }
+
+  return text;
+};
+
+/**
+ * @function detectDeclaredEncoding
+ * @description Reads the `encoding` attribute of the XML declaration, if there is one.
+ * @param {Uint8Array} bytes - The raw file contents.
+ * @returns {string|null} The declared encoding in lower case, or `null` when none is declared.
+ */
+const detectDeclaredEncoding = (bytes) => {
+  // The declaration itself is always ASCII, so the first bytes can be read directly.
+  const head = String.fromCharCode(...bytes.slice(0, 100));
+  const match = head.match(/^\s*<\?xml[^>]*encoding\s*=\s*["']([^"']+)["']/i);
+  return match ? match[1].toLowerCase() : null;
+};
+
+/**
+ * @function pickXMLFile
+ * @description Opens the system document picker and reads the chosen XML file (or JSON form, see ./formImport)
+ * as UTF-8 text.
+ *
+ * @returns {Promise<{name: string, xml: string}>} The file name and its contents.
+ * @throws {XMLFileError} When the pick is cancelled, the file is larger than `MAX_XML_FILE_SIZE`,
+ * the file is not UTF-8 encoded, or it cannot be read.
+ */
+export const pickXMLFile = async () => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: XML_MIME_TYPES,
+    copyToCacheDirectory: true,
+    multiple: false,
+  });
+
+  if (result.canceled || !result.assets || result.assets.length === 0) {
+    throw new XMLFileError('cancelled', 'No file was selected');
+  }
+
+  const { name, size, uri } = result.assets[0];
+  const sizeLimitMessage = `"${name}" is larger than the ${MAX_XML_FILE_SIZE / 1024} KB limit for form files`;
+
+  if (size && size > MAX_XML_FILE_SIZE) {
+    throw new XMLFileError('too-large', sizeLimitMessage);
+  }
+
+  let bytes;
+  try {
+    const base64 = await FileSystem.readAsStringAsync(uri, {
+      encoding: FileSystem.EncodingType.Base64,
+    });
+    bytes = base64ToBytes(base64);
+  } catch (error) {
+    throw new XMLFileError('read-failed', `Could not read "${name}": ${error.message}`);
+  }
+
+  // Some providers do not report a size, so checking again once the file is read
+  if (bytes.length > MAX_XML_FILE_SIZE) {
+    throw new XMLFileError('too-large', sizeLimitMessage);
+  }
+
+  if ((bytes[0] === 0xff && bytes[1] === 0xfe) || (bytes[0] === 0xfe && bytes[1] === 0xff)) {
+    throw new XMLFileError('encoding', `"${name}" is UTF-16 encoded. Please save it as UTF-8`);
+  }
+
+  const declaredEncoding = detectDeclaredEncoding(bytes);
+  if (declaredEncoding && !UTF8_COMPATIBLE_ENCODINGS.includes(declaredEncoding)) {
+    throw new XMLFileError(
+      'encoding',
+      `"${name}" declares the ${declaredEncoding} encoding. Please save it as UTF-8`
+    );
+  }
+
+  const xml = decodeUTF8(bytes);
+  if (xml === null) {
+    throw new XMLFileError('encoding', `"${name}" is not valid UTF-8 text. Please save it as UTF-8`);
+  }
+
+  return { name, xml };
+};